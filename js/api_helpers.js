@@ -1,94 +1,713 @@
 /**
  * API Helper Functions for Additive Artisan
- * Provides timeout and retry logic for API calls
+ * Request client with timeouts, cancellation, retries, hooks, caching and typed errors
  */
 
 (function(window) {
   "use strict";
 
+  const i18n = window.AdditiveArtisanI18n;
+
+  // Request defaults (see js/config.js)
+  const CONFIG = window.AdditiveArtisanConfig?.api || {};
+  const DEFAULTS = {
+    timeout: CONFIG.timeout || 10000,
+    attempts: CONFIG.attempts || 3,
+    backoffDelay: CONFIG.backoff?.delay || 1000,
+    maxBackoffDelay: CONFIG.backoff?.maxDelay || 10000,
+    maxRetryAfter: CONFIG.maxRetryAfter ?? 10,
+  };
+
+  // Methods that are safe to send twice; others retry only with `idempotent: true`
+  const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+  // Response statuses worth retrying (the next attempt may succeed)
+  const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
+  // Failures without a response worth retrying
+  const RETRY_TYPES = ['timeout', 'network'];
+
+  // Request options handled by the client rather than passed to fetch()
+  const CLIENT_OPTIONS = ['timeout', 'attempts', 'idempotent', 'hooks', 'signal'];
+
+  // Hooks added with addHooks(), run for every request
+  const globalHooks = {
+    beforeRequest: [],
+    afterResponse: [],
+    beforeRetry: [],
+    onError: [],
+  };
+
+  // Persisted responses are saved in localStorage under this prefix + URL
+  const CACHE_PREFIX = 'apiCache:';
+
+  // Cached responses for this page: url -> {data, time}
+  const memoryCache = new Map();
+
+  // JSON requests in progress, shared by identical calls: key -> {promise, controller, waiters}
+  const inflight = new Map();
+
+  // Numbers for per-request hook objects, so only calls with the same hooks share a request
+  const hookIds = new WeakMap();
+  let nextHookId = 1;
+
+  // =========================================================================
+  // Error Types
+  // =========================================================================
+
+  /**
+   * Base error for failed API requests
+   * `type` identifies the failure for the UI; `retryable` says whether the
+   * customer trying again could help. Messages are technical - map `type`
+   * to a translated message before showing it.
+   */
+  class APIError extends Error {
+    /**
+     * @param {string} message - Technical message
+     * @param {object} details - Error details (optional)
+     * @param {number} details.status - HTTP status (0 if no response)
+     * @param {Response} details.response - The unsuccessful response, body unread (optional)
+     */
+    constructor(message, details = {}) {
+      super(message);
+      this.name = 'APIError';
+      this.type = 'request';
+      this.status = details.status || 0;
+      this.response = details.response || null;
+      this.retryable = false;
+    }
+  }
+
+  /** The requested record doesn't exist (HTTP 404) */
+  class NotFoundError extends APIError {
+    constructor(message, details) {
+      super(message, details);
+      this.name = 'NotFoundError';
+      this.type = 'not-found';
+    }
+  }
+
+  /** Credentials don't match, e.g. the email for an order (HTTP 401/403) */
+  class UnauthorizedError extends APIError {
+    constructor(message, details) {
+      super(message, details);
+      this.name = 'UnauthorizedError';
+      this.type = 'unauthorized';
+    }
+  }
+
+  /** Too many requests (HTTP 429); retryAfter is in seconds, or null if not given */
+  class RateLimitedError extends APIError {
+    constructor(message, details = {}) {
+      super(message, details);
+      this.name = 'RateLimitedError';
+      this.type = 'rate-limited';
+      this.retryable = true;
+      this.retryAfter = details.retryAfter ?? null;
+    }
+  }
+
+  /** The request took too long */
+  class TimeoutError extends APIError {
+    constructor(message, details) {
+      super(message, details);
+      this.name = 'TimeoutError';
+      this.type = 'timeout';
+      this.retryable = true;
+    }
+  }
+
+  /** No response at all (offline, DNS, CORS); offline is true when the browser knows */
+  class NetworkError extends APIError {
+    constructor(message, details = {}) {
+      super(message, details);
+      this.name = 'NetworkError';
+      this.type = 'network';
+      this.retryable = true;
+      this.offline = Boolean(details.offline);
+    }
+  }
+
+  /** The server failed (HTTP 5xx) */
+  class ServerError extends APIError {
+    constructor(message, details) {
+      super(message, details);
+      this.name = 'ServerError';
+      this.type = 'server';
+      this.retryable = true;
+    }
+  }
+
+  /** The caller cancelled the request through its AbortSignal */
+  class AbortedError extends APIError {
+    constructor(message, details) {
+      super(message, details);
+      this.name = 'AbortedError';
+      this.type = 'aborted';
+    }
+  }
+
+  /** The response couldn't be parsed or is missing expected fields */
+  class MalformedResponseError extends APIError {
+    constructor(message, details) {
+      super(message, details);
+      this.name = 'MalformedResponseError';
+      this.type = 'malformed';
+      this.retryable = true;
+    }
+  }
+
+  /**
+   * Parse a Retry-After header
+   * @param {string|null} value - Header value (seconds or an HTTP date)
+   * @returns {number|null} Seconds to wait, or null if missing or invalid
+   */
+  function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+  }
+
+  /**
+   * Create the typed error for an unsuccessful response
+   * @param {Response} response - Fetch response (not ok)
+   * @returns {APIError} Typed error
+   */
+  function createResponseError(response) {
+    const status = response.status;
+    const message = `HTTP ${status}: ${response.statusText || ''}`.trim();
+    const details = { status, response };
+
+    if (status === 404) return new NotFoundError(message, details);
+    if (status === 401 || status === 403) return new UnauthorizedError(message, details);
+    if (status === 408) return new TimeoutError(message, details);
+    if (status === 429) {
+      return new RateLimitedError(message, {
+        ...details,
+        retryAfter: parseRetryAfter(response.headers?.get('Retry-After')),
+      });
+    }
+    if (status >= 500) return new ServerError(message, details);
+    return new APIError(message, details);
+  }
+
+  // =========================================================================
+  // Request Helpers
+  // =========================================================================
+
+  /**
+   * Get the options to pass on to fetch()
+   * @param {object} options - Request options
+   * @returns {object} Options without the client-only ones
+   */
+  function getFetchOptions(options) {
+    const fetchOptions = { ...options };
+    CLIENT_OPTIONS.forEach((key) => delete fetchOptions[key]);
+    return fetchOptions;
+  }
+
+  /**
+   * Create a signal that aborts on timeout or when the caller's signal aborts
+   * @param {AbortSignal} signal - Caller's signal (optional)
+   * @param {number} timeout - Timeout in milliseconds (0 for none)
+   * @returns {object} {signal, timedOut(), cleanup()}
+   */
+  function createRequestSignal(signal, timeout) {
+    const controller = new AbortController();
+    let timedOut = false;
+
+    const timer = timeout > 0
+      ? setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeout)
+      : null;
+
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    return {
+      signal: controller.signal,
+      timedOut: () => timedOut,
+      cleanup() {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      },
+    };
+  }
+
+  /**
+   * Wait before the next attempt
+   * @param {number} ms - Delay in milliseconds
+   * @param {AbortSignal} signal - Cancels the wait (optional)
+   * @returns {Promise<void>} Resolves after the delay
+   * @throws {AbortedError} If the signal aborts first
+   */
+  function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new AbortedError('Request aborted'));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new AbortedError('Request aborted'));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Check whether a failed attempt should be retried
+   * @param {APIError} error - Typed error from the attempt
+   * @param {boolean} idempotent - Whether the request is safe to repeat
+   * @returns {boolean} True if another attempt could succeed
+   */
+  function shouldRetry(error, idempotent) {
+    if (!idempotent) return false;
+
+    // Long rate limits go back to the caller instead of blocking the page
+    if (error.type === 'rate-limited' && error.retryAfter > DEFAULTS.maxRetryAfter) {
+      return false;
+    }
+
+    // Retrying won't help until the browser is back online
+    if (error.offline) {
+      return false;
+    }
+
+    return error.status
+      ? RETRY_STATUSES.includes(error.status)
+      : RETRY_TYPES.includes(error.type);
+  }
+
+  /**
+   * Get the delay before the next attempt
+   * Exponential backoff with jitter (between half and all of 1s, 2s, 4s...),
+   * but never shorter than the server's Retry-After.
+   *
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @param {APIError} error - Typed error from the attempt
+   * @returns {number} Delay in milliseconds
+   */
+  function getRetryDelay(attempt, error) {
+    const backoff = Math.min(DEFAULTS.maxBackoffDelay, DEFAULTS.backoffDelay * Math.pow(2, attempt - 1));
+    const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+    return Math.max(delay, (error.retryAfter || 0) * 1000);
+  }
+
+  /**
+   * Run request hooks
+   * @param {string} name - Hook name (beforeRequest, afterResponse, beforeRetry, onError)
+   * @param {object} hooks - Hooks for this request (optional)
+   * @param {object} context - Details passed to each hook
+   */
+  function runHooks(name, hooks, context) {
+    const handlers = [...globalHooks[name], hooks?.[name]].filter((hook) => typeof hook === 'function');
+
+    handlers.forEach((hook) => {
+      try {
+        hook(context);
+      } catch (error) {
+        // A broken logging hook must not break the request
+      }
+    });
+  }
+
+  // =========================================================================
+  // Response Cache
+  // =========================================================================
+
+  /**
+   * Read a cached response
+   * @param {string} url - Request URL
+   * @param {boolean} persist - Also look in localStorage
+   * @returns {object|null} {data, time} or null if not cached
+   */
+  function readCache(url, persist) {
+    if (memoryCache.has(url)) {
+      return memoryCache.get(url);
+    }
+    if (!persist) return null;
+
+    try {
+      const entry = JSON.parse(localStorage.getItem(CACHE_PREFIX + url) || 'null');
+      if (entry && typeof entry.time === 'number' && 'data' in entry) {
+        memoryCache.set(url, entry);
+        return entry;
+      }
+    } catch (error) {
+      // Corrupt or unavailable storage - treat as not cached
+    }
+    return null;
+  }
+
+  /**
+   * Cache a response
+   * @param {string} url - Request URL
+   * @param {*} data - Parsed response
+   * @param {boolean} persist - Also save to localStorage
+   */
+  function writeCache(url, data, persist) {
+    const entry = { data, time: Date.now() };
+    memoryCache.set(url, entry);
+    if (!persist) return;
+
+    try {
+      localStorage.setItem(CACHE_PREFIX + url, JSON.stringify(entry));
+    } catch (error) {
+      // Storage full or disabled (private browsing) - cached for this page only
+    }
+  }
+
+  /**
+   * Get the key under which a request may be shared
+   * Calls only share a request when the URL and every option that changes
+   * how it's sent or retried (attempts, timeout, hooks, headers...) match.
+   *
+   * @param {string} url - URL to fetch
+   * @param {object} options - Request options, as in request()
+   * @param {number} maxRetries - Maximum attempts (optional)
+   * @returns {string} Key for the inflight map
+   */
+  function getShareKey(url, options, maxRetries) {
+    const { signal, hooks, ...settings } = options;
+
+    let hooksId = 0;
+    if (hooks) {
+      if (!hookIds.has(hooks)) hookIds.set(hooks, nextHookId++);
+      hooksId = hookIds.get(hooks);
+    }
+
+    return JSON.stringify([url, maxRetries || null, hooksId, settings]);
+  }
+
+  /**
+   * Fetch JSON once for all identical calls in progress
+   * The shared request is only aborted when every caller has aborted.
+   *
+   * @param {string} url - URL to fetch
+   * @param {object} options - Request options, as in request()
+   * @param {number} maxRetries - Maximum attempts (optional)
+   * @returns {Promise<*>} Parsed JSON response
+   */
+  function fetchShared(url, options, maxRetries) {
+    const signal = options.signal;
+    if (signal?.aborted) {
+      return Promise.reject(new AbortedError('Request aborted'));
+    }
+
+    const key = getShareKey(url, options, maxRetries);
+    let shared = inflight.get(key);
+    if (!shared) {
+      const controller = new AbortController();
+      shared = { controller, waiters: 0 };
+      shared.promise = requestJSON(url, { ...options, signal: controller.signal }, maxRetries)
+        .finally(() => {
+          if (inflight.get(key) === shared) inflight.delete(key);
+        });
+      inflight.set(key, shared);
+    }
+
+    shared.waiters++;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        shared.waiters--;
+        if (shared.waiters === 0) {
+          if (inflight.get(key) === shared) inflight.delete(key);
+          shared.controller.abort();
+        }
+        reject(new AbortedError('Request aborted'));
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      shared.promise
+        .then(resolve, reject)
+        .finally(() => signal?.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /**
+   * Fetch and parse JSON
+   * @param {string} url - URL to fetch
+   * @param {object} options - Request options, as in request()
+   * @param {number} maxRetries - Maximum attempts (optional)
+   * @returns {Promise<*>} Parsed JSON response
+   * @throws {APIError} If request fails or the body isn't valid JSON
+   */
+  async function requestJSON(url, options, maxRetries) {
+    const response = await fetchWithRetry(url, options, maxRetries);
+    try {
+      return await response.json();
+    } catch (error) {
+      throw new MalformedResponseError(error.message, { status: response.status });
+    }
+  }
+
+  // =========================================================================
+  // Public API
+  // =========================================================================
+
+  /**
+   * Add hooks that run for every request (e.g. logging)
+   * Each hook receives {url, method, attempt, attempts} plus response and
+   * duration (afterResponse), error and delay (beforeRetry) or error (onError).
+   *
+   * @param {object} hooks - {beforeRequest, afterResponse, beforeRetry, onError} (all optional)
+   * @returns {Function} Removes the hooks again
+   */
+  function addHooks(hooks = {}) {
+    Object.keys(globalHooks).forEach((name) => {
+      if (typeof hooks[name] === 'function') {
+        globalHooks[name].push(hooks[name]);
+      }
+    });
+
+    return () => {
+      Object.keys(globalHooks).forEach((name) => {
+        globalHooks[name] = globalHooks[name].filter((hook) => hook !== hooks[name]);
+      });
+    };
+  }
+
   /**
    * Fetch with timeout
    * Aborts the request if it takes longer than the specified timeout
    *
    * @param {string} url - URL to fetch
    * @param {number} timeout - Timeout in milliseconds (default: 10000ms = 10s)
+   * @param {object} options - fetch() options; options.signal cancels the request (optional)
    * @returns {Promise<Response>} Fetch response
-   * @throws {Error} If request times out or fetch fails
+   * @throws {TimeoutError|NetworkError|AbortedError} If request times out, fails or is cancelled
    */
-  async function fetchWithTimeout(url, timeout = 10000) {
-    const controller = new AbortController();
-    const id = setTimeout(() => controller.abort(), timeout);
+  async function fetchWithTimeout(url, timeout = DEFAULTS.timeout, options = {}) {
+    const callerSignal = options.signal;
+    if (callerSignal?.aborted) {
+      throw new AbortedError('Request aborted');
+    }
+
+    const requestSignal = createRequestSignal(callerSignal, timeout);
 
     try {
-      const response = await fetch(url, { signal: controller.signal });
-      clearTimeout(id);
-      return response;
+      return await fetch(url, { ...getFetchOptions(options), signal: requestSignal.signal });
     } catch (error) {
-      clearTimeout(id);
-      if (error.name === 'AbortError') {
-        throw new Error('Request timeout - please try again');
+      if (callerSignal?.aborted) {
+        throw new AbortedError('Request aborted');
+      }
+      if (requestSignal.timedOut() || error.name === 'AbortError') {
+        throw new TimeoutError(i18n.t('errors.timeout'));
       }
-      throw error;
+      throw new NetworkError(error.message, { offline: navigator.onLine === false });
+    } finally {
+      requestSignal.cleanup();
     }
   }
 
   /**
-   * Fetch with retry logic
-   * Retries failed requests with exponential backoff
+   * Send a request with timeout, retries and hooks
+   * Retries only idempotent requests (GET, HEAD, OPTIONS, PUT, DELETE unless
+   * options.idempotent says otherwise) after a timeout, a network error or a
+   * 408/429/500/502/503/504 response. Other failures are thrown right away.
    *
    * @param {string} url - URL to fetch
-   * @param {object} options - Fetch options (optional)
-   * @param {number} maxRetries - Maximum number of retry attempts (default: 3)
-   * @returns {Promise<Response>} Fetch response
-   * @throws {Error} If all retry attempts fail
+   * @param {object} options - fetch() options (method, headers, body...) plus:
+   * @param {AbortSignal} options.signal - Cancels the request and any pending retry (optional)
+   * @param {number} options.timeout - Timeout per attempt in milliseconds (optional)
+   * @param {number} options.attempts - Attempts including the first (optional)
+   * @param {boolean} options.idempotent - Override whether the request may be retried (optional)
+   * @param {object} options.hooks - Hooks for this request only, as in addHooks() (optional)
+   * @returns {Promise<Response>} Fetch response (always ok)
+   * @throws {APIError} Typed error from the last attempt
    */
-  async function fetchWithRetry(url, options = {}, maxRetries = 3) {
-    for (let i = 0; i < maxRetries; i++) {
+  async function request(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const attempts = Math.max(1, options.attempts || DEFAULTS.attempts);
+    const timeout = options.timeout ?? DEFAULTS.timeout;
+    const idempotent = options.idempotent ?? IDEMPOTENT_METHODS.includes(method);
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      const context = { url, method, attempt, attempts };
+      let error;
+
+      // No point sending anything while the browser knows it's offline,
+      // unless the service worker can answer a read from its cache
+      const swCanAnswer = method === 'GET' && Boolean(navigator.serviceWorker?.controller);
+      if (navigator.onLine === false && !swCanAnswer) {
+        error = new NetworkError('Browser is offline', { offline: true });
+        runHooks('onError', options.hooks, { ...context, error });
+        throw error;
+      }
+
+      runHooks('beforeRequest', options.hooks, context);
+      const started = Date.now();
+
       try {
-        const response = await fetchWithTimeout(url, 10000);
+        const response = await fetchWithTimeout(url, timeout, options);
+        runHooks('afterResponse', options.hooks, { ...context, response, duration: Date.now() - started });
 
         // If response is ok, return it
         if (response.ok) {
           return response;
         }
 
-        // If this is the last retry, throw error
-        if (i === maxRetries - 1) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
+        error = createResponseError(response);
+      } catch (fetchError) {
+        error = fetchError;
+      }
 
-      } catch (error) {
-        // If this is the last retry, throw the error
-        if (i === maxRetries - 1) {
-          throw error;
-        }
+      // If this is the last attempt or retrying won't help, throw the error
+      if (attempt === attempts || !shouldRetry(error, idempotent)) {
+        runHooks('onError', options.hooks, { ...context, error });
+        throw error;
       }
 
-      // Wait before retrying (exponential backoff: 1s, 2s, 4s)
-      await new Promise(resolve => setTimeout(resolve, Math.pow(2, i) * 1000));
+      const delay = getRetryDelay(attempt, error);
+      runHooks('beforeRetry', options.hooks, { ...context, error, delay });
+
+      try {
+        await wait(delay, options.signal);
+      } catch (abortError) {
+        runHooks('onError', options.hooks, { ...context, error: abortError });
+        throw abortError;
+      }
     }
   }
 
+  /**
+   * Fetch with retry logic
+   * Shorthand for request() with the attempt count as an argument.
+   *
+   * @param {string} url - URL to fetch
+   * @param {object} options - Request options, as in request() (optional)
+   * @param {number} maxRetries - Maximum attempts (optional, default from config)
+   * @returns {Promise<Response>} Fetch response (always ok)
+   * @throws {APIError} Typed error if all retry attempts fail
+   */
+  function fetchWithRetry(url, options = {}, maxRetries) {
+    return request(url, maxRetries ? { ...options, attempts: maxRetries } : options);
+  }
+
   /**
    * Fetch JSON with timeout and retry
-   * Convenience method that combines fetchWithRetry and JSON parsing
+   * Overlapping GET requests for the same URL and options share one network request.
+   * With options.caching, GET responses are also cached by URL:
+   * - fresh (younger than ttl): returned without a request
+   * - stale with staleWhileRevalidate: returned at once while a fresh copy
+   *   loads; onUpdate receives it if it differs
+   * - otherwise: fetched, cached and returned
    *
    * @param {string} url - URL to fetch
-   * @param {object} options - Fetch options (optional)
-   * @param {number} maxRetries - Maximum number of retry attempts (default: 3)
+   * @param {object} options - Request options, as in request(), plus (optional):
+   * @param {object} options.caching - Cache settings (omit for no caching):
+   *   {ttl (seconds), persist (keep in localStorage), staleWhileRevalidate,
+   *   onUpdate(data), validate(data) (only matching responses are cached),
+   *   onCacheHit({age, stale, refresh}) (called when the cached copy is returned;
+   *   refresh is the background request for a stale copy, or null)}
+   * @param {number} maxRetries - Maximum attempts (optional, default from config)
    * @returns {Promise<object>} Parsed JSON response
-   * @throws {Error} If request fails or JSON parsing fails
+   * @throws {APIError} If request fails or the body isn't valid JSON
    */
-  async function fetchJSON(url, options = {}, maxRetries = 3) {
-    const response = await fetchWithRetry(url, options, maxRetries);
-    return await response.json();
+  async function fetchJSON(url, options = {}, maxRetries) {
+    const { caching, ...requestOptions } = options;
+
+    // Only reads are shared and cached
+    if ((options.method || 'GET').toUpperCase() !== 'GET') {
+      return requestJSON(url, requestOptions, maxRetries);
+    }
+    if (!caching) {
+      return fetchShared(url, requestOptions, maxRetries);
+    }
+
+    const isValid = (data) => !caching.validate || caching.validate(data);
+    const entry = readCache(url, caching.persist);
+    const age = entry ? (Date.now() - entry.time) / 1000 : Infinity;
+
+    if (entry && age < (caching.ttl || 0)) {
+      caching.onCacheHit?.({ age, stale: false, refresh: null });
+      return entry.data;
+    }
+
+    const refresh = fetchShared(url, requestOptions, maxRetries).then((data) => {
+      if (isValid(data)) {
+        writeCache(url, data, caching.persist);
+      }
+      return data;
+    });
+
+    if (entry && caching.staleWhileRevalidate) {
+      refresh
+        .then((data) => {
+          if (isValid(data) && JSON.stringify(data) !== JSON.stringify(entry.data)) {
+            caching.onUpdate?.(data);
+          }
+        })
+        .catch(() => {
+          // Keep the stale copy; the next call tries again
+        });
+      caching.onCacheHit?.({ age, stale: true, refresh });
+      return entry.data;
+    }
+
+    return refresh;
+  }
+
+  /**
+   * Remove cached responses
+   * @param {string} url - URL to forget (optional, default: all)
+   */
+  function clearCache(url) {
+    const keys = [];
+    try {
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key?.startsWith(CACHE_PREFIX) && (!url || key === CACHE_PREFIX + url)) {
+          keys.push(key);
+        }
+      }
+      keys.forEach((key) => localStorage.removeItem(key));
+    } catch (error) {
+      // Storage unavailable - nothing persisted to clear
+    }
+
+    if (url) {
+      memoryCache.delete(url);
+    } else {
+      memoryCache.clear();
+    }
   }
 
   // Export public API
   window.AdditiveArtisanAPI = {
+    request,
     fetchWithTimeout,
     fetchWithRetry,
-    fetchJSON
+    fetchJSON,
+    addHooks,
+    clearCache,
+    createResponseError,
+    parseRetryAfter,
+    errors: {
+      APIError,
+      NotFoundError,
+      UnauthorizedError,
+      RateLimitedError,
+      TimeoutError,
+      NetworkError,
+      ServerError,
+      MalformedResponseError,
+      AbortedError,
+    },
   };
 
 })(window);
@@ -0,0 +1,119 @@
+/**
+ * Carrier Detection for Additive Artisan
+ * Recognizes USPS, UPS, FedEx and DHL tracking numbers and builds carrier tracking links
+ */
+
+(function (window) {
+  "use strict";
+
+  /**
+   * Supported carriers
+   * Patterns are checked in order against the tracking number with spaces and
+   * dashes removed, so the more specific formats come first (a 22-digit USPS
+   * number would otherwise look like FedEx). aliases match an explicit
+   * carrier name from Airtable, case-insensitively.
+   */
+  const CARRIERS = [
+    {
+      id: "ups",
+      name: "UPS",
+      aliases: ["ups", "united parcel service"],
+      patterns: [/^1Z[0-9A-Z]{16}$/, /^T\d{10}$/],
+      url: "https://www.ups.com/track?tracknum={number}",
+    },
+    {
+      id: "usps",
+      name: "USPS",
+      aliases: ["usps", "united states postal service", "us postal service"],
+      patterns: [/^9[1-5]\d{18,20}$/, /^420\d{5}9[1-5]\d{18,20}$/, /^[A-Z]{2}\d{9}US$/],
+      url: "https://tools.usps.com/go/TrackConfirmAction?tLabels={number}",
+    },
+    {
+      id: "fedex",
+      name: "FedEx",
+      aliases: ["fedex", "federal express"],
+      patterns: [/^\d{12}$/, /^\d{15}$/, /^96\d{20}$/],
+      url: "https://www.fedex.com/fedextrack/?trknbr={number}",
+    },
+    {
+      id: "dhl",
+      name: "DHL",
+      aliases: ["dhl", "dhl express", "dhl ecommerce"],
+      patterns: [/^\d{10,11}$/, /^JJD\d{18}$/, /^GM\d{16,18}$/],
+      url: "https://www.dhl.com/global-en/home/tracking/tracking-express.html?submit=1&tracking-id={number}",
+    },
+  ];
+
+  // =========================================================================
+  // Private Functions
+  // =========================================================================
+
+  /**
+   * Normalize a tracking number for matching and links
+   * @param {*} trackingNumber - Raw tracking number
+   * @returns {string} Uppercase number without spaces or dashes
+   */
+  function normalizeNumber(trackingNumber) {
+    return typeof trackingNumber === "string" || typeof trackingNumber === "number"
+      ? String(trackingNumber).replace(/[\s-]/g, "").toUpperCase()
+      : "";
+  }
+
+  /**
+   * Find a carrier by name or ID
+   * @param {string} name - Carrier name (e.g. "FedEx", "United States Postal Service")
+   * @returns {object|undefined} Carrier
+   */
+  function findCarrierByName(name) {
+    const key = name.trim().toLowerCase();
+    return CARRIERS.find((carrier) => carrier.id === key || carrier.aliases.includes(key));
+  }
+
+  // =========================================================================
+  // Public API
+  // =========================================================================
+
+  /**
+   * Detect the carrier for a tracking number
+   * An explicit carrier name wins over the number format. Unknown explicit
+   * carriers are returned without a link so the name can still be shown.
+   *
+   * @param {string} trackingNumber - Tracking number from the order
+   * @param {string} carrierName - Explicit carrier from the order (optional)
+   * @returns {object|null} {id, name, number, url} or null if unknown
+   */
+  function detectCarrier(trackingNumber, carrierName = "") {
+    const number = normalizeNumber(trackingNumber);
+    if (!number) return null;
+
+    const explicitName = typeof carrierName === "string" ? carrierName.trim() : "";
+    const carrier = explicitName
+      ? findCarrierByName(explicitName)
+      : CARRIERS.find((item) => item.patterns.some((pattern) => pattern.test(number)));
+
+    if (!carrier) {
+      return explicitName ? { id: "", name: explicitName, number, url: "" } : null;
+    }
+
+    return {
+      id: carrier.id,
+      name: carrier.name,
+      number,
+      url: carrier.url.replace("{number}", encodeURIComponent(number)),
+    };
+  }
+
+  /**
+   * Get the supported carriers
+   * @returns {Array<object>} Carriers ({id, name})
+   */
+  function getCarriers() {
+    return CARRIERS.map(({ id, name }) => ({ id, name }));
+  }
+
+  // Export to window
+  window.AdditiveArtisanCarriers = {
+    detectCarrier,
+    getCarriers,
+  };
+})(window);
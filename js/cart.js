@@ -0,0 +1,730 @@
+/**
+ * Cart for Additive Artisan
+ * Local cart with saved-for-later items, cross-tab sync and Etsy/contact handoff
+ */
+
+(function (window) {
+  "use strict";
+
+  const utils = window.AdditiveArtisanUtils;
+  const i18n = window.AdditiveArtisanI18n;
+  const schema = window.AdditiveArtisanProductSchema;
+
+  const STORAGE_KEY = "cart";
+  const MAX_QUANTITY = 99;
+
+  // Cart items: {id, title, price, etsyUrl, imageUrl, quantity, savedForLater}
+  let items = [];
+
+  // Element that opened the drawer, focused again on close
+  let lastFocused = null;
+
+  // =========================================================================
+  // Storage
+  // =========================================================================
+
+  /**
+   * Check a stored item has the fields the cart needs
+   * Stored items can be edited by anyone with the browser, so the ID and
+   * URLs that go into the drawer's HTML must look like the catalog's.
+   * @param {*} item - Stored item
+   * @returns {boolean} True if usable
+   */
+  function isValidItem(item) {
+    return Boolean(
+      item &&
+        typeof item.id === "string" &&
+        schema.ID_PATTERN.test(item.id) &&
+        typeof item.title === "string" &&
+        typeof item.price === "number" &&
+        utils.isValidURL(item.etsyUrl) &&
+        (!item.imageUrl || utils.isValidURL(item.imageUrl)),
+    );
+  }
+
+  /**
+   * Read cart items from localStorage
+   * @returns {Array} Cart items (empty if missing or corrupt)
+   */
+  function readItems() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+      return Array.isArray(stored)
+        ? stored.filter(isValidItem).map((item) => ({
+            ...item,
+            quantity: clampQuantity(item.quantity),
+            savedForLater: Boolean(item.savedForLater),
+          }))
+        : [];
+    } catch (error) {
+      // Corrupt or unavailable storage - start with an empty cart
+      return [];
+    }
+  }
+
+  /**
+   * Save cart items to localStorage and re-render
+   */
+  function saveItems() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+    } catch (error) {
+      // Storage full or disabled (private browsing) - cart lasts for this page only
+    }
+    render();
+  }
+
+  /**
+   * Clamp a quantity to 1..MAX_QUANTITY
+   * @param {*} quantity - Raw quantity
+   * @returns {number} Whole quantity
+   */
+  function clampQuantity(quantity) {
+    const value = Math.floor(Number(quantity));
+    return isFinite(value) ? Math.min(Math.max(value, 1), MAX_QUANTITY) : 1;
+  }
+
+  // =========================================================================
+  // Cart Operations
+  // =========================================================================
+
+  /**
+   * Find a cart item by product ID
+   * @param {string} id - Product ID
+   * @returns {object|undefined} Cart item
+   */
+  function findItem(id) {
+    return items.find((item) => item.id === id);
+  }
+
+  /**
+   * Add a product to the cart (or increase its quantity)
+   * A saved-for-later product is moved back into the cart.
+   *
+   * @param {object} product - Product object
+   * @param {number} quantity - Quantity to add (default: 1)
+   */
+  function addItem(product, quantity = 1) {
+    if (!isValidItem(product)) return;
+
+    const existing = findItem(product.id);
+    if (existing) {
+      existing.quantity = existing.savedForLater
+        ? clampQuantity(quantity)
+        : clampQuantity(existing.quantity + quantity);
+      existing.savedForLater = false;
+    } else {
+      items.push({
+        id: product.id,
+        title: product.title,
+        price: product.price,
+        etsyUrl: product.etsyUrl,
+        imageUrl: product.imageUrl || null,
+        quantity: clampQuantity(quantity),
+        savedForLater: false,
+      });
+    }
+
+    saveItems();
+    announce(i18n.t("cart.added", { title: product.title }));
+  }
+
+  /**
+   * Save a product for later (adds it to the saved list if not in the cart)
+   * @param {object} product - Product object
+   */
+  function saveForLater(product) {
+    if (!isValidItem(product)) return;
+
+    const existing = findItem(product.id);
+    if (existing) {
+      existing.savedForLater = true;
+    } else {
+      items.push({
+        id: product.id,
+        title: product.title,
+        price: product.price,
+        etsyUrl: product.etsyUrl,
+        imageUrl: product.imageUrl || null,
+        quantity: 1,
+        savedForLater: true,
+      });
+    }
+
+    saveItems();
+    announce(i18n.t("cart.saved", { title: product.title }));
+  }
+
+  /**
+   * Set the quantity of a cart item
+   * @param {string} id - Product ID
+   * @param {number} quantity - New quantity (0 removes the item)
+   */
+  function setQuantity(id, quantity) {
+    const item = findItem(id);
+    if (!item) return;
+
+    if (Number(quantity) <= 0) {
+      removeItem(id);
+      return;
+    }
+
+    item.quantity = clampQuantity(quantity);
+    saveItems();
+  }
+
+  /**
+   * Move an item between the cart and the saved-for-later list
+   * @param {string} id - Product ID
+   * @param {boolean} savedForLater - True to save for later, false to move to cart
+   */
+  function setSavedForLater(id, savedForLater) {
+    const item = findItem(id);
+    if (!item) return;
+
+    item.savedForLater = savedForLater;
+    saveItems();
+  }
+
+  /**
+   * Remove an item from the cart and saved list
+   * @param {string} id - Product ID
+   */
+  function removeItem(id) {
+    items = items.filter((item) => item.id !== id);
+    saveItems();
+  }
+
+  /**
+   * Remove all items in the cart (saved-for-later items are kept)
+   */
+  function clearCart() {
+    items = items.filter((item) => item.savedForLater);
+    saveItems();
+  }
+
+  /**
+   * Get cart items with current catalog details
+   * Title, price and listing URL come from the loaded catalog when available,
+   * so prices changed since the item was added are shown correctly.
+   *
+   * @returns {Array} Cart items (copies)
+   */
+  function getItems() {
+    const products = window.AdditiveArtisanProducts;
+
+    return items.map((item) => {
+      const product = products ? products.getProductById(item.id) : null;
+      return product
+        ? {
+            ...item,
+            title: product.title,
+            price: product.price,
+            etsyUrl: product.etsyUrl,
+            imageUrl: product.imageUrl || null,
+          }
+        : { ...item };
+    });
+  }
+
+  /**
+   * Get cart totals (saved-for-later items are excluded)
+   * @returns {{count: number, subtotal: number}} Item count and subtotal
+   */
+  function getTotals() {
+    return getItems()
+      .filter((item) => !item.savedForLater)
+      .reduce(
+        (totals, item) => ({
+          count: totals.count + item.quantity,
+          subtotal: totals.subtotal + item.price * item.quantity,
+        }),
+        { count: 0, subtotal: 0 },
+      );
+  }
+
+  // =========================================================================
+  // Checkout Handoff
+  // =========================================================================
+
+  /**
+   * Open the Etsy listing for every item in the cart
+   * Browsers may block all but the first tab; links stay in the drawer.
+   *
+   * @returns {number} Number of tabs that could not be opened
+   */
+  function openEtsyListings() {
+    const urls = [
+      ...new Set(
+        getItems()
+          .filter((item) => !item.savedForLater)
+          .map((item) => item.etsyUrl),
+      ),
+    ];
+
+    let blocked = 0;
+    urls.forEach((url) => {
+      const tab = window.open(url, "_blank");
+      if (tab) {
+        tab.opener = null;
+      } else {
+        blocked++;
+      }
+    });
+
+    return blocked;
+  }
+
+  /**
+   * Build a contact message listing the cart items
+   * @returns {string} Message text (empty if the cart is empty)
+   */
+  function buildContactMessage() {
+    const cartItems = getItems().filter((item) => !item.savedForLater);
+    if (cartItems.length === 0) return "";
+
+    const lines = cartItems.map((item) =>
+      i18n.t("cart.message.item", {
+        quantity: item.quantity,
+        title: item.title,
+        price: utils.formatPrice(item.price, { convert: false }),
+      }),
+    );
+
+    return [
+      i18n.t("cart.message.intro"),
+      "",
+      ...lines,
+      "",
+      i18n.t("cart.message.total", {
+        total: utils.formatPrice(getTotals().subtotal, { convert: false }),
+      }),
+    ].join("\n");
+  }
+
+  /**
+   * Fill the contact form with the cart contents and go to the Contact page
+   */
+  function sendToContactForm() {
+    const message = buildContactMessage();
+    if (!message) return;
+
+    const subject = document.getElementById("contact-subject");
+    const textarea = document.getElementById("contact-message");
+
+    if (subject) {
+      subject.value = "order";
+      // Leaves the custom request steps if they were open
+      subject.dispatchEvent(new Event("change"));
+    }
+    if (textarea) {
+      textarea.value = message;
+    }
+
+    closeDrawer(false);
+
+    if (window.location.hash === "#contact") {
+      textarea?.focus();
+      return;
+    }
+
+    // The hash change shows the Contact page, so focus once it's visible
+    if (textarea) {
+      window.addEventListener("hashchange", () => textarea.focus(), { once: true });
+    }
+    window.location.hash = "#contact";
+  }
+
+  // =========================================================================
+  // Rendering
+  // =========================================================================
+
+  /**
+   * Create "Add to cart" button HTML for a product
+   * @param {object} product - Product object
+   * @param {string} className - Extra button classes (optional)
+   * @returns {string} HTML string
+   */
+  function createAddButtonHTML(product, className = "") {
+    return `
+      <button type="button"
+              class="cart-add-btn ${className}"
+              data-cart-add="${utils.escapeAttribute(product.id)}"
+              aria-label="${i18n.t("cart.addLabel", { title: utils.escapeAttribute(product.title) })}">
+        ${i18n.t("cart.add")}
+      </button>
+    `;
+  }
+
+  /**
+   * Create "Save for later" button HTML for a product
+   * @param {object} product - Product object
+   * @returns {string} HTML string
+   */
+  function createSaveButtonHTML(product) {
+    return `
+      <button type="button"
+              class="cart-save-btn"
+              data-cart-save="${utils.escapeAttribute(product.id)}"
+              aria-label="${i18n.t("cart.saveLabel", { title: utils.escapeAttribute(product.title) })}">
+        ${i18n.t("cart.saveForLater")}
+      </button>
+    `;
+  }
+
+  /**
+   * Create drawer item HTML
+   * @param {object} item - Cart item
+   * @returns {string} HTML string
+   */
+  function createItemHTML(item) {
+    const title = utils.escapeHTML(item.title);
+    const label = utils.escapeAttribute(item.title);
+    const imageHTML = item.imageUrl
+      ? `<img src="${utils.escapeAttribute(item.imageUrl)}" alt="" loading="lazy" />`
+      : "";
+
+    const controlsHTML = item.savedForLater
+      ? `<button type="button" class="cart-item-action" data-cart-action="move">${i18n.t("cart.moveToCart")}</button>`
+      : `<div class="cart-item-quantity" role="group" aria-label="${i18n.t("cart.quantityLabel", { title: label })}">
+          <button type="button" class="cart-qty-btn" data-cart-action="decrease"
+                  aria-label="${i18n.t("cart.decrease")}">&minus;</button>
+          <span class="cart-qty-value" aria-live="polite">${item.quantity}</span>
+          <button type="button" class="cart-qty-btn" data-cart-action="increase"
+                  aria-label="${i18n.t("cart.increase")}" ${item.quantity >= MAX_QUANTITY ? "disabled" : ""}>+</button>
+        </div>
+        <button type="button" class="cart-item-action" data-cart-action="save">${i18n.t("cart.saveForLater")}</button>`;
+
+    return `
+      <li class="cart-item" data-id="${item.id}">
+        <div class="cart-item-image">${imageHTML}</div>
+        <div class="cart-item-info">
+          <a href="#product/${item.id}" class="cart-item-title" data-cart-close>${title}</a>
+          <span class="cart-item-price">${utils.formatPrice(item.price)}</span>
+          <a href="${utils.escapeAttribute(item.etsyUrl)}" class="cart-item-etsy" target="_blank" rel="noopener noreferrer">
+            ${i18n.t("cart.viewOnEtsy")}
+          </a>
+          <div class="cart-item-controls">
+            ${controlsHTML}
+            <button type="button" class="cart-item-action" data-cart-action="remove"
+                    aria-label="${i18n.t("cart.removeLabel", { title: label })}">${i18n.t("cart.remove")}</button>
+          </div>
+        </div>
+      </li>
+    `;
+  }
+
+  /**
+   * Render drawer contents
+   */
+  function renderDrawer() {
+    const body = document.getElementById("cart-items");
+    const summary = document.getElementById("cart-summary");
+    if (!body || !summary) return;
+
+    const allItems = getItems();
+    const cartItems = allItems.filter((item) => !item.savedForLater);
+    const savedItems = allItems.filter((item) => item.savedForLater);
+    const totals = getTotals();
+    const approximateNote = window.AdditiveArtisanCurrency
+      ? window.AdditiveArtisanCurrency.getApproximateNote()
+      : "";
+
+    const cartHTML = cartItems.length
+      ? `<ul class="cart-list">${cartItems.map(createItemHTML).join("")}</ul>`
+      : `<p class="cart-empty">${i18n.t("cart.empty")}</p>`;
+
+    const savedHTML = savedItems.length
+      ? `<h3 class="cart-saved-title">${i18n.t("cart.savedTitle", { count: savedItems.length })}</h3>
+         <ul class="cart-list cart-list--saved">${savedItems.map(createItemHTML).join("")}</ul>`
+      : "";
+
+    body.innerHTML = cartHTML + savedHTML;
+
+    summary.innerHTML = cartItems.length
+      ? `
+        <div class="cart-subtotal">
+          <span>${i18n.t("cart.subtotal", { count: totals.count })}</span>
+          <strong>${utils.formatPrice(totals.subtotal)}</strong>
+        </div>
+        <p class="cart-note">${i18n.t("cart.shippingNote")}</p>
+        ${approximateNote ? `<p class="cart-note">${approximateNote}</p>` : ""}
+        <button type="button" class="btn btn--primary" data-cart-checkout="etsy">
+          ${i18n.t("cart.openListings", { count: cartItems.length })}
+        </button>
+        <button type="button" class="btn btn--secondary" data-cart-checkout="contact">
+          ${i18n.t("cart.requestViaContact")}
+        </button>
+        <p id="cart-checkout-message" class="cart-note hidden" role="status"></p>
+      `
+      : "";
+  }
+
+  /**
+   * Update the header badge
+   */
+  function renderBadge() {
+    const { count } = getTotals();
+    const badge = document.getElementById("cart-badge");
+    const toggle = document.getElementById("cart-toggle");
+
+    if (badge) {
+      badge.textContent = count > MAX_QUANTITY ? `${MAX_QUANTITY}+` : String(count);
+      badge.classList.toggle("hidden", count === 0);
+    }
+    if (toggle) {
+      toggle.setAttribute(
+        "aria-label",
+        count ? i18n.t("cart.openWithCount", { count }) : i18n.t("cart.open"),
+      );
+    }
+  }
+
+  /**
+   * Render badge and drawer
+   */
+  function render() {
+    renderBadge();
+    renderDrawer();
+  }
+
+  /**
+   * Announce a change to screen readers
+   * @param {string} message - Message to announce
+   */
+  function announce(message) {
+    const status = document.getElementById("cart-status");
+    if (status) {
+      status.textContent = message;
+    }
+  }
+
+  // =========================================================================
+  // Drawer
+  // =========================================================================
+
+  /**
+   * Check if the drawer is open
+   * @returns {boolean} True if open
+   */
+  function isDrawerOpen() {
+    const drawer = document.getElementById("cart-drawer");
+    return Boolean(drawer && !drawer.classList.contains("hidden"));
+  }
+
+  /**
+   * Open the cart drawer
+   */
+  function openDrawer() {
+    const drawer = document.getElementById("cart-drawer");
+    if (!drawer) return;
+
+    lastFocused = document.activeElement;
+    renderDrawer();
+    drawer.classList.remove("hidden");
+    document.body.classList.add("cart-open");
+    document.getElementById("cart-toggle")?.setAttribute("aria-expanded", "true");
+    drawer.querySelector(".cart-drawer-panel")?.focus();
+  }
+
+  /**
+   * Close the cart drawer
+   * @param {boolean} restoreFocus - Focus the element that opened it (default: true)
+   */
+  function closeDrawer(restoreFocus = true) {
+    const drawer = document.getElementById("cart-drawer");
+    if (!drawer || drawer.classList.contains("hidden")) return;
+
+    drawer.classList.add("hidden");
+    document.body.classList.remove("cart-open");
+    document.getElementById("cart-toggle")?.setAttribute("aria-expanded", "false");
+
+    if (restoreFocus && lastFocused && lastFocused.focus) {
+      lastFocused.focus();
+    }
+    lastFocused = null;
+  }
+
+  /**
+   * Keep keyboard focus inside the open drawer
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  function trapFocus(e) {
+    const panel = document.querySelector("#cart-drawer .cart-drawer-panel");
+    if (!panel) return;
+
+    const focusable = panel.querySelectorAll(
+      'a[href], button:not([disabled]), [tabindex]:not([tabindex="-1"])',
+    );
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && (document.activeElement === first || document.activeElement === panel)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  // =========================================================================
+  // Event Handlers
+  // =========================================================================
+
+  /**
+   * Look up a product from the loaded catalog
+   * @param {string} id - Product ID
+   * @returns {object|null} Product or null
+   */
+  function getProduct(id) {
+    const products = window.AdditiveArtisanProducts;
+    return products ? products.getProductById(id) : null;
+  }
+
+  /**
+   * Handle "Add to cart" / "Save for later" buttons anywhere on the page
+   * @param {Event} e - Click event
+   */
+  function handleDocumentClick(e) {
+    const addButton = e.target.closest("[data-cart-add]");
+    if (addButton) {
+      const product = getProduct(addButton.dataset.cartAdd);
+      if (product) {
+        addItem(product);
+        addButton.classList.add("added");
+        setTimeout(() => addButton.classList.remove("added"), 1500);
+      }
+      return;
+    }
+
+    const saveButton = e.target.closest("[data-cart-save]");
+    if (saveButton) {
+      const product = getProduct(saveButton.dataset.cartSave);
+      if (product) {
+        saveForLater(product);
+      }
+    }
+  }
+
+  /**
+   * Handle clicks inside the drawer
+   * @param {Event} e - Click event
+   */
+  function handleDrawerClick(e) {
+    if (e.target.closest("[data-cart-close]")) {
+      closeDrawer(!e.target.closest("a"));
+      return;
+    }
+
+    const checkout = e.target.closest("[data-cart-checkout]");
+    if (checkout) {
+      if (checkout.dataset.cartCheckout === "contact") {
+        sendToContactForm();
+        return;
+      }
+
+      const blocked = openEtsyListings();
+      const message = document.getElementById("cart-checkout-message");
+      if (message && blocked > 0) {
+        message.textContent = i18n.t("cart.tabsBlocked");
+        message.classList.remove("hidden");
+      }
+      return;
+    }
+
+    const actionButton = e.target.closest("[data-cart-action]");
+    const itemElement = e.target.closest(".cart-item");
+    if (!actionButton || !itemElement) return;
+
+    const id = itemElement.dataset.id;
+    const item = findItem(id);
+    if (!item) return;
+
+    switch (actionButton.dataset.cartAction) {
+      case "increase":
+        setQuantity(id, item.quantity + 1);
+        break;
+      case "decrease":
+        setQuantity(id, item.quantity - 1);
+        break;
+      case "save":
+        setSavedForLater(id, true);
+        break;
+      case "move":
+        setSavedForLater(id, false);
+        break;
+      case "remove":
+        removeItem(id);
+        break;
+    }
+
+    // Re-rendering replaced the clicked button; keep focus in the drawer
+    document.querySelector("#cart-drawer .cart-drawer-panel")?.focus();
+  }
+
+  /**
+   * Sync cart changes made in other tabs
+   * @param {StorageEvent} e - Storage event
+   */
+  function handleStorage(e) {
+    if (e.key === STORAGE_KEY || e.key === null) {
+      items = readItems();
+      render();
+    }
+  }
+
+  /**
+   * Initialize cart: load stored items, render badge and wire up events
+   */
+  function initCart() {
+    items = readItems();
+    render();
+
+    document.addEventListener("click", handleDocumentClick);
+
+    const toggle = document.getElementById("cart-toggle");
+    if (toggle) {
+      toggle.addEventListener("click", openDrawer);
+    }
+
+    const drawer = document.getElementById("cart-drawer");
+    if (drawer) {
+      drawer.addEventListener("click", handleDrawerClick);
+      drawer.addEventListener("keydown", (e) => {
+        if (e.key === "Escape") {
+          closeDrawer();
+        } else if (e.key === "Tab") {
+          trapFocus(e);
+        }
+      });
+    }
+
+    window.addEventListener("storage", handleStorage);
+    window.addEventListener("additiveartisan:currencychange", render);
+    window.addEventListener("additiveartisan:languagechange", render);
+  }
+
+  // Export to window
+  window.AdditiveArtisanCart = {
+    initCart,
+    addItem,
+    saveForLater,
+    setQuantity,
+    setSavedForLater,
+    removeItem,
+    clearCart,
+    getItems,
+    getTotals,
+    openDrawer,
+    closeDrawer,
+    isDrawerOpen,
+    openEtsyListings,
+    buildContactMessage,
+    createAddButtonHTML,
+    createSaveButtonHTML,
+    render,
+  };
+})(window);
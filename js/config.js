@@ -71,6 +71,103 @@
         shipped: "https://assets.lottiefiles.com/packages/YOUR_ANIMATION_URL_7.json",
         delivered: "https://assets.lottiefiles.com/packages/YOUR_ANIMATION_URL_8.json",
       },
+
+      /**
+       * Status Workflow
+       *
+       * Maps each Airtable Status value to a tracker step. The timeline is
+       * built from `steps` in this order; the last step ends the journey.
+       * `exceptions` are states outside the normal flow (e.g. On Hold) and
+       * are shown beside the timeline, next to the last step reached.
+       *
+       * Each entry:
+       * - status: Airtable Status value (must match exactly - case-sensitive)
+       * - step: Short name used for lottieUrls, averageStepHours and
+       *   tracker.status.<step>.* translations (lowercase letters, digits, dashes)
+       * - emoji: Shown while the order is in this state
+       * - label / message / description (optional): Text used when there is
+       *   no tracker.status.<step>.* translation (e.g. for a quick test)
+       * - skipFor (optional, steps only): Fulfillment types that skip this
+       *   step, matched against the order's Fulfillment field
+       * - terminal (optional, exceptions only): The order won't move on
+       *   (no estimate, watching stops)
+       */
+      workflow: {
+        steps: [
+          { status: "Order Received", step: "received", emoji: "👋" },
+          { status: "In Queue", step: "queue", emoji: "📋" },
+          { status: "Printing", step: "printing", emoji: "🖨️" },
+          { status: "Post-Processing", step: "processing", emoji: "🔧" },
+          { status: "Quality Control", step: "quality", emoji: "🔍" },
+          { status: "Packaging", step: "packaging", emoji: "📦", skipFor: ["digital"] },
+          { status: "Shipped", step: "shipped", emoji: "✈️", skipFor: ["digital"] },
+          { status: "Delivered", step: "delivered", emoji: "🎉" },
+        ],
+        exceptions: [
+          { status: "Awaiting Material", step: "material", emoji: "🧵" },
+          { status: "On Hold", step: "hold", emoji: "⏸️" },
+          { status: "Cancelled", step: "cancelled", emoji: "🚫", terminal: true },
+        ],
+      },
+
+      /**
+       * Average Hours per Step
+       *
+       * Typical time an order spends in each status before moving on. The
+       * tracker adds up the remaining steps to show an estimated delivery
+       * date; remove a step to hide the estimate.
+       *
+       * Adjust these as you learn your real turnaround (the Status History
+       * timestamps returned by the orders Worker are a good source).
+       */
+      averageStepHours: {
+        received: 24,
+        queue: 48,
+        printing: 24,
+        processing: 12,
+        quality: 6,
+        packaging: 12,
+        shipped: 96,
+      },
+
+      /**
+       * Order Watching
+       *
+       * "Watch for updates" re-checks the displayed order while the tab is
+       * visible and sends a browser notification when it reaches a new step.
+       * Checks start every pollSeconds and double (up to maxPollSeconds) while
+       * nothing changes. The orders Worker caches for 60 seconds, so shorter
+       * intervals only add requests.
+       */
+      watch: {
+        pollSeconds: 60,
+        maxPollSeconds: 900,
+      },
+
+      /**
+       * Order lookup cache (seconds)
+       *
+       * Repeat lookups of the same order within this time (e.g. opening it
+       * from My Orders right after tracking it) reuse the last response
+       * instead of calling the Worker. Kept in memory only, never saved to
+       * the device. Watching an order always asks the Worker. 0 disables it.
+       */
+      cacheSeconds: 60,
+
+      /**
+       * My Orders
+       *
+       * Recently tracked orders are remembered on the customer's device (the
+       * email only if they tick "Remember my email") and listed under the
+       * search form. Up to maxOrders are kept; their statuses are looked up
+       * batchSize at a time when the Track section opens, at most once every
+       * refreshSeconds.
+       */
+      myOrders: {
+        maxOrders: 10,
+        batchSize: 3,
+        refreshSeconds: 300,
+      },
     },
 
     // =========================================================================
@@ -78,9 +175,170 @@
     // =========================================================================
     products: {
       /**
-       * Product-related configuration can be added here in the future
-       * Currently, product settings are managed in js/products.js
+       * Cloudflare Workers Products Endpoint
+       *
+       * TODO: Replace with your products Worker URL after setup
+       *
+       * Example: "https://additiveartisan-products.YOUR_SUBDOMAIN.workers.dev"
+       *
+       * Leave empty to load data/products.json only.
+       * See docs/cloudflare_workers_setup.md for setup instructions
+       */
+      apiEndpoint: "",
+
+      /**
+       * Use Airtable (via the products Worker) as the primary source
+       *
+       * Set to false to skip the Worker and always use the local JSON file.
+       */
+      useAirtable: true,
+
+      /**
+       * Local fallback catalog
+       *
+       * Loaded when the Worker is disabled, unreachable or returns bad data.
+       */
+      fallbackUrl: "data/products.json",
+
+      /**
+       * Maximum Worker attempts before falling back to local JSON
+       */
+      maxRetries: 2,
+
+      /**
+       * Catalog cache (seconds)
+       *
+       * The last catalog is saved on the visitor's device. Within this many
+       * seconds it is used without a request; after that it is still shown
+       * instantly while a fresh copy loads, and the Shop re-renders if
+       * anything changed. Set to 0 to always wait for the network.
+       */
+      cacheSeconds: 300,
+
+      /**
+       * Maximum tag chips shown on the Shop page (most used tags first)
+       */
+      maxTagFilters: 12,
+
+      /**
+       * Products per page on the Shop page
+       *
+       * Only one page of cards is in the DOM at a time, so large catalogs
+       * stay fast. The current page is kept in the URL (?page=2).
+       */
+      pageSize: 12,
+
+      /**
+       * 3D Model Viewer
+       *
+       * Products with a modelUrl (.glb/.gltf) show an interactive viewer.
+       * Viewers load only when scrolled into view (within rootMargin).
+       * Auto-rotate is always disabled for users who prefer reduced motion.
+       */
+      modelViewer: {
+        autoRotate: true,
+        rootMargin: "200px",
+      },
+    },
+
+    // =========================================================================
+    // Contact Form Settings
+    // =========================================================================
+    contact: {
+      /**
+       * Contact Form Endpoint
+       *
+       * Messages are POSTed here as JSON ({name, email, subject, message,
+       * website, elapsed}); "website" is the hidden spam trap and "elapsed"
+       * the milliseconds since the form was shown, so the Worker can repeat
+       * the checks below. Messages sent while offline are saved on the
+       * visitor's device and sent once they're back online (see js/offline.js).
+       *
+       * Leave empty to keep the form in demo mode: it thanks the visitor
+       * but nothing is sent.
+       *
+       * See docs/cloudflare_workers_setup.md for the contact Worker
+       */
+      endpoint: "",
+
+      /**
+       * Spam checks
+       *
+       * Messages sent less than minFillSeconds after the Contact page was
+       * opened (or the form first focused) are refused (people take longer
+       * to type one), and each device may send maxMessages per
+       * windowMinutes. Only a real server-side limit stops
+       * determined senders - the contact Worker repeats both checks.
+       */
+      minFillSeconds: 3,
+      rateLimit: {
+        maxMessages: 3,
+        windowMinutes: 60,
+      },
+
+      /**
+       * Longest message accepted (characters)
+       */
+      maxMessageLength: 5000,
+
+      /**
+       * Custom Requests
+       *
+       * Choosing "Custom Request" as the subject turns the form into steps:
+       * the message, print details, reference files and a review. The
+       * details and files are sent with the message as "details" and
+       * "attachments" ({name, type, size, data} with base64 data).
+       *
+       * - materials: Offered in the Material list, in this order; labels come
+       *   from customRequest.materials.<key> translations ("any" = not sure)
+       * - maxQuantity: Largest quantity accepted
+       * - attachments: File types accepted (by extension), how many, and
+       *   the largest size per file and in total. Keep the total well under
+       *   what the contact Worker accepts (files grow by a third when encoded)
        */
+      customRequest: {
+        materials: ["any", "pla", "petg", "tpu", "resin"],
+        maxQuantity: 500,
+        attachments: {
+          types: [".stl", ".3mf", ".png", ".jpg", ".jpeg", ".webp"],
+          maxFiles: 5,
+          maxFileSizeMB: 10,
+          maxTotalSizeMB: 20,
+        },
+
+        /**
+         * Instant Estimates
+         *
+         * STL and 3MF files are measured in the browser (size, volume,
+         * surface area) and checked against the printer's buildVolume (mm,
+         * any orientation). The rough price and print time shown next to
+         * the form come from these rates; prices are in the base currency.
+         *
+         * Per print: a solid shell of wallThickness mm plus `infill` of the
+         * inside is printed (a material's own infill wins, e.g. solid
+         * resin), weighing `density` g/cm³. Time is the printed
+         * volume over mm3PerHour, or the height over mmPerHour for
+         * materials printed layer by layer at a fixed speed (resin).
+         * Price = setupFee + (grams × pricePerGram + hours × hourlyRate)
+         * for every copy, and at least minimumPrice. "any" (not sure) is
+         * priced as defaultMaterial.
+         */
+        estimate: {
+          buildVolume: { x: 256, y: 256, z: 256 },
+          wallThickness: 1.2,
+          infill: 0.15,
+          hourlyRate: 1.5,
+          setupFee: 5,
+          minimumPrice: 10,
+          defaultMaterial: "pla",
+          materials: {
+            pla: { density: 1.24, pricePerGram: 0.05, mm3PerHour: 15000 },
+            petg: { density: 1.27, pricePerGram: 0.06, mm3PerHour: 12000 },
+            tpu: { density: 1.21, pricePerGram: 0.09, mm3PerHour: 6000 },
+            resin: { density: 1.1, pricePerGram: 0.12, mmPerHour: 20, infill: 1 },
+          },
+        },
+      },
     },
 
     // =========================================================================
@@ -88,8 +346,88 @@
     // =========================================================================
     site: {
       /**
-       * General site configuration can be added here in the future
+       * Locale for number and date formatting
+       *
+       * Leave empty to follow the site language, keeping the visitor's region
+       * when it matches (e.g., German on a "de-DE" browser shows "13,80 €"
+       * and "9. Dezember 2024").
+       */
+      locale: "",
+
+      /**
+       * Languages
+       *
+       * Interface text comes from js/locales/<code>.js. The visitor's saved
+       * choice wins, then their browser languages, then defaultLanguage.
+       * Strings missing from a catalog fall back to defaultLanguage.
+       *
+       * To add a language: copy js/locales/en.js, translate the values, add
+       * a <script> tag for it in index.html and list its code here.
+       */
+      defaultLanguage: "en",
+      languages: ["en", "es", "de"],
+
+      /**
+       * Currency Display
+       *
+       * Catalog prices are in the base currency (what Etsy charges).
+       * Visitors can pick another supported currency in the header; converted
+       * prices are shown as approximate ("≈ €13.80"). The choice is saved
+       * in localStorage like the theme.
+       *
+       * Rates are "1 base = rate" and are used as-is unless ratesUrl loads.
+       * ratesUrl points to a JSON file ({base, lastUpdated, rates}) that can
+       * be replaced by a Worker serving live rates.
+       */
+      currency: {
+        base: "USD",
+        default: "USD",
+        supported: ["USD", "EUR", "GBP"],
+        rates: {
+          EUR: 0.92,
+          GBP: 0.79,
+        },
+        ratesUrl: "data/exchange_rates.json",
+      },
+    },
+
+    // =========================================================================
+    // API Request Settings
+    // =========================================================================
+    api: {
+      /**
+       * Request timeout in milliseconds (per attempt)
+       */
+      timeout: 10000,
+
+      /**
+       * Attempts per request, including the first
+       *
+       * Only requests that are safe to repeat (GET, HEAD, OPTIONS, PUT,
+       * DELETE) are retried, and only after a timeout, a network error or a
+       * 408/429/500/502/503/504 response. Callers can pass their own count.
+       */
+      attempts: 3,
+
+      /**
+       * Retry backoff in milliseconds
+       *
+       * The delay doubles after each attempt (1s, 2s, 4s...) up to maxDelay.
+       * A random part of it is dropped so visitors hit by the same outage
+       * don't all retry at the same moment.
+       */
+      backoff: {
+        delay: 1000,
+        maxDelay: 10000,
+      },
+
+      /**
+       * Longest Retry-After (in seconds) to wait out automatically
+       *
+       * Longer rate limits are passed straight to the page, e.g. the order
+       * tracker shows a "Try again in 30s" button instead of appearing stuck.
        */
+      maxRetryAfter: 10,
     },
   };
 })(window);
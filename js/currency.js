@@ -0,0 +1,342 @@
+/**
+ * Currency & Locale for Additive Artisan
+ * Locale-aware price formatting with optional conversion to the visitor's currency
+ */
+
+(function (window) {
+  "use strict";
+
+  const config = window.AdditiveArtisanConfig?.site || {};
+  const i18n = window.AdditiveArtisanI18n;
+  const currencyConfig = config.currency || {};
+
+  const STORAGE_KEY = "currency";
+  const BASE_CURRENCY = currencyConfig.base || "USD";
+
+  // Rates are "1 base = rate target"; the base currency is always 1
+  let rates = { ...(currencyConfig.rates || {}), [BASE_CURRENCY]: 1 };
+  let ratesUpdated = null;
+  let currentCurrency = BASE_CURRENCY;
+
+  // Intl.NumberFormat instances are slow to create; reuse them
+  const formatters = new Map();
+
+  // =========================================================================
+  // Locale
+  // =========================================================================
+
+  /**
+   * Get the locale used for number and date formatting
+   * Uses config.site.locale when set, otherwise the site language (with the
+   * browser's region when it matches).
+   *
+   * @returns {string} BCP 47 locale (e.g., "en-US", "de-DE")
+   */
+  function getLocale() {
+    return config.locale || i18n.getLocale() || "en-US";
+  }
+
+  /**
+   * Get a cached Intl.NumberFormat for a currency
+   * @param {string} currency - ISO 4217 currency code
+   * @returns {Intl.NumberFormat} Formatter
+   */
+  function getFormatter(currency) {
+    const locale = getLocale();
+    const key = `${locale}|${currency}`;
+
+    if (!formatters.has(key)) {
+      let formatter;
+      try {
+        formatter = new Intl.NumberFormat(locale, { style: "currency", currency });
+      } catch (error) {
+        // Unknown locale - fall back to US English formatting
+        formatter = new Intl.NumberFormat("en-US", { style: "currency", currency });
+      }
+      formatters.set(key, formatter);
+    }
+
+    return formatters.get(key);
+  }
+
+  // =========================================================================
+  // Currency Selection
+  // =========================================================================
+
+  /**
+   * Get currencies offered in the selector
+   * Only currencies with a known exchange rate are offered.
+   *
+   * @returns {Array<string>} Currency codes (base currency first)
+   */
+  function getSupportedCurrencies() {
+    const supported = currencyConfig.supported || [BASE_CURRENCY];
+    const available = supported.filter((code) => rates[code]);
+    return [BASE_CURRENCY, ...available.filter((code) => code !== BASE_CURRENCY)];
+  }
+
+  /**
+   * Get the currency prices are charged in (Etsy listing currency)
+   * @returns {string} Base currency code
+   */
+  function getBaseCurrency() {
+    return BASE_CURRENCY;
+  }
+
+  /**
+   * Get the currency prices are displayed in
+   * @returns {string} Currency code
+   */
+  function getCurrency() {
+    return currentCurrency;
+  }
+
+  /**
+   * Check if displayed prices are converted (and therefore approximate)
+   * @returns {boolean} True if the display currency differs from the base currency
+   */
+  function isConverted() {
+    return currentCurrency !== BASE_CURRENCY;
+  }
+
+  /**
+   * Get the stored currency preference
+   * @returns {string|null} Currency code or null
+   */
+  function getStoredCurrency() {
+    try {
+      return localStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+      // Storage unavailable (private browsing)
+      return null;
+    }
+  }
+
+  /**
+   * Set the display currency, persist it and notify listeners
+   * Dispatches "additiveartisan:currencychange" on window so price displays can re-render.
+   *
+   * @param {string} currency - Currency code
+   * @returns {boolean} True if the currency is supported and was applied
+   */
+  function setCurrency(currency) {
+    if (!getSupportedCurrencies().includes(currency)) return false;
+
+    try {
+      localStorage.setItem(STORAGE_KEY, currency);
+    } catch (error) {
+      // Storage unavailable - choice lasts for this page only
+    }
+
+    if (currency === currentCurrency) return true;
+
+    currentCurrency = currency;
+    updateSelector();
+    window.dispatchEvent(
+      new CustomEvent("additiveartisan:currencychange", { detail: { currency } }),
+    );
+    return true;
+  }
+
+  // =========================================================================
+  // Conversion & Formatting
+  // =========================================================================
+
+  /**
+   * Convert an amount from the base currency
+   * @param {number} amount - Amount in the base currency
+   * @param {string} currency - Target currency (default: display currency)
+   * @returns {number} Converted amount (unchanged if no rate is known)
+   */
+  function convert(amount, currency = currentCurrency) {
+    const rate = rates[currency];
+    return rate ? amount * rate : amount;
+  }
+
+  /**
+   * Format a base-currency price for display
+   * Converted prices are prefixed with "≈" because the customer pays in the base currency.
+   *
+   * @param {number} amount - Amount in the base currency
+   * @param {object} options - Format options (optional)
+   * @param {boolean} options.convert - Convert to the display currency (default: true)
+   * @returns {string} Formatted price (e.g., "$15.00", "≈ 13,80 €")
+   */
+  function formatPrice(amount, options = {}) {
+    const value = typeof amount === "number" && !isNaN(amount) ? amount : 0;
+    const currency = options.convert === false ? BASE_CURRENCY : currentCurrency;
+    const formatted = getFormatter(currency).format(convert(value, currency));
+
+    return currency === BASE_CURRENCY ? formatted : `≈ ${formatted}`;
+  }
+
+  /**
+   * Format a date for the current locale
+   * @param {string} dateString - ISO date string
+   * @param {object} options - Intl.DateTimeFormat options (default: long date)
+   * @returns {string} Formatted date, or "" if invalid
+   */
+  function formatDate(dateString, options = { year: "numeric", month: "long", day: "numeric" }) {
+    if (!dateString) return "";
+
+    const date = new Date(dateString);
+    if (isNaN(date.getTime())) return "";
+
+    try {
+      return date.toLocaleDateString(getLocale(), options);
+    } catch (error) {
+      // Unknown locale - fall back to US English formatting
+      return date.toLocaleDateString("en-US", options);
+    }
+  }
+
+  /**
+   * Get a note explaining converted prices
+   * @returns {string} Note text, or "" when prices are not converted
+   */
+  function getApproximateNote() {
+    return isConverted()
+      ? i18n.t("currency.approximateNote", { currency: currentCurrency, base: BASE_CURRENCY })
+      : "";
+  }
+
+  // =========================================================================
+  // Exchange Rates
+  // =========================================================================
+
+  /**
+   * Load exchange rates from config.site.currency.ratesUrl
+   * Rates in config.js are used if the file is missing or invalid.
+   * @returns {Promise<boolean>} True if the rates changed
+   */
+  async function loadRates() {
+    if (!currencyConfig.ratesUrl || !window.AdditiveArtisanAPI) return false;
+
+    try {
+      const data = await window.AdditiveArtisanAPI.fetchJSON(currencyConfig.ratesUrl, {}, 1);
+      if (!data || typeof data.rates !== "object" || (data.base && data.base !== BASE_CURRENCY)) {
+        return false;
+      }
+
+      const loaded = {};
+      Object.entries(data.rates).forEach(([code, rate]) => {
+        if (/^[A-Z]{3}$/.test(code) && typeof rate === "number" && rate > 0) {
+          loaded[code] = rate;
+        }
+      });
+
+      const previous = JSON.stringify(rates);
+      rates = { ...rates, ...loaded, [BASE_CURRENCY]: 1 };
+      ratesUpdated = data.lastUpdated || null;
+      return JSON.stringify(rates) !== previous;
+    } catch (error) {
+      // Keep configured rates
+      return false;
+    }
+  }
+
+  /**
+   * Get current exchange rates
+   * @returns {{base: string, rates: object, lastUpdated: string|null}} Rates info
+   */
+  function getRates() {
+    return { base: BASE_CURRENCY, rates: { ...rates }, lastUpdated: ratesUpdated };
+  }
+
+  // =========================================================================
+  // Currency Selector
+  // =========================================================================
+
+  /**
+   * Populate the currency selector
+   */
+  function renderSelector() {
+    const select = document.getElementById("currency-select");
+    if (!select) return;
+
+    const currencies = getSupportedCurrencies();
+    select.innerHTML = currencies
+      .map((code) => `<option value="${code}">${code}</option>`)
+      .join("");
+
+    // Nothing to choose from - hide the selector
+    select.closest(".currency-selector")?.classList.toggle("hidden", currencies.length < 2);
+    updateSelector();
+  }
+
+  /**
+   * Sync the selector with the current currency
+   */
+  function updateSelector() {
+    const select = document.getElementById("currency-select");
+    if (select) {
+      select.value = currentCurrency;
+    }
+  }
+
+  /**
+   * Get the currency to show: the saved choice, else config default, else the base currency
+   * @returns {string} Supported currency code
+   */
+  function getPreferredCurrency() {
+    const supported = getSupportedCurrencies();
+    const stored = getStoredCurrency();
+
+    if (stored && supported.includes(stored)) return stored;
+    if (currencyConfig.default && supported.includes(currencyConfig.default)) return currencyConfig.default;
+    return BASE_CURRENCY;
+  }
+
+  /**
+   * Apply exchange rates that finished loading
+   * Prices already rendered with the configured rates re-render through
+   * "additiveartisan:currencychange"; a saved currency that needed the
+   * loaded rates is applied now.
+   *
+   * @param {boolean} changed - True if the rates changed
+   */
+  function handleRatesLoaded(changed) {
+    if (!changed) return;
+
+    currentCurrency = getPreferredCurrency();
+    renderSelector();
+    window.dispatchEvent(
+      new CustomEvent("additiveartisan:currencychange", { detail: { currency: currentCurrency } }),
+    );
+  }
+
+  /**
+   * Initialize currency: restore the saved choice, wire up the selector and load rates
+   * Starts with the rates from config.js so prices render at once; the rates
+   * file loads in the background.
+   *
+   * @returns {Promise<void>} Settles once the rates file has loaded (or failed)
+   */
+  function initCurrency() {
+    currentCurrency = getPreferredCurrency();
+    renderSelector();
+
+    const select = document.getElementById("currency-select");
+    if (select) {
+      select.addEventListener("change", () => setCurrency(select.value));
+    }
+
+    return loadRates().then(handleRatesLoaded);
+  }
+
+  // Export to window
+  window.AdditiveArtisanCurrency = {
+    initCurrency,
+    getLocale,
+    getCurrency,
+    setCurrency,
+    getBaseCurrency,
+    getSupportedCurrencies,
+    isConverted,
+    convert,
+    formatPrice,
+    formatDate,
+    getApproximateNote,
+    getRates,
+  };
+})(window);
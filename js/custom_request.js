@@ -0,0 +1,848 @@
+/**
+ * Custom Requests for Additive Artisan
+ * Turns the contact form into steps (message, print details, files, review) when the subject is "Custom Request",
+ * with instant estimates for attached 3D models
+ */
+
+(function (window) {
+  "use strict";
+
+  const utils = window.AdditiveArtisanUtils;
+  const i18n = window.AdditiveArtisanI18n;
+  const modelAnalysis = window.AdditiveArtisanModelAnalysis;
+
+  // Materials, quantity limit and accepted files (see js/config.js)
+  const CONFIG = window.AdditiveArtisanConfig?.contact?.customRequest || {};
+  const MATERIALS = CONFIG.materials || ["any"];
+  const MAX_QUANTITY = CONFIG.maxQuantity || 500;
+  const ATTACHMENTS = CONFIG.attachments || {};
+  const FILE_TYPES = (ATTACHMENTS.types || []).map((type) => type.toLowerCase());
+  const MAX_FILES = ATTACHMENTS.maxFiles || 5;
+  const MAX_FILE_BYTES = (ATTACHMENTS.maxFileSizeMB || 10) * 1024 * 1024;
+  const MAX_TOTAL_BYTES = (ATTACHMENTS.maxTotalSizeMB || 20) * 1024 * 1024;
+
+  // Largest size accepted for any side, in mm
+  const MAX_DIMENSION_MM = 1000;
+
+  // Image extensions, whose MIME type is checked as well
+  const IMAGE_TYPES = [".png", ".jpg", ".jpeg", ".webp", ".gif"];
+
+  // Steps in order; "message" is the regular contact form
+  const STEPS = ["message", "details", "files", "review"];
+
+  let stepIndex = 0;
+
+  // Files picked for the request, in the order they were added
+  let files = [];
+
+  // Model measurements by file: {status: "pending" | "done" | "failed", result}
+  const analyses = new Map();
+
+  // Form error helpers from script.js
+  let showError = () => {};
+  let clearError = () => {};
+
+  // =========================================================================
+  // Steps
+  // =========================================================================
+
+  /**
+   * Check if the visitor is writing a custom request
+   * @returns {boolean} True when the subject is "Custom Request"
+   */
+  function isActive() {
+    return document.getElementById("contact-subject")?.value === "custom";
+  }
+
+  /**
+   * Check if the visitor is on the last (review) step
+   * @returns {boolean} True when the next submit sends the request
+   */
+  function isReviewStep() {
+    return isActive() && STEPS[stepIndex] === "review";
+  }
+
+  /**
+   * Show the Back button and label the submit button for the current step
+   */
+  function updateActions() {
+    const form = document.getElementById("contact-form");
+    const back = document.getElementById("custom-request-back");
+    const submit = form?.querySelector('button[type="submit"]');
+
+    if (back) {
+      back.classList.toggle("hidden", !isActive() || stepIndex === 0);
+    }
+    if (!submit) return;
+
+    let key = "contact.submit";
+    let labelKey = "contact.submitLabel";
+    if (isActive()) {
+      key = isReviewStep() ? "customRequest.submit" : "customRequest.next";
+      labelKey = isReviewStep() ? "customRequest.submitLabel" : key;
+    }
+
+    submit.setAttribute("data-i18n", key);
+    submit.setAttribute("data-i18n-aria-label", labelKey);
+    submit.textContent = i18n.t(key);
+    submit.setAttribute("aria-label", i18n.t(labelKey));
+  }
+
+  /**
+   * Show the current step and mark progress
+   */
+  function renderSteps() {
+    const form = document.getElementById("contact-form");
+    if (!form) return;
+
+    const active = isActive();
+    const step = active ? STEPS[stepIndex] : "message";
+
+    form.querySelectorAll(".contact-step").forEach((element) => {
+      element.classList.toggle("hidden", element.dataset.step !== step);
+    });
+
+    const progress = document.getElementById("custom-request-progress");
+    if (progress) {
+      progress.classList.toggle("hidden", !active);
+      progress.querySelectorAll("li").forEach((item) => {
+        const index = STEPS.indexOf(item.dataset.step);
+        item.classList.toggle("is-complete", index < stepIndex);
+        if (index === stepIndex) {
+          item.setAttribute("aria-current", "step");
+        } else {
+          item.removeAttribute("aria-current");
+        }
+      });
+    }
+
+    updateActions();
+  }
+
+  /**
+   * Go to a step
+   * @param {number} index - Step index in STEPS
+   * @param {boolean} focus - Move focus into the step (default: true)
+   */
+  function goToStep(index, focus = true) {
+    stepIndex = Math.max(0, Math.min(STEPS.length - 1, index));
+    clearError(document.getElementById("custom-request-review"));
+
+    if (STEPS[stepIndex] === "files") {
+      // Material and quantity may have changed on the details step
+      renderEstimate();
+    }
+    if (STEPS[stepIndex] === "review") {
+      renderReview();
+    }
+    renderSteps();
+
+    if (!focus) return;
+
+    // Focus the first field, or the review heading, so the change is announced
+    const step = document.querySelector(`.contact-step[data-step="${STEPS[stepIndex]}"]`);
+    const target = step?.querySelector("input:not([type=hidden]), select, textarea")
+      || step?.querySelector("h3");
+    if (target) {
+      if (target.tagName === "H3") {
+        target.setAttribute("tabindex", "-1");
+      }
+      target.focus();
+    }
+  }
+
+  /**
+   * Go on to the next step
+   * The current step's fields are checked by script.js (see getFieldRules) before this is called.
+   */
+  function nextStep() {
+    goToStep(stepIndex + 1);
+  }
+
+  /**
+   * Go back one step
+   */
+  function previousStep() {
+    goToStep(stepIndex - 1);
+  }
+
+  /**
+   * Show the step containing a field, e.g. one the server refused
+   * @param {HTMLElement} input - Form field
+   */
+  function showFieldStep(input) {
+    const index = STEPS.indexOf(input?.closest(".contact-step")?.dataset.step);
+    if (isActive() && index !== -1 && index !== stepIndex) {
+      goToStep(index, false);
+    }
+  }
+
+  // =========================================================================
+  // Print Details
+  // =========================================================================
+
+  /**
+   * Get today's date as the value of a date input (local time)
+   * @returns {string} Date as YYYY-MM-DD
+   */
+  function getToday() {
+    const now = new Date();
+    const month = String(now.getMonth() + 1).padStart(2, "0");
+    const day = String(now.getDate()).padStart(2, "0");
+    return `${now.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Get the label for a material
+   * @param {string} material - Material key from config
+   * @returns {string} Translated label (the key in capitals if untranslated)
+   */
+  function getMaterialLabel(material) {
+    const key = `customRequest.materials.${material}`;
+    return i18n.has(key) ? i18n.t(key) : material.toUpperCase();
+  }
+
+  /**
+   * Fill the Material list, keeping the current choice
+   */
+  function renderMaterials() {
+    const select = document.getElementById("custom-material");
+    if (!select) return;
+
+    const selected = select.value;
+    select.innerHTML = "";
+    MATERIALS.forEach((material, index) => {
+      const option = new Option(getMaterialLabel(material), material, index === 0, material === selected);
+      select.appendChild(option);
+    });
+  }
+
+  /**
+   * Read the print details from the form
+   * @returns {object} {dimensions: {width, depth, height} in mm (null if not given),
+   *   material, color, quantity, deadline (YYYY-MM-DD or "")}
+   */
+  function getDetails() {
+    const value = (id) => document.getElementById(id)?.value.trim() || "";
+    const size = (id) => (value(id) === "" ? null : Number(value(id)));
+
+    return {
+      dimensions: {
+        width: size("custom-width"),
+        depth: size("custom-depth"),
+        height: size("custom-height"),
+      },
+      material: value("custom-material") || MATERIALS[0],
+      color: value("custom-color"),
+      quantity: Number(value("custom-quantity")),
+      deadline: value("custom-deadline"),
+    };
+  }
+
+  /**
+   * Check if a step is the one being shown
+   * @param {string} step - Step name from STEPS
+   * @returns {boolean} True while the visitor is on that step of a custom request
+   */
+  function isCurrentStep(step) {
+    return isActive() && STEPS[stepIndex] === step;
+  }
+
+  /**
+   * Get the print details rules for the contact form's validator (see js/form_validation.js)
+   * They only apply while the details step is shown.
+   * @returns {object} Rules by input ID
+   */
+  function getFieldRules() {
+    const onDetails = () => isCurrentStep("details");
+    const dimension = [
+      {
+        type: "custom",
+        validate: (value) => Number(value) >= 1 && Number(value) <= MAX_DIMENSION_MM,
+        message: "errors.dimensionInvalid",
+        params: { max: MAX_DIMENSION_MM },
+        when: onDetails,
+      },
+    ];
+    const quantityRule = { message: "errors.quantityInvalid", params: { max: MAX_QUANTITY }, when: onDetails };
+
+    return {
+      "custom-width": dimension,
+      "custom-depth": dimension,
+      "custom-height": dimension,
+      "custom-quantity": [
+        { type: "required", ...quantityRule },
+        {
+          type: "custom",
+          validate: (value) => Number.isInteger(Number(value)) && Number(value) >= 1 && Number(value) <= MAX_QUANTITY,
+          ...quantityRule,
+        },
+      ],
+      "custom-deadline": [
+        {
+          type: "custom",
+          // Date inputs use YYYY-MM-DD, which sorts like the dates themselves
+          validate: (value) => value >= getToday(),
+          message: "errors.deadlinePast",
+          when: onDetails,
+        },
+      ],
+    };
+  }
+
+  // =========================================================================
+  // Files
+  // =========================================================================
+
+  /**
+   * Get a file's extension
+   * @param {string} name - File name
+   * @returns {string} Lowercase extension with the dot (e.g. ".stl"), or ""
+   */
+  function getExtension(name) {
+    const dot = name.lastIndexOf(".");
+    return dot === -1 ? "" : name.slice(dot).toLowerCase();
+  }
+
+  /**
+   * Format a file size for display
+   * @param {number} bytes - Size in bytes
+   * @returns {string} Size in KB or MB (e.g. "1.4 MB")
+   */
+  function formatSize(bytes) {
+    const format = (value) =>
+      new Intl.NumberFormat(i18n.getLocale(), { maximumFractionDigits: 1 }).format(value);
+
+    return bytes < 1024 * 1024
+      ? i18n.t("customRequest.sizeKB", { size: format(Math.max(1, bytes / 1024)) })
+      : i18n.t("customRequest.sizeMB", { size: format(bytes / (1024 * 1024)) });
+  }
+
+  /**
+   * Get the accepted types for display
+   * @returns {string} Extensions without dots, e.g. "STL, 3MF, PNG"
+   */
+  function getTypesLabel() {
+    return FILE_TYPES.map((type) => type.replace(".", "").toUpperCase()).join(", ");
+  }
+
+  /**
+   * Check a file's type and size
+   * @param {File} file - Picked or dropped file
+   * @returns {string|null} Error message, or null if it's accepted
+   */
+  function checkFile(file) {
+    const extension = getExtension(file.name);
+    const typeOk = FILE_TYPES.includes(extension)
+      && (!IMAGE_TYPES.includes(extension) || !file.type || file.type.startsWith("image/"));
+
+    if (!typeOk) {
+      return i18n.t("errors.fileType", { name: file.name, types: getTypesLabel() });
+    }
+    if (file.size > MAX_FILE_BYTES) {
+      return i18n.t("errors.fileTooLarge", { name: file.name, max: formatSize(MAX_FILE_BYTES) });
+    }
+    return null;
+  }
+
+  /**
+   * Add picked or dropped files, skipping any that can't be sent
+   * @param {FileList|File[]} list - Files to add
+   */
+  function addFiles(list) {
+    const input = document.getElementById("custom-files");
+    const problems = [];
+    let total = files.reduce((sum, file) => sum + file.size, 0);
+
+    clearError(input);
+
+    for (const file of Array.from(list)) {
+      // Same file dropped twice
+      const duplicate = files.some((added) =>
+        added.name === file.name && added.size === file.size && added.lastModified === file.lastModified);
+      if (duplicate) continue;
+
+      const problem = checkFile(file);
+      if (problem) {
+        problems.push(problem);
+        continue;
+      }
+      if (files.length >= MAX_FILES) {
+        problems.push(i18n.t("errors.tooManyFiles", { count: MAX_FILES }));
+        break;
+      }
+      if (total + file.size > MAX_TOTAL_BYTES) {
+        problems.push(i18n.t("errors.filesTooLarge", { max: formatSize(MAX_TOTAL_BYTES) }));
+        continue;
+      }
+
+      files.push(file);
+      total += file.size;
+      analyzeModel(file);
+    }
+
+    renderFiles();
+    renderEstimate();
+    if (problems.length > 0) {
+      showError(problems.join(" "), input);
+    }
+  }
+
+  /**
+   * Remove a picked file
+   * @param {number} index - Position in the file list
+   */
+  function removeFile(index) {
+    analyses.delete(files[index]);
+    files.splice(index, 1);
+    clearError(document.getElementById("custom-files"));
+    renderFiles();
+    renderEstimate();
+
+    // Keep focus in the list (or on the picker once it's empty)
+    const buttons = document.querySelectorAll("#custom-request-files [data-remove-file]");
+    (buttons[Math.min(index, buttons.length - 1)] || document.getElementById("custom-files"))?.focus();
+  }
+
+  /**
+   * Render the picked files and the accepted types hint
+   */
+  function renderFiles() {
+    const hint = document.getElementById("custom-files-hint");
+    if (hint) {
+      hint.textContent = i18n.t("customRequest.filesHint", {
+        types: getTypesLabel(),
+        size: formatSize(MAX_FILE_BYTES),
+        count: MAX_FILES,
+      });
+    }
+
+    const list = document.getElementById("custom-request-files");
+    if (!list) return;
+
+    list.innerHTML = files
+      .map((file, index) => {
+        const name = utils.escapeHTML(file.name);
+        return `
+          <li class="file-list-item">
+            <span class="file-list-name">${name}</span>
+            <span class="file-list-size">${formatSize(file.size)}</span>
+            <button type="button" class="file-list-remove" data-remove-file="${index}"
+              aria-label="${i18n.t("customRequest.removeFile", { name: utils.escapeAttribute(file.name) })}">×</button>
+          </li>
+        `;
+      })
+      .join("");
+  }
+
+  /**
+   * Read a file as base64
+   * @param {File} file - File to read
+   * @returns {Promise<string>} Base64 contents (no data: prefix)
+   */
+  function readFile(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result).split(",")[1] || "");
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+  }
+
+  /**
+   * Set up dragging files onto the drop zone
+   */
+  function initDropZone() {
+    const zone = document.getElementById("custom-request-drop");
+    const input = document.getElementById("custom-files");
+    if (!zone || !input) return;
+
+    input.accept = FILE_TYPES.join(",");
+    input.addEventListener("change", () => {
+      addFiles(input.files);
+      // Allow picking the same file again after removing it
+      input.value = "";
+    });
+
+    ["dragenter", "dragover"].forEach((type) => {
+      zone.addEventListener(type, (event) => {
+        event.preventDefault();
+        zone.classList.add("file-drop--active");
+      });
+    });
+    ["dragleave", "dragend", "drop"].forEach((type) => {
+      zone.addEventListener(type, () => zone.classList.remove("file-drop--active"));
+    });
+    zone.addEventListener("drop", (event) => {
+      event.preventDefault();
+      addFiles(event.dataTransfer?.files || []);
+    });
+
+    document.getElementById("custom-request-files")?.addEventListener("click", (event) => {
+      const button = event.target.closest("[data-remove-file]");
+      if (button) {
+        removeFile(Number(button.dataset.removeFile));
+      }
+    });
+  }
+
+  // =========================================================================
+  // Estimate
+  // =========================================================================
+
+  /**
+   * Measure a picked STL or 3MF file in the background
+   * @param {File} file - Picked file (other types are ignored)
+   */
+  function analyzeModel(file) {
+    if (!modelAnalysis || !modelAnalysis.isModelFile(file.name)) return;
+
+    analyses.set(file, { status: "pending", result: null });
+    modelAnalysis
+      .analyzeFile(file)
+      .then((result) => {
+        // Skip files removed while they were being read
+        if (analyses.has(file)) {
+          analyses.set(file, { status: "done", result });
+        }
+      })
+      .catch(() => {
+        if (analyses.has(file)) {
+          analyses.set(file, { status: "failed", result: null });
+        }
+      })
+      .finally(() => {
+        renderEstimate();
+        if (isReviewStep()) {
+          renderReview();
+        }
+      });
+  }
+
+  /**
+   * Get the measured models, in file order
+   * @returns {object[]} analyzeFile() results
+   */
+  function getModels() {
+    return files
+      .map((file) => analyses.get(file))
+      .filter((analysis) => analysis?.status === "done")
+      .map((analysis) => analysis.result);
+  }
+
+  /**
+   * Estimate the request from the measured models and print details
+   * @returns {object|null} estimatePrint() result, or null without models
+   */
+  function getEstimate() {
+    if (!modelAnalysis) return null;
+
+    const details = getDetails();
+    return modelAnalysis.estimatePrint(getModels(), {
+      material: details.material,
+      quantity: details.quantity,
+    });
+  }
+
+  /**
+   * Format an estimate for display
+   * @param {object} estimate - getEstimate() result
+   * @returns {string} e.g. "$24.50 · about 3 h of printing"
+   */
+  function formatEstimate(estimate) {
+    const hours = new Intl.NumberFormat(i18n.getLocale(), {
+      maximumFractionDigits: estimate.hours < 10 ? 1 : 0,
+    }).format(Math.max(0.1, estimate.hours));
+
+    return i18n.t("customRequest.estimateTotal", {
+      price: utils.formatPrice(estimate.price),
+      hours,
+    });
+  }
+
+  /**
+   * Render the measurements and estimate next to the picked files
+   */
+  function renderEstimate() {
+    const panel = document.getElementById("custom-request-estimate");
+    if (!panel) return;
+
+    const models = files.filter((file) => analyses.has(file));
+    panel.classList.toggle("hidden", models.length === 0);
+    if (models.length === 0) {
+      panel.innerHTML = "";
+      return;
+    }
+
+    const format = new Intl.NumberFormat(i18n.getLocale(), { maximumFractionDigits: 1 });
+    const buildVolume = modelAnalysis.BUILD_VOLUME;
+
+    const items = models
+      .map((file) => {
+        const { status, result } = analyses.get(file);
+        let text = i18n.t("customRequest.analyzing");
+        let warning = "";
+
+        if (status === "failed") {
+          text = i18n.t("customRequest.analysisFailed");
+        } else if (status === "done") {
+          text = i18n.t("customRequest.modelSummary", {
+            size: [result.size.x, result.size.y, result.size.z].map((side) => format.format(side)).join(" × "),
+            volume: format.format(result.volume / 1000),
+          });
+          if (!result.fits) {
+            warning = i18n.t("customRequest.modelTooBig", {
+              size: [buildVolume.x, buildVolume.y, buildVolume.z].join(" × "),
+            });
+          }
+        }
+
+        return `
+          <li class="custom-request-estimate-item custom-request-estimate-item--${status}">
+            <span class="custom-request-estimate-name">${utils.escapeHTML(file.name)}</span>
+            <span>${utils.escapeHTML(text)}</span>
+            ${warning ? `<span class="custom-request-estimate-warning">${utils.escapeHTML(warning)}</span>` : ""}
+          </li>
+        `;
+      })
+      .join("");
+
+    const estimate = getEstimate();
+    const total = estimate
+      ? `
+        <p class="custom-request-estimate-total">${utils.escapeHTML(formatEstimate(estimate))}</p>
+        <p class="custom-request-estimate-note">${utils.escapeHTML(i18n.t("customRequest.estimateNote"))}</p>
+      `
+      : "";
+
+    panel.innerHTML = `
+      <h4 class="custom-request-estimate-title">${utils.escapeHTML(i18n.t("customRequest.estimateTitle"))}</h4>
+      <ul class="custom-request-estimate-list">${items}</ul>
+      ${total}
+    `;
+  }
+
+  // =========================================================================
+  // Review
+  // =========================================================================
+
+  /**
+   * Get the print size for display
+   * @param {object} dimensions - {width, depth, height} in mm
+   * @returns {string} e.g. "120 × 80 × 40 mm", or "Not specified"
+   */
+  function formatDimensions(dimensions) {
+    const sides = [dimensions.width, dimensions.depth, dimensions.height];
+    if (sides.every((side) => side === null)) {
+      return i18n.t("customRequest.notSpecified");
+    }
+
+    const format = new Intl.NumberFormat(i18n.getLocale(), { maximumFractionDigits: 1 });
+    return i18n.t("customRequest.sizeValue", {
+      size: sides.map((side) => (side === null ? "?" : format.format(side))).join(" × "),
+    });
+  }
+
+  /**
+   * Render everything that will be sent
+   */
+  function renderReview() {
+    const review = document.getElementById("custom-request-review");
+    if (!review) return;
+
+    const value = (id) => document.getElementById(id)?.value.trim() || "";
+    const details = getDetails();
+    const notSpecified = i18n.t("customRequest.notSpecified");
+
+    const rows = [
+      ["contact.name", value("contact-name")],
+      ["contact.email", value("contact-email")],
+      ["contact.message", value("contact-message")],
+      ["customRequest.reviewSize", formatDimensions(details.dimensions)],
+      ["customRequest.material", getMaterialLabel(details.material)],
+      ["customRequest.reviewColor", details.color || notSpecified],
+      ["customRequest.quantity", String(details.quantity)],
+      [
+        "customRequest.reviewDeadline",
+        details.deadline ? utils.formatDate(`${details.deadline}T00:00:00`) : notSpecified,
+      ],
+      [
+        "customRequest.stepFiles",
+        files.length > 0
+          ? files.map((file) => `${file.name} (${formatSize(file.size)})`).join("\n")
+          : i18n.t("customRequest.noFiles"),
+      ],
+    ];
+
+    const estimate = getEstimate();
+    if (estimate) {
+      rows.push(["customRequest.reviewEstimate", formatEstimate(estimate)]);
+    }
+
+    review.innerHTML = rows
+      .map(([key, text]) => `
+        <div class="custom-request-review-row">
+          <dt>${utils.escapeHTML(i18n.t(key))}</dt>
+          <dd>${utils.escapeHTML(text)}</dd>
+        </div>
+      `)
+      .join("");
+  }
+
+  // =========================================================================
+  // Sending
+  // =========================================================================
+
+  /**
+   * Get the custom request fields, for showing errors next to them
+   * @returns {object} {width, depth, height, material, color, quantity, deadline,
+   *   attachments, review} elements
+   */
+  function getInputs() {
+    return {
+      width: document.getElementById("custom-width"),
+      depth: document.getElementById("custom-depth"),
+      height: document.getElementById("custom-height"),
+      material: document.getElementById("custom-material"),
+      color: document.getElementById("custom-color"),
+      quantity: document.getElementById("custom-quantity"),
+      deadline: document.getElementById("custom-deadline"),
+      attachments: document.getElementById("custom-files"),
+      review: document.getElementById("custom-request-review"),
+    };
+  }
+
+  /**
+   * Get what a custom request adds to the contact message
+   * The details include the measured models and the estimate shown to the visitor, if any.
+   * @returns {Promise<object>} {details, attachments: [{name, type, size, data}]}
+   * @throws {DOMException} If a file can no longer be read (e.g. it was moved)
+   */
+  async function getRequestData() {
+    const attachments = await Promise.all(
+      files.map(async (file) => ({
+        name: file.name,
+        type: file.type || "application/octet-stream",
+        size: file.size,
+        data: await readFile(file),
+      })),
+    );
+
+    const round = (value) => Math.round(value * 100) / 100;
+    const details = getDetails();
+    const models = getModels();
+    const estimate = getEstimate();
+
+    if (models.length > 0) {
+      details.models = models.map((model) => ({
+        name: model.name,
+        size: { x: round(model.size.x), y: round(model.size.y), z: round(model.size.z) },
+        volume: round(model.volume / 1000),
+        surfaceArea: round(model.surfaceArea / 100),
+        fits: model.fits,
+      }));
+    }
+    if (estimate) {
+      details.estimate = {
+        material: estimate.material,
+        grams: round(estimate.grams),
+        hours: round(estimate.hours),
+        price: round(estimate.price),
+      };
+    }
+
+    return { details, attachments };
+  }
+
+  /**
+   * Start over (after the request was sent, or the form was reset)
+   */
+  function reset() {
+    stepIndex = 0;
+    files = [];
+    analyses.clear();
+    renderFiles();
+    renderEstimate();
+    renderSteps();
+  }
+
+  // =========================================================================
+  // Initialization
+  // =========================================================================
+
+  /**
+   * Handle the subject changing
+   */
+  function handleSubjectChange() {
+    stepIndex = 0;
+    renderSteps();
+  }
+
+  /**
+   * Re-render text for a new language
+   */
+  function handleLanguageChange() {
+    renderMaterials();
+    renderFiles();
+    renderEstimate();
+    if (isReviewStep()) {
+      renderReview();
+    }
+    updateActions();
+  }
+
+  /**
+   * Re-render prices for a new currency
+   */
+  function handleCurrencyChange() {
+    renderEstimate();
+    if (isReviewStep()) {
+      renderReview();
+    }
+  }
+
+  /**
+   * Initialize the custom request steps
+   * @param {object} options - Form error helpers from script.js:
+   *   {showError(message, input), clearError(input)}
+   */
+  function initCustomRequest(options = {}) {
+    if (!document.getElementById("contact-form")) return;
+
+    showError = options.showError || showError;
+    clearError = options.clearError || clearError;
+
+    renderMaterials();
+    renderFiles();
+    initDropZone();
+
+    const deadline = document.getElementById("custom-deadline");
+    if (deadline) {
+      deadline.min = getToday();
+    }
+    const quantity = document.getElementById("custom-quantity");
+    if (quantity) {
+      quantity.max = String(MAX_QUANTITY);
+    }
+
+    document.getElementById("contact-subject")?.addEventListener("change", handleSubjectChange);
+    document.getElementById("custom-request-back")?.addEventListener("click", previousStep);
+    window.addEventListener("additiveartisan:languagechange", handleLanguageChange);
+    window.addEventListener("additiveartisan:currencychange", handleCurrencyChange);
+
+    renderSteps();
+  }
+
+  window.AdditiveArtisanCustomRequest = {
+    initCustomRequest,
+    isActive,
+    isReviewStep,
+    nextStep,
+    getFieldRules,
+    showFieldStep,
+    updateActions,
+    getInputs,
+    getRequestData,
+    reset,
+  };
+})(window);
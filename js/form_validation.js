@@ -0,0 +1,267 @@
+/**
+ * Form Validation for Additive Artisan
+ * Declarative field rules checked on blur and submit, with an error summary linking to each field
+ */
+
+(function (window) {
+  "use strict";
+
+  const i18n = window.AdditiveArtisanI18n;
+
+  // Email addresses the site accepts (the Workers check again)
+  const EMAIL_PATTERN = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+
+  // Order number format, e.g. AA-2024-0047
+  const ORDER_ID_PATTERN = /^[A-Z]{2}-\d{4}-\d{4}$/;
+
+  // =========================================================================
+  // Rules
+  // =========================================================================
+
+  /**
+   * Rule checks by type
+   * Each returns true if the value passes. Only "required" checks empty
+   * values; the others skip them so optional fields can be left blank.
+   */
+  const RULES = {
+    required: (value) => value !== "",
+    pattern: (value, rule) => value === "" || rule.pattern.test(value),
+    email: (value) => value === "" || EMAIL_PATTERN.test(value),
+    length: (value, rule) =>
+      value === ""
+      || ((!rule.min || value.length >= rule.min) && (!rule.max || value.length <= rule.max)),
+    custom: async (value, rule, input) => value === "" || Boolean(await rule.validate(value, input)),
+  };
+
+  /**
+   * Get a field's value for checking
+   * @param {HTMLElement} input - Form field
+   * @returns {string} Trimmed value ("" for unchecked checkboxes)
+   */
+  function getValue(input) {
+    if (input.type === "checkbox") {
+      return input.checked ? input.value : "";
+    }
+    return String(input.value || "").trim();
+  }
+
+  /**
+   * Get a rule's message
+   * @param {object} rule - Rule with {message (translation key), params (object or function)}
+   * @returns {string} Translated message
+   */
+  function getMessage(rule) {
+    const params = typeof rule.params === "function" ? rule.params() : rule.params;
+    return i18n.t(rule.message, params || {});
+  }
+
+  /**
+   * Check a field against its rules
+   * @param {HTMLElement} input - Form field
+   * @param {object[]} rules - Rules in order, e.g. {type: "required", message: "errors.nameRequired"}
+   * @returns {Promise<string|null>} Message of the first rule that fails, or null
+   */
+  async function checkField(input, rules) {
+    const value = getValue(input);
+
+    for (const rule of rules) {
+      // Rules can be switched off, e.g. for a field that's hidden right now
+      if (rule.when && !rule.when(input)) continue;
+
+      const check = RULES[rule.type];
+      if (check && !(await check(value, rule, input))) {
+        return getMessage(rule);
+      }
+    }
+    return null;
+  }
+
+  // =========================================================================
+  // Error Summary
+  // =========================================================================
+
+  /**
+   * Get (or create) the error summary at the top of a form
+   * @param {HTMLFormElement} form - Form
+   * @returns {HTMLElement} Summary element
+   */
+  function getSummary(form) {
+    let summary = form.querySelector(".form-error-summary");
+
+    if (!summary) {
+      const titleId = `${form.id}-error-summary-title`;
+      summary = document.createElement("div");
+      summary.className = "form-error-summary hidden";
+      summary.setAttribute("role", "group");
+      summary.setAttribute("aria-labelledby", titleId);
+      summary.setAttribute("tabindex", "-1");
+      summary.innerHTML = `
+        <p class="form-error-summary-title" id="${titleId}"></p>
+        <ul class="form-error-summary-list"></ul>
+      `;
+      form.prepend(summary);
+    }
+    return summary;
+  }
+
+  /**
+   * Show the errors in the summary, or hide it when there are none
+   * @param {HTMLFormElement} form - Form
+   * @param {Map<HTMLElement, string>} errors - Field -> message, in form order
+   */
+  function renderSummary(form, errors) {
+    const summary = getSummary(form);
+    const list = summary.querySelector(".form-error-summary-list");
+
+    summary.classList.toggle("hidden", errors.size === 0);
+    summary.querySelector(".form-error-summary-title").textContent =
+      i18n.t("errors.summaryTitle", { count: errors.size });
+
+    list.innerHTML = "";
+    errors.forEach((message, input) => {
+      const item = document.createElement("li");
+      const link = document.createElement("a");
+      link.href = `#${input.id}`;
+      link.dataset.field = input.id;
+      link.textContent = message;
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+  }
+
+  // =========================================================================
+  // Validators
+  // =========================================================================
+
+  /**
+   * Set up validation for a form
+   * Fields are checked on blur once they've been typed in (or failed a
+   * submit), and all together by validate(). Errors are shown next to each
+   * field with the form error helpers from script.js.
+   *
+   * @param {HTMLFormElement} form - Form to validate
+   * @param {object} options - {fields: {inputId: rules[]},
+   *   showError(message, input, {focus}), clearError(input)}
+   * @returns {object} {validate(), validateField(input), reset()}
+   */
+  function createValidator(form, options = {}) {
+    const fields = options.fields || {};
+    const showError = options.showError || (() => {});
+    const clearError = options.clearError || (() => {});
+
+    // Fields typed in or checked, so blur doesn't flag untouched fields
+    const touched = new Set();
+
+    // Current errors, by field
+    const errors = new Map();
+
+    // Latest check per field; older (async) results are ignored
+    const checks = new Map();
+
+    /**
+     * Get the form's fields that have rules, in form order
+     * @returns {HTMLElement[]} Fields
+     */
+    function getInputs() {
+      return Object.keys(fields)
+        .map((id) => form.querySelector(`#${id}`))
+        .filter(Boolean)
+        .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+    }
+
+    /**
+     * Check one field and show or clear its error
+     * @param {HTMLElement} input - Field with rules
+     * @returns {Promise<boolean>} True if valid (or replaced by a newer check)
+     */
+    async function validateField(input) {
+      const check = {};
+      checks.set(input, check);
+
+      const message = await checkField(input, fields[input.id] || []);
+      if (checks.get(input) !== check) return true;
+
+      touched.add(input);
+      if (message) {
+        errors.set(input, message);
+        showError(message, input, { focus: false });
+      } else {
+        errors.delete(input);
+        clearError(input);
+      }
+      return !message;
+    }
+
+    /**
+     * Check every field, showing all errors and the summary
+     * Focus moves to the summary when something's wrong, so it is read out first.
+     * @returns {Promise<boolean>} True if the form can be sent
+     */
+    async function validate() {
+      const inputs = getInputs();
+      await Promise.all(inputs.map(validateField));
+
+      // Rebuild in form order, dropping fields no longer checked
+      const current = new Map(inputs.filter((input) => errors.has(input)).map((input) => [input, errors.get(input)]));
+      errors.clear();
+      current.forEach((message, input) => errors.set(input, message));
+
+      renderSummary(form, errors);
+      if (errors.size === 0) return true;
+
+      getSummary(form).focus();
+      return false;
+    }
+
+    /**
+     * Forget errors and touched fields (e.g. after the form was sent)
+     */
+    function reset() {
+      touched.clear();
+      checks.clear();
+      errors.forEach((message, input) => clearError(input));
+      errors.clear();
+      renderSummary(form, errors);
+    }
+
+    form.addEventListener("input", (event) => {
+      if (fields[event.target.id]) {
+        touched.add(event.target);
+      }
+    });
+
+    // focusout bubbles, unlike blur
+    form.addEventListener("focusout", (event) => {
+      const input = event.target;
+      if (!fields[input.id] || !touched.has(input)) return;
+
+      validateField(input).then(() => {
+        // Keep an open summary in step with the fields
+        if (!getSummary(form).classList.contains("hidden")) {
+          renderSummary(form, errors);
+        }
+      });
+    });
+
+    // Summary links focus their field without changing the page hash (which routes)
+    form.addEventListener("click", (event) => {
+      const link = event.target.closest(".form-error-summary a[data-field]");
+      if (!link) return;
+
+      event.preventDefault();
+      const input = form.querySelector(`#${link.dataset.field}`);
+      input?.scrollIntoView({ block: "center" });
+      input?.focus();
+    });
+
+    form.addEventListener("reset", reset);
+
+    return { validate, validateField, reset };
+  }
+
+  window.AdditiveArtisanValidation = {
+    createValidator,
+    EMAIL_PATTERN,
+    ORDER_ID_PATTERN,
+  };
+})(window);
@@ -0,0 +1,277 @@
+/**
+ * Internationalization for Additive Artisan
+ * Message catalogs with interpolation, pluralization and language detection
+ */
+
+(function (window) {
+  "use strict";
+
+  const config = window.AdditiveArtisanConfig?.site || {};
+
+  const STORAGE_KEY = "language";
+  const DEFAULT_LANGUAGE = config.defaultLanguage || "en";
+
+  // Message catalogs by language (filled by js/locales/*.js)
+  const catalogs = {};
+
+  // Native language names for the language selector
+  const LANGUAGE_NAMES = {
+    en: "English",
+    es: "Español",
+    de: "Deutsch",
+  };
+
+  let currentLanguage = DEFAULT_LANGUAGE;
+
+  // Intl.PluralRules instances per language
+  const pluralRules = new Map();
+
+  // =========================================================================
+  // Catalogs
+  // =========================================================================
+
+  /**
+   * Register messages for a language (merged with any existing messages)
+   * @param {string} language - Language code (e.g., "es")
+   * @param {object} messages - Flat map of message keys to strings or plural forms
+   */
+  function addMessages(language, messages) {
+    catalogs[language] = { ...(catalogs[language] || {}), ...messages };
+  }
+
+  /**
+   * Get languages offered in the selector
+   * Languages listed in config.site.languages that have a catalog.
+   *
+   * @returns {Array<string>} Language codes
+   */
+  function getSupportedLanguages() {
+    const configured = config.languages || Object.keys(catalogs);
+    return configured.filter((language) => catalogs[language]);
+  }
+
+  /**
+   * Check if a message exists in the current or default language
+   * @param {string} key - Message key
+   * @returns {boolean} True if the key is translated
+   */
+  function has(key) {
+    return Boolean(catalogs[currentLanguage]?.[key] ?? catalogs[DEFAULT_LANGUAGE]?.[key]);
+  }
+
+  // =========================================================================
+  // Translation
+  // =========================================================================
+
+  /**
+   * Pick the plural form for a count
+   * @param {object} forms - Plural forms (e.g., {one: "...", other: "..."})
+   * @param {number} count - Count
+   * @returns {string} Message for the count
+   */
+  function selectPlural(forms, count) {
+    if (!pluralRules.has(currentLanguage)) {
+      pluralRules.set(currentLanguage, new Intl.PluralRules(currentLanguage));
+    }
+
+    const category = pluralRules.get(currentLanguage).select(count);
+    return forms[category] ?? forms.other ?? "";
+  }
+
+  /**
+   * Translate a message key
+   * Falls back to the default language, then to the key itself.
+   * Placeholders like {name} are replaced from params; messages with plural
+   * forms use params.count to pick the form.
+   *
+   * @param {string} key - Message key (e.g., "cart.empty")
+   * @param {object} params - Interpolation values (optional)
+   * @returns {string} Translated text (not HTML-escaped)
+   *
+   * @example
+   * t("cart.subtotal", { count: 3 }); // "Subtotal (3 items)"
+   */
+  function t(key, params = {}) {
+    let message = catalogs[currentLanguage]?.[key] ?? catalogs[DEFAULT_LANGUAGE]?.[key];
+    if (message === undefined) return key;
+
+    if (typeof message === "object") {
+      message = selectPlural(message, Number(params.count) || 0);
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] !== undefined ? String(params[name]) : match,
+    );
+  }
+
+  // =========================================================================
+  // Language Selection
+  // =========================================================================
+
+  /**
+   * Get the current language
+   * @returns {string} Language code
+   */
+  function getLanguage() {
+    return currentLanguage;
+  }
+
+  /**
+   * Get the locale for number and date formatting
+   * Keeps the browser's region when it matches the language (e.g., "de-AT").
+   *
+   * @returns {string} BCP 47 locale
+   */
+  function getLocale() {
+    const browserLocale = window.navigator.language || "";
+    return browserLocale.split("-")[0] === currentLanguage ? browserLocale : currentLanguage;
+  }
+
+  /**
+   * Detect the preferred language
+   * Order: saved choice, browser languages, config default.
+   *
+   * @returns {string} Language code
+   */
+  function detectLanguage() {
+    const supported = getSupportedLanguages();
+
+    let stored = null;
+    try {
+      stored = localStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+      // Storage unavailable (private browsing)
+    }
+    if (stored && supported.includes(stored)) {
+      return stored;
+    }
+
+    const browserLanguages = window.navigator.languages || [window.navigator.language];
+    for (const locale of browserLanguages) {
+      const language = String(locale || "").split("-")[0].toLowerCase();
+      if (supported.includes(language)) {
+        return language;
+      }
+    }
+
+    return DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Apply a language without saving it
+   * @param {string} language - Language code
+   */
+  function applyLanguage(language) {
+    currentLanguage = language;
+    document.documentElement.lang = language;
+    translatePage();
+
+    const select = document.getElementById("language-select");
+    if (select) {
+      select.value = language;
+    }
+  }
+
+  /**
+   * Set the language, persist it and notify listeners
+   * Dispatches "additiveartisan:languagechange" on window so dynamic content can re-render.
+   *
+   * @param {string} language - Language code
+   * @returns {boolean} True if the language is supported and was applied
+   */
+  function setLanguage(language) {
+    if (!getSupportedLanguages().includes(language)) return false;
+
+    try {
+      localStorage.setItem(STORAGE_KEY, language);
+    } catch (error) {
+      // Storage unavailable - choice lasts for this page only
+    }
+
+    if (language === currentLanguage) return true;
+
+    applyLanguage(language);
+    window.dispatchEvent(
+      new CustomEvent("additiveartisan:languagechange", { detail: { language } }),
+    );
+    return true;
+  }
+
+  // =========================================================================
+  // Static Page Text
+  // =========================================================================
+
+  // data-i18n-* attributes and the element attribute they translate
+  const ATTRIBUTE_BINDINGS = {
+    i18nPlaceholder: "placeholder",
+    i18nAriaLabel: "aria-label",
+    i18nTitle: "title",
+    i18nAlt: "alt",
+  };
+
+  /**
+   * Translate static markup
+   * data-i18n sets text content; data-i18n-placeholder, -aria-label, -title
+   * and -alt set those attributes. English text in index.html is the fallback.
+   *
+   * @param {ParentNode} root - Element to translate (default: document)
+   */
+  function translatePage(root = document) {
+    root.querySelectorAll("[data-i18n]").forEach((element) => {
+      element.textContent = t(element.dataset.i18n);
+    });
+
+    Object.entries(ATTRIBUTE_BINDINGS).forEach(([dataKey, attribute]) => {
+      const selector = `[data-${dataKey.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}]`;
+      root.querySelectorAll(selector).forEach((element) => {
+        element.setAttribute(attribute, t(element.dataset[dataKey]));
+      });
+    });
+  }
+
+  /**
+   * Populate the language selector
+   */
+  function renderSelector() {
+    const select = document.getElementById("language-select");
+    if (!select) return;
+
+    const languages = getSupportedLanguages();
+    select.innerHTML = languages
+      .map(
+        (language) =>
+          `<option value="${language}" lang="${language}">${LANGUAGE_NAMES[language] || language}</option>`,
+      )
+      .join("");
+    select.value = currentLanguage;
+
+    // Nothing to choose from - hide the selector
+    select.closest(".language-selector")?.classList.toggle("hidden", languages.length < 2);
+  }
+
+  /**
+   * Initialize i18n: detect language, translate the page and wire up the selector
+   */
+  function initI18n() {
+    applyLanguage(detectLanguage());
+    renderSelector();
+
+    const select = document.getElementById("language-select");
+    if (select) {
+      select.addEventListener("change", () => setLanguage(select.value));
+    }
+  }
+
+  // Export to window
+  window.AdditiveArtisanI18n = {
+    initI18n,
+    addMessages,
+    t,
+    has,
+    getLanguage,
+    setLanguage,
+    getLocale,
+    getSupportedLanguages,
+    translatePage,
+  };
+})(window);
@@ -0,0 +1,379 @@
+/**
+ * German messages for Additive Artisan
+ */
+
+(function (window) {
+  "use strict";
+
+  window.AdditiveArtisanI18n.addMessages("de", {
+    // Page
+    "meta.title": "Additive Artisan | Niedlicher 3D-Druck",
+    "meta.productTitle": "{title} | Additive Artisan",
+    "meta.productNotFoundTitle": "Produkt nicht gefunden | Additive Artisan",
+    "a11y.skipToContent": "Zum Hauptinhalt springen",
+
+    // Navigation & header
+    "nav.home": "Start",
+    "nav.homeLabel": "Additive Artisan Startseite",
+    "nav.products": "Produkte",
+    "nav.track": "Bestellung verfolgen",
+    "nav.about": "Über uns",
+    "nav.contact": "Kontakt",
+    "nav.toggle": "Navigationsmenü ein-/ausblenden",
+    "nav.language": "Sprache",
+    "nav.currency": "Währung",
+    "theme.toggle": "Dunkelmodus umschalten",
+    "theme.toLight": "Zum hellen Modus wechseln",
+    "theme.toDark": "Zum dunklen Modus wechseln",
+
+    // Home
+    "home.heading": "Additive Artisan - Niedlicher 3D-Druck",
+    "home.tagline": "wo Drucke auf Spiel treffen",
+    "home.shopNow": "Jetzt einkaufen",
+    "home.shopNowLabel": "Unseren Produktkatalog ansehen",
+    "home.featured": "Ausgewählte Kreationen",
+
+    // Products
+    "products.title": "Unsere Produkte",
+    "products.subtitle": "Handgefertigte 3D-Drucke für Spieler und Sammler",
+    "products.searchLabel": "Produkte durchsuchen",
+    "products.searchPlaceholder": "Produkte suchen (z. B. Würfelturm)",
+    "products.searchResults": {
+      one: "{count} Ergebnis für „{query}“",
+      other: "{count} Ergebnisse für „{query}“",
+    },
+    "products.filterByCategory": "Nach Kategorie filtern",
+    "products.filterByTag": "Nach Schlagwort filtern",
+    "products.filterAll": "Alle",
+    "products.sortBy": "Sortieren nach",
+    "products.price": "Preis",
+    "products.priceIn": "Preis ({currency})",
+    "products.minPrice": "Mindestpreis",
+    "products.maxPrice": "Höchstpreis",
+    "products.min": "Min.",
+    "products.max": "Max.",
+    "products.clearFilters": "Filter zurücksetzen",
+    "products.loading": "Produkte werden geladen...",
+    "products.loadError": "Produkte konnten nicht geladen werden. Bitte versuche es später erneut.",
+    "products.noProducts": "Derzeit sind keine Produkte verfügbar.",
+    "products.noSearchResults": "Keine Produkte passen zu „{query}“.",
+    "products.noFilterResults": "Keine Produkte passen zu deinen Filtern.",
+    "products.orderOnEtsy": "Auf Etsy bestellen",
+    "products.preview3d": "3D-Vorschau",
+    "products.modelAlt": "3D-Modell von {title}",
+    "products.showImage": "Bild {index} von {total} anzeigen",
+    "products.tags": "Schlagwörter",
+    "products.backToProducts": "← Zurück zu den Produkten",
+    "products.notFound.title": "Produkt nicht gefunden",
+    "products.notFound.message": "Dieses Produkt ist nicht mehr verfügbar oder der Link ist fehlerhaft.",
+    "products.notFound.browse": "Produkte ansehen",
+    "products.savedCatalog": "Du bist offline. Angezeigt wird der gespeicherte Katalog vom {date}; Preise und Verfügbarkeit können sich geändert haben.",
+
+    // Categories
+    "categories.mtg": "MTG",
+    "categories.props": "Requisiten & Schilder",
+    "categories.accessories": "Zubehör",
+    "categories.dice": "Würfel & Marker",
+    "categories.storage": "Aufbewahrung",
+    "categories.custom": "Individuelle Aufträge",
+    "categories.all": "Alle Produkte",
+
+    // Sorting & pagination
+    "sort.relevance": "Beste Treffer",
+    "sort.featured": "Empfohlen",
+    "sort.newest": "Neueste",
+    "sort.priceAsc": "Preis: aufsteigend",
+    "sort.priceDesc": "Preis: absteigend",
+    "sort.title": "Name: A bis Z",
+    "pagination.label": "Produktseiten",
+    "pagination.page": "Seite {page}",
+    "pagination.previous": "Vorherige Seite",
+    "pagination.next": "Nächste Seite",
+
+    // Cart
+    "cart.title": "Dein Warenkorb",
+    "cart.open": "Warenkorb öffnen",
+    "cart.openWithCount": {
+      one: "Warenkorb öffnen ({count} Artikel)",
+      other: "Warenkorb öffnen ({count} Artikel)",
+    },
+    "cart.close": "Warenkorb schließen",
+    "cart.add": "In den Warenkorb",
+    "cart.addLabel": "{title} in den Warenkorb legen",
+    "cart.added": "{title} wurde in den Warenkorb gelegt",
+    "cart.saveForLater": "Für später merken",
+    "cart.saveLabel": "{title} für später merken",
+    "cart.saved": "{title} wurde für später gemerkt",
+    "cart.moveToCart": "In den Warenkorb verschieben",
+    "cart.quantityLabel": "Menge von {title}",
+    "cart.decrease": "Menge verringern",
+    "cart.increase": "Menge erhöhen",
+    "cart.viewOnEtsy": "Auf Etsy ansehen",
+    "cart.remove": "Entfernen",
+    "cart.removeLabel": "{title} entfernen",
+    "cart.empty": "Dein Warenkorb ist leer.",
+    "cart.savedTitle": "Für später gemerkt ({count})",
+    "cart.subtotal": {
+      one: "Zwischensumme ({count} Artikel)",
+      other: "Zwischensumme ({count} Artikel)",
+    },
+    "cart.shippingNote": "Versand und Steuern werden auf Etsy berechnet.",
+    "cart.openListings": {
+      one: "Angebot auf Etsy öffnen",
+      other: "Angebote auf Etsy öffnen",
+    },
+    "cart.requestViaContact": "Über das Kontaktformular anfragen",
+    "cart.tabsBlocked": "Dein Browser hat einige Tabs blockiert. Nutze die Links „Auf Etsy ansehen“ oben.",
+    "cart.message.intro": "Hallo! Ich möchte Folgendes bestellen:",
+    "cart.message.item": "- {quantity} x {title} (je {price})",
+    "cart.message.total": "Geschätzte Summe: {total}",
+
+    // Currency
+    "currency.approximateNote": "Preise in {currency} sind ungefähre Angaben. Auf Etsy wird in {base} abgerechnet.",
+
+    // Order tracking
+    "tracker.title": "Bestellung verfolgen",
+    "tracker.subtitle": "Begleite deinen Druck von der Entstehung bis zur Lieferung",
+    "tracker.orderNumber": "Bestellnummer",
+    "tracker.orderNumberPlaceholder": "z. B. AA-2024-0047",
+    "tracker.orderNumberFormat": "Format: AA-2024-0047 (2 Großbuchstaben, Bindestrich, 4 Ziffern, Bindestrich, 4 Ziffern)",
+    "tracker.email": "E-Mail-Adresse",
+    "tracker.submit": "Bestellung verfolgen",
+    "tracker.submitLabel": "Sendungsverfolgung anfragen",
+    "tracker.statusTitle": "Bestellstatus",
+    "tracker.statusPlaceholder": "Hier erscheint der Status deiner Bestellung",
+    "tracker.product": "Produkt:",
+    "tracker.orderDate": "Bestelldatum:",
+    "tracker.trackingNumber": "Sendungsnummer:",
+    "tracker.estimatedDelivery": "Voraussichtliche Lieferung:",
+    "tracker.trackWithCarrier": "{number} auf der Website von {carrier} verfolgen (öffnet in einem neuen Tab)",
+    "tracker.shipment.title": "Sendungsverlauf ({count})",
+    "tracker.loading": "Bestellung wird gesucht...",
+    "tracker.retry": "Erneut versuchen",
+    "tracker.retryIn": "Erneut versuchen in {seconds} s",
+    "tracker.savedStatus": "Du bist offline. Das ist der letzte bekannte Status, abgerufen am {date}.",
+    "tracker.status.received.label": "Bestellung eingegangen",
+    "tracker.status.received.message": "Wir haben deine Bestellung!",
+    "tracker.status.received.description": "Deine Bestellung ist eingegangen und in unserem System erfasst.",
+    "tracker.status.queue.label": "In der Warteschlange",
+    "tracker.status.queue.message": "Platz in der Druckwarteschlange reserviert",
+    "tracker.status.queue.description": "Deine Bestellung ist in der Produktionswarteschlange.",
+    "tracker.status.printing.label": "Im Druck",
+    "tracker.status.printing.message": "Dein Druck entsteht gerade",
+    "tracker.status.printing.description": "Dein Artikel wird gerade 3D-gedruckt.",
+    "tracker.status.processing.label": "Nachbearbeitung",
+    "tracker.status.processing.message": "Reinigung und Feinschliff",
+    "tracker.status.processing.description": "Stützstrukturen werden entfernt und dein Druck gereinigt.",
+    "tracker.status.quality.label": "Qualitätskontrolle",
+    "tracker.status.quality.message": "Endkontrolle",
+    "tracker.status.quality.description": "Wir prüfen, ob dein Druck unseren Qualitätsstandards entspricht.",
+    "tracker.status.packaging.label": "Verpackung",
+    "tracker.status.packaging.message": "Deine Bestellung wird sorgfältig verpackt",
+    "tracker.status.packaging.description": "Deine Bestellung wird sicher für den Versand verpackt.",
+    "tracker.status.shipped.label": "Versandt",
+    "tracker.status.shipped.message": "Auf dem Weg zu dir!",
+    "tracker.status.shipped.description": "Deine Bestellung wurde an den Versanddienstleister übergeben.",
+    "tracker.status.delivered.label": "Zugestellt",
+    "tracker.status.delivered.message": "Viel Freude mit deinem Druck!",
+    "tracker.status.delivered.description": "Deine Bestellung wurde zugestellt. Danke für deine Bestellung!",
+    "tracker.status.material.label": "Warten auf Material",
+    "tracker.status.material.message": "Wir warten auf Material",
+    "tracker.status.material.description": "Wir warten auf Filament oder Teile für deine Bestellung. Es geht weiter, sobald sie da sind.",
+    "tracker.status.hold.label": "Pausiert",
+    "tracker.status.hold.message": "Deine Bestellung ist pausiert",
+    "tracker.status.hold.description": "Deine Bestellung ist pausiert. Wir melden uns, falls wir etwas von dir brauchen.",
+    "tracker.status.cancelled.label": "Storniert",
+    "tracker.status.cancelled.message": "Diese Bestellung wurde storniert",
+    "tracker.status.cancelled.description": "Diese Bestellung wurde storniert. Melde dich bei Fragen gern bei uns.",
+    "tracker.status.default.message": "Deine Bestellung wird bearbeitet",
+    "tracker.status.default.description": "Deine Bestellung ist in Bearbeitung.",
+    "tracker.watch.start": "Auf Updates achten",
+    "tracker.watch.stop": "Nicht mehr beobachten",
+    "tracker.watch.hint": "Lass diese Seite geöffnet - wir sagen dir Bescheid, sobald deine Bestellung den nächsten Schritt erreicht.",
+    "tracker.watch.active": "Wird beobachtet. Zuletzt geprüft um {time}.",
+    "tracker.watch.notificationsBlocked": "Benachrichtigungen sind blockiert, daher erscheinen Updates nur auf dieser Seite.",
+    "tracker.watch.notificationTitle": "Neuigkeiten zu Bestellung {orderId}",
+
+    // My Orders
+    "myOrders.title": "Meine Bestellungen",
+    "myOrders.view": "Bestellung {orderId} verfolgen",
+    "myOrders.remove": "Entfernen",
+    "myOrders.removeLabel": "Bestellung {orderId} aus dieser Liste entfernen",
+    "myOrders.checking": "Wird abgefragt...",
+    "myOrders.unavailable": "Status nicht verfügbar",
+    "myOrders.rememberEmail": "Meine E-Mail auf diesem Gerät speichern",
+
+    // About
+    "about.title": "Über Additive Artisan",
+    "about.storyTitle": "Unsere Geschichte",
+    "about.story1": "Willkommen bei Additive Artisan, wo Niedliches auf Handwerk trifft! Ich bin Rob und gestalte niedliche 3D-gedruckte Produkte mit persönlicher Note.",
+    "about.story2": "Jeder Druck entsteht mit Sorgfalt, Schicht für Schicht. Ob du einzigartiges MTG-Zubehör, lustige Spielrequisiten oder individuelle Kreationen suchst: Jedes Stück wird mit Liebe zum Detail und ganz viel Herz gefertigt.",
+    "about.logoAlt": "Additive Artisan Logo",
+    "about.artieAlt": "Maskottchen Artie",
+    "about.artieTitle": "Das ist Artie - dein Bastelbegleiter",
+    "about.artie": "Artie ist unser geliebtes Maskottchen - ein ganz schwarzer Bastelkater, inspiriert vom Charme der Hanna-Barbera-Zeichentrickfilme der 1950er. Mit seiner blauen Jeansschürze, bernsteinfarbenen Nähten und seiner treuen Stifteschutzhülle voller Kugelschreiber und Bleistifte verkörpert er den Geist handgemachter Kreativität.",
+    "about.workshopTitle": "Die Werkstatt",
+    "about.workshop": "Wirf einen Blick hinter die Kulissen, wo die Magie passiert.",
+    "about.tourSoon": "Studio-Rundgang folgt in Kürze",
+    "about.tourDescription": "Ein immersiver 3D-Rundgang durch unsere Werkstatt",
+    "about.valuesTitle": "Wofür wir stehen",
+    "about.value1Title": "Handgefertigte Qualität",
+    "about.value1": "Jedes Stück wird mit Liebe zum Detail und handwerklichem Können gefertigt",
+    "about.value2Title": "Persönliche Note",
+    "about.value2": "Direkte Kommunikation und Aufmerksamkeit für jede Kundin und jeden Kunden",
+    "about.value3Title": "Spieler aus Leidenschaft",
+    "about.value3": "Produkte von Spielern für Spieler",
+    "about.value4Title": "Niedlich & lustig",
+    "about.value4": "Weil mit einer Prise Fantasie alles schöner ist",
+
+    // Contact
+    "contact.title": "Kontakt aufnehmen",
+    "contact.subtitle": "Fragen? Individuelle Wünsche? Einfach Lust auf einen Plausch? Ich freue mich von dir zu hören!",
+    "contact.name": "Name",
+    "contact.namePlaceholder": "Dein Name",
+    "contact.email": "E-Mail",
+    "contact.subject": "Betreff",
+    "contact.subjectPlaceholder": "Thema auswählen...",
+    "contact.subjectOrder": "Frage zur Bestellung",
+    "contact.subjectCustom": "Individuelle Anfrage",
+    "contact.subjectFeedback": "Feedback",
+    "contact.subjectOther": "Sonstiges",
+    "contact.message": "Nachricht",
+    "contact.messagePlaceholder": "Erzähl mir von deinem Projekt oder deiner Frage...",
+    "contact.submit": "Nachricht senden",
+    "contact.submitLabel": "Kontaktformular absenden",
+    "contact.sending": "Wird gesendet...",
+    "contact.success": "Danke für deine Nachricht, {name}! Wir melden uns bald bei dir.",
+    "contact.queued": "Danke, {name}! Unser Server ist gerade nicht erreichbar, deshalb wurde deine Nachricht auf diesem Gerät gespeichert und wird gesendet, sobald du wieder online bist.",
+    "contact.direct": "Direkter Kontakt",
+    "contact.shop": "Shop",
+    "contact.follow": "Folge uns",
+    "contact.followTikTok": "Folge uns auf TikTok",
+    "contact.followPinterest": "Folge uns auf Pinterest",
+    "contact.followInstagram": "Folge uns auf Instagram",
+    "contact.signature": "mit Sorgfalt gefertigt, Schicht für Schicht.",
+    "contact.d20Alt": "W20-Würfel",
+
+    // Custom Requests
+    "customRequest.progressLabel": "Schritte der individuellen Anfrage",
+    "customRequest.stepMessage": "Deine Idee",
+    "customRequest.stepDetails": "Druckdetails",
+    "customRequest.stepFiles": "Dateien",
+    "customRequest.stepReview": "Überprüfen",
+    "customRequest.size": "Größe in mm (optional)",
+    "customRequest.width": "Breite in mm",
+    "customRequest.depth": "Tiefe in mm",
+    "customRequest.height": "Höhe in mm",
+    "customRequest.widthShort": "B",
+    "customRequest.depthShort": "T",
+    "customRequest.heightShort": "H",
+    "customRequest.material": "Material",
+    "customRequest.materials.any": "Weiß nicht - empfiehl mir eins",
+    "customRequest.materials.pla": "PLA",
+    "customRequest.materials.petg": "PETG",
+    "customRequest.materials.tpu": "TPU (flexibel)",
+    "customRequest.materials.resin": "Harz",
+    "customRequest.color": "Farbe (optional)",
+    "customRequest.colorPlaceholder": "z. B. mattschwarz, nachleuchtend",
+    "customRequest.quantity": "Anzahl",
+    "customRequest.deadline": "Benötigt bis (optional)",
+    "customRequest.dropFiles": "Zieh STL-, 3MF- oder Bilddateien hierher oder klicke zum Auswählen",
+    "customRequest.filesHint": {
+      one: "{types} · bis {size} pro Datei, höchstens {count} Datei",
+      other: "{types} · bis {size} pro Datei, höchstens {count} Dateien",
+    },
+    "customRequest.sizeKB": "{size} KB",
+    "customRequest.sizeMB": "{size} MB",
+    "customRequest.removeFile": "{name} entfernen",
+    "customRequest.reviewHint": "Prüfe deine Anfrage, bevor du sie sendest.",
+    "customRequest.reviewSize": "Größe",
+    "customRequest.reviewColor": "Farbe",
+    "customRequest.reviewDeadline": "Benötigt bis",
+    "customRequest.sizeValue": "{size} mm",
+    "customRequest.notSpecified": "Keine Angabe",
+    "customRequest.noFiles": "Keine Dateien angehängt",
+    "customRequest.estimateTitle": "Sofort-Schätzung",
+    "customRequest.analyzing": "Modell wird vermessen...",
+    "customRequest.analysisFailed": "Dieses Modell konnten wir nicht lesen - wir prüfen es von Hand.",
+    "customRequest.modelSummary": "{size} mm, {volume} cm³",
+    "customRequest.modelTooBig": "Größer als unser Drucker ({size} mm) - eventuell müssen wir es in Teile aufteilen.",
+    "customRequest.estimateTotal": "{price} · etwa {hours} Std. Druckzeit",
+    "customRequest.estimateNote": "Grobe Schätzung für das gewählte Material und die Menge. Dein endgültiges Angebot kann abweichen.",
+    "customRequest.reviewEstimate": "Schätzung",
+    "customRequest.back": "Zurück",
+    "customRequest.next": "Weiter",
+    "customRequest.submit": "Anfrage senden",
+    "customRequest.submitLabel": "Individuelle Anfrage senden",
+
+    // Footer
+    "footer.tagline": "schnurrfekt gedruckt, nur für dich.",
+    "footer.rights": "Alle Rechte vorbehalten.",
+
+    // Offline
+    "offline.offline": "Du bist offline. Gespeicherte Inhalte werden angezeigt.",
+    "offline.backOnline": "Du bist wieder online.",
+    "offline.sent": {
+      one: "Deine gespeicherte Nachricht wurde gesendet.",
+      other: "{count} gespeicherte Nachrichten wurden gesendet.",
+    },
+    "offline.rejected": {
+      one: "Eine gespeicherte Nachricht konnte nicht gesendet werden. Bitte sende sie erneut.",
+      other: "{count} gespeicherte Nachrichten konnten nicht gesendet werden. Bitte sende sie erneut.",
+    },
+
+    // Updates
+    "update.available": "Eine neue Version der Website ist verfügbar.",
+    "update.reload": "Neu laden",
+    "update.dismiss": "Schließen",
+    "update.unsavedForm": "Beim Neuladen geht das Formular verloren, das du gerade ausfüllst.",
+    "update.reloadAnyway": "Trotzdem neu laden",
+
+    // Errors
+    "errors.summaryTitle": {
+      one: "Im Formular ist ein Problem:",
+      other: "Im Formular sind {count} Probleme:",
+    },
+    "errors.orderIdRequired": "Bitte gib eine Bestellnummer ein.",
+    "errors.orderIdFormat": "Ungültiges Format der Bestellnummer. Erwartet: {example}",
+    "errors.emailRequired": "Bitte gib deine E-Mail-Adresse ein.",
+    "errors.emailInvalid": "Bitte gib eine gültige E-Mail-Adresse ein.",
+    "errors.nameRequired": "Bitte gib deinen Namen ein.",
+    "errors.messageRequired": "Bitte gib eine Nachricht ein.",
+    "errors.subjectRequired": "Bitte wähle ein Thema.",
+    "errors.messageTooLong": "Deine Nachricht ist zu lang. Bitte bleib unter {max} Zeichen.",
+    "errors.trackerUnavailable": "Die Sendungsverfolgung ist derzeit nicht verfügbar. Bitte versuche es später erneut.",
+    "errors.orderNotFound": "Bestellung nicht gefunden. Bitte prüfe Bestellnummer und E-Mail-Adresse.",
+    "errors.orderFetch": "Bestellstatus konnte nicht abgerufen werden",
+    "errors.timeout": "Zeitüberschreitung - bitte versuche es erneut",
+    "errors.emailMismatch": "Diese E-Mail-Adresse passt nicht zu dieser Bestellung.",
+    "errors.rateLimited": "Zu viele Anfragen. Bitte warte kurz und versuche es erneut.",
+    "errors.rateLimitedFor": {
+      one: "Zu viele Anfragen. Bitte versuche es in {count} Sekunde erneut.",
+      other: "Zu viele Anfragen. Bitte versuche es in {count} Sekunden erneut.",
+    },
+    "errors.network": "Unser Bestellsystem ist nicht erreichbar. Bitte prüfe deine Verbindung und versuche es erneut.",
+    "errors.offline": "Du bist offline. Stelle die Internetverbindung wieder her und versuche es erneut.",
+    "errors.contactSend": "Deine Nachricht konnte nicht gesendet werden. Versuche es erneut oder schreib uns direkt eine E-Mail.",
+    "errors.contactTooFast": "Das ging schnell! Nimm dir einen Moment, um deine Nachricht zu prüfen, und sende sie dann erneut.",
+    "errors.contactTooMany": {
+      one: "Du hast in letzter Zeit mehrere Nachrichten gesendet. Bitte versuche es in {count} Minute erneut.",
+      other: "Du hast in letzter Zeit mehrere Nachrichten gesendet. Bitte versuche es in {count} Minuten erneut.",
+    },
+    "errors.contactRateLimited": "Du hast in letzter Zeit mehrere Nachrichten gesendet. Bitte versuche es später erneut.",
+    "errors.dimensionInvalid": "Bitte gib eine Größe von 1 bis {max} mm ein.",
+    "errors.quantityInvalid": "Bitte gib eine ganze Zahl von 1 bis {max} ein.",
+    "errors.deadlinePast": "Bitte wähle ein Datum, das noch nicht vorbei ist.",
+    "errors.fileType": "{name} kann nicht angehängt werden. Erlaubte Dateien: {types}.",
+    "errors.fileTooLarge": "{name} ist größer als {max}.",
+    "errors.tooManyFiles": {
+      one: "Du kannst bis zu {count} Datei anhängen.",
+      other: "Du kannst bis zu {count} Dateien anhängen.",
+    },
+    "errors.filesTooLarge": "Anhänge dürfen zusammen höchstens {max} groß sein.",
+    "errors.fileRead": "Eine Datei konnte nicht gelesen werden. Entferne sie und füge sie erneut hinzu.",
+    "errors.attachmentInvalid": "Eine deiner Dateien kann nicht angenommen werden. Prüfe Typ und Größe und versuche es erneut.",
+    "errors.server": "Unser Bestellsystem hat gerade Probleme. Bitte versuche es in ein paar Minuten erneut.",
+    "errors.malformedResponse": "Unser Bestellsystem hat unerwartet geantwortet. Bitte versuche es erneut.",
+    "errors.siteLoad": "Die Website konnte nicht richtig geladen werden. Bitte lade die Seite neu.",
+  });
+})(window);
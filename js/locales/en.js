@@ -0,0 +1,380 @@
+/**
+ * English messages for Additive Artisan (default language)
+ * Keys are shared by all catalogs; missing translations fall back to these.
+ */
+
+(function (window) {
+  "use strict";
+
+  window.AdditiveArtisanI18n.addMessages("en", {
+    // Page
+    "meta.title": "Additive Artisan | Cutsie 3D Printing",
+    "meta.productTitle": "{title} | Additive Artisan",
+    "meta.productNotFoundTitle": "Product Not Found | Additive Artisan",
+    "a11y.skipToContent": "Skip to main content",
+
+    // Navigation & header
+    "nav.home": "Home",
+    "nav.homeLabel": "Additive Artisan Home",
+    "nav.products": "Products",
+    "nav.track": "Track Order",
+    "nav.about": "About",
+    "nav.contact": "Contact",
+    "nav.toggle": "Toggle navigation menu",
+    "nav.language": "Language",
+    "nav.currency": "Currency",
+    "theme.toggle": "Toggle dark mode",
+    "theme.toLight": "Switch to light mode",
+    "theme.toDark": "Switch to dark mode",
+
+    // Home
+    "home.heading": "Additive Artisan - Cutsie 3D Printing",
+    "home.tagline": "where prints meet play",
+    "home.shopNow": "Shop Now",
+    "home.shopNowLabel": "Browse our product catalog",
+    "home.featured": "Featured Creations",
+
+    // Products
+    "products.title": "Our Products",
+    "products.subtitle": "Handcrafted 3D prints for gamers and collectors",
+    "products.searchLabel": "Search products",
+    "products.searchPlaceholder": "Search products (e.g., dice tower)",
+    "products.searchResults": {
+      one: "{count} result for “{query}”",
+      other: "{count} results for “{query}”",
+    },
+    "products.filterByCategory": "Filter by category",
+    "products.filterByTag": "Filter by tag",
+    "products.filterAll": "All",
+    "products.sortBy": "Sort by",
+    "products.price": "Price",
+    "products.priceIn": "Price ({currency})",
+    "products.minPrice": "Minimum price",
+    "products.maxPrice": "Maximum price",
+    "products.min": "Min",
+    "products.max": "Max",
+    "products.clearFilters": "Clear filters",
+    "products.loading": "Loading products...",
+    "products.loadError": "Unable to load products. Please try again later.",
+    "products.noProducts": "No products available at this time.",
+    "products.noSearchResults": "No products match “{query}”.",
+    "products.noFilterResults": "No products match your filters.",
+    "products.orderOnEtsy": "Order on Etsy",
+    "products.preview3d": "3D Preview",
+    "products.modelAlt": "3D model of {title}",
+    "products.showImage": "Show image {index} of {total}",
+    "products.tags": "Tags",
+    "products.backToProducts": "← Back to Products",
+    "products.notFound.title": "Product Not Found",
+    "products.notFound.message": "This product is no longer available or the link is incorrect.",
+    "products.notFound.browse": "Browse Products",
+    "products.savedCatalog": "You're offline. Showing the saved catalog from {date}; prices and availability may have changed.",
+
+    // Categories
+    "categories.mtg": "MTG",
+    "categories.props": "Props & Signs",
+    "categories.accessories": "Accessories",
+    "categories.dice": "Dice & Tokens",
+    "categories.storage": "Storage",
+    "categories.custom": "Custom Orders",
+    "categories.all": "All Products",
+
+    // Sorting & pagination
+    "sort.relevance": "Best match",
+    "sort.featured": "Featured",
+    "sort.newest": "Newest",
+    "sort.priceAsc": "Price: Low to High",
+    "sort.priceDesc": "Price: High to Low",
+    "sort.title": "Name: A to Z",
+    "pagination.label": "Product pages",
+    "pagination.page": "Page {page}",
+    "pagination.previous": "Previous page",
+    "pagination.next": "Next page",
+
+    // Cart
+    "cart.title": "Your Cart",
+    "cart.open": "Open cart",
+    "cart.openWithCount": {
+      one: "Open cart ({count} item)",
+      other: "Open cart ({count} items)",
+    },
+    "cart.close": "Close cart",
+    "cart.add": "Add to Cart",
+    "cart.addLabel": "Add {title} to cart",
+    "cart.added": "{title} added to cart",
+    "cart.saveForLater": "Save for later",
+    "cart.saveLabel": "Save {title} for later",
+    "cart.saved": "{title} saved for later",
+    "cart.moveToCart": "Move to cart",
+    "cart.quantityLabel": "Quantity of {title}",
+    "cart.decrease": "Decrease quantity",
+    "cart.increase": "Increase quantity",
+    "cart.viewOnEtsy": "View on Etsy",
+    "cart.remove": "Remove",
+    "cart.removeLabel": "Remove {title}",
+    "cart.empty": "Your cart is empty.",
+    "cart.savedTitle": "Saved for later ({count})",
+    "cart.subtotal": {
+      one: "Subtotal ({count} item)",
+      other: "Subtotal ({count} items)",
+    },
+    "cart.shippingNote": "Shipping and taxes are calculated on Etsy.",
+    "cart.openListings": {
+      one: "Open Listing on Etsy",
+      other: "Open Listings on Etsy",
+    },
+    "cart.requestViaContact": "Request via Contact Form",
+    "cart.tabsBlocked": "Your browser blocked some tabs. Use the “View on Etsy” links above.",
+    "cart.message.intro": "Hi! I'd like to order the following:",
+    "cart.message.item": "- {quantity} x {title} ({price} each)",
+    "cart.message.total": "Estimated total: {total}",
+
+    // Currency
+    "currency.approximateNote": "Prices in {currency} are approximate. You'll be charged in {base} on Etsy.",
+
+    // Order tracking
+    "tracker.title": "Track Your Order",
+    "tracker.subtitle": "Follow your print's journey from creation to delivery",
+    "tracker.orderNumber": "Order Number",
+    "tracker.orderNumberPlaceholder": "e.g., AA-2024-0047",
+    "tracker.orderNumberFormat": "Format: AA-2024-0047 (2 uppercase letters, dash, 4 digits, dash, 4 digits)",
+    "tracker.email": "Email Address",
+    "tracker.submit": "Track Order",
+    "tracker.submitLabel": "Submit order tracking request",
+    "tracker.statusTitle": "Order Status",
+    "tracker.statusPlaceholder": "Your order status will appear here",
+    "tracker.product": "Product:",
+    "tracker.orderDate": "Order Date:",
+    "tracker.trackingNumber": "Tracking Number:",
+    "tracker.estimatedDelivery": "Estimated Delivery:",
+    "tracker.trackWithCarrier": "Track {number} on the {carrier} website (opens in a new tab)",
+    "tracker.shipment.title": "Shipment updates ({count})",
+    "tracker.loading": "Looking up your order...",
+    "tracker.retry": "Try again",
+    "tracker.retryIn": "Try again in {seconds}s",
+    "tracker.savedStatus": "You're offline. This is the last known status, checked {date}.",
+    "tracker.status.received.label": "Order Received",
+    "tracker.status.received.message": "We got your order!",
+    "tracker.status.received.description": "Your order has been received and logged into our system.",
+    "tracker.status.queue.label": "In Queue",
+    "tracker.status.queue.message": "Spot reserved in print queue",
+    "tracker.status.queue.description": "Your order is in the production queue.",
+    "tracker.status.printing.label": "Printing",
+    "tracker.status.printing.message": "Your print is being created",
+    "tracker.status.printing.description": "Your item is currently being 3D printed.",
+    "tracker.status.processing.label": "Post-Processing",
+    "tracker.status.processing.message": "Cleaning and finishing",
+    "tracker.status.processing.description": "Removing supports and cleaning up your print.",
+    "tracker.status.quality.label": "Quality Control",
+    "tracker.status.quality.message": "Final inspection",
+    "tracker.status.quality.description": "Ensuring your print meets our quality standards.",
+    "tracker.status.packaging.label": "Packaging",
+    "tracker.status.packaging.message": "Carefully boxing your order",
+    "tracker.status.packaging.description": "Safely packaging your order for shipment.",
+    "tracker.status.shipped.label": "Shipped",
+    "tracker.status.shipped.message": "On its way to you!",
+    "tracker.status.shipped.description": "Your order has been handed to the carrier.",
+    "tracker.status.delivered.label": "Delivered",
+    "tracker.status.delivered.message": "Enjoy your print!",
+    "tracker.status.delivered.description": "Your order has been delivered. Thanks for your order!",
+    "tracker.status.material.label": "Awaiting Material",
+    "tracker.status.material.message": "Waiting on materials",
+    "tracker.status.material.description": "We're waiting on filament or parts for your order. It will continue as soon as they arrive.",
+    "tracker.status.hold.label": "On Hold",
+    "tracker.status.hold.message": "Your order is paused",
+    "tracker.status.hold.description": "Your order is on hold. We'll be in touch if we need anything from you.",
+    "tracker.status.cancelled.label": "Cancelled",
+    "tracker.status.cancelled.message": "This order was cancelled",
+    "tracker.status.cancelled.description": "This order has been cancelled. Contact us if you have any questions.",
+    "tracker.status.default.message": "Processing your order",
+    "tracker.status.default.description": "Your order is being processed.",
+    "tracker.watch.start": "Watch for updates",
+    "tracker.watch.stop": "Stop watching",
+    "tracker.watch.hint": "Keep this page open and we'll let you know when your order moves to the next step.",
+    "tracker.watch.active": "Watching for updates. Last checked at {time}.",
+    "tracker.watch.notificationsBlocked": "Notifications are blocked, so updates will only appear on this page.",
+    "tracker.watch.notificationTitle": "Order {orderId} update",
+
+    // My Orders
+    "myOrders.title": "My Orders",
+    "myOrders.view": "Track order {orderId}",
+    "myOrders.remove": "Remove",
+    "myOrders.removeLabel": "Remove order {orderId} from this list",
+    "myOrders.checking": "Checking...",
+    "myOrders.unavailable": "Status unavailable",
+    "myOrders.rememberEmail": "Remember my email on this device",
+
+    // About
+    "about.title": "About Additive Artisan",
+    "about.storyTitle": "Our Story",
+    "about.story1": "Welcome to Additive Artisan, where cute meets craft! I'm Rob, and I create cutsie 3D printed products with a personal touch.",
+    "about.story2": "Every print is crafted with care, one layer at a time. Whether you're looking for unique MTG accessories, fun gaming props, or custom creations, each piece is made with attention to detail and a whole lot of heart.",
+    "about.logoAlt": "Additive Artisan logo",
+    "about.artieAlt": "Artie the mascot",
+    "about.artieTitle": "Meet Artie - Your Craft Companion",
+    "about.artie": "Artie is our beloved mascot - an all-black craft-maker cat inspired by the charm of 1950s Hanna-Barbera cartoons. With his blue denim apron, amber stitching, and trusty pocket protector full of pens and pencils, he embodies the spirit of handmade creativity.",
+    "about.workshopTitle": "The Workshop",
+    "about.workshop": "Take a peek behind the scenes where the magic happens.",
+    "about.tourSoon": "Studio Tour Coming Soon",
+    "about.tourDescription": "An immersive 3D tour of our workspace",
+    "about.valuesTitle": "What We Stand For",
+    "about.value1Title": "Handcrafted Quality",
+    "about.value1": "Every piece is made with attention to detail and craftsmanship",
+    "about.value2Title": "Personal Touch",
+    "about.value2": "Direct communication and care for every customer",
+    "about.value3Title": "Gamer at Heart",
+    "about.value3": "Products designed by gamers, for gamers",
+    "about.value4Title": "Cutsie & Fun",
+    "about.value4": "Because everything is better with a touch of whimsy",
+
+    // Contact
+    "contact.title": "Get In Touch",
+    "contact.subtitle": "Questions? Custom requests? Just want to chat? I'd love to hear from you!",
+    "contact.name": "Name",
+    "contact.namePlaceholder": "Your name",
+    "contact.email": "Email",
+    "contact.subject": "Subject",
+    "contact.subjectPlaceholder": "Select a topic...",
+    "contact.subjectOrder": "Order Question",
+    "contact.subjectCustom": "Custom Request",
+    "contact.subjectFeedback": "Feedback",
+    "contact.subjectOther": "Other",
+    "contact.message": "Message",
+    "contact.messagePlaceholder": "Tell me about your project or question...",
+    "contact.submit": "Send Message",
+    "contact.submitLabel": "Submit contact form",
+    "contact.sending": "Sending...",
+    "contact.success": "Thank you for your message, {name}! We'll get back to you soon.",
+    "contact.queued": "Thanks, {name}! We couldn't reach our server, so your message is saved on this device and will be sent once you're back online.",
+    "contact.direct": "Direct Contact",
+    "contact.shop": "Shop",
+    "contact.follow": "Follow Along",
+    "contact.followTikTok": "Follow us on TikTok",
+    "contact.followPinterest": "Follow us on Pinterest",
+    "contact.followInstagram": "Follow us on Instagram",
+    "contact.signature": "crafted with care, one layer at a time.",
+    "contact.d20Alt": "D20 dice",
+
+    // Custom Requests
+    "customRequest.progressLabel": "Custom request steps",
+    "customRequest.stepMessage": "Your idea",
+    "customRequest.stepDetails": "Print details",
+    "customRequest.stepFiles": "Files",
+    "customRequest.stepReview": "Review",
+    "customRequest.size": "Size in mm (optional)",
+    "customRequest.width": "Width in mm",
+    "customRequest.depth": "Depth in mm",
+    "customRequest.height": "Height in mm",
+    "customRequest.widthShort": "W",
+    "customRequest.depthShort": "D",
+    "customRequest.heightShort": "H",
+    "customRequest.material": "Material",
+    "customRequest.materials.any": "Not sure - recommend one",
+    "customRequest.materials.pla": "PLA",
+    "customRequest.materials.petg": "PETG",
+    "customRequest.materials.tpu": "TPU (flexible)",
+    "customRequest.materials.resin": "Resin",
+    "customRequest.color": "Color (optional)",
+    "customRequest.colorPlaceholder": "e.g. matte black, glow in the dark",
+    "customRequest.quantity": "Quantity",
+    "customRequest.deadline": "Needed by (optional)",
+    "customRequest.dropFiles": "Drag STL, 3MF or image files here, or click to browse",
+    "customRequest.filesHint": {
+      one: "{types} · up to {size} each, {count} file max",
+      other: "{types} · up to {size} each, {count} files max",
+    },
+    "customRequest.sizeKB": "{size} KB",
+    "customRequest.sizeMB": "{size} MB",
+    "customRequest.removeFile": "Remove {name}",
+    "customRequest.reviewHint": "Check your request before sending it.",
+    "customRequest.reviewSize": "Size",
+    "customRequest.reviewColor": "Color",
+    "customRequest.reviewDeadline": "Needed by",
+    "customRequest.sizeValue": "{size} mm",
+    "customRequest.notSpecified": "Not specified",
+    "customRequest.noFiles": "No files attached",
+    "customRequest.estimateTitle": "Instant estimate",
+    "customRequest.analyzing": "Measuring model...",
+    "customRequest.analysisFailed": "Couldn't read this model - we'll check it by hand.",
+    "customRequest.modelSummary": "{size} mm, {volume} cm³",
+    "customRequest.modelTooBig": "Larger than our printer ({size} mm) - we may need to split it into parts.",
+    "customRequest.estimateTotal": "{price} · about {hours} h of printing",
+    "customRequest.estimateNote": "Rough estimate for the material and quantity you chose. Your final quote may differ.",
+    "customRequest.reviewEstimate": "Estimate",
+    "customRequest.back": "Back",
+    "customRequest.next": "Next",
+    "customRequest.submit": "Send Request",
+    "customRequest.submitLabel": "Send custom request",
+
+    // Footer
+    "footer.tagline": "purrfectly printed, just for you.",
+    "footer.rights": "All rights reserved.",
+
+    // Offline
+    "offline.offline": "You're offline. Showing saved content.",
+    "offline.backOnline": "You're back online.",
+    "offline.sent": {
+      one: "Your saved message was sent.",
+      other: "{count} saved messages were sent.",
+    },
+    "offline.rejected": {
+      one: "A saved message couldn't be sent. Please send it again.",
+      other: "{count} saved messages couldn't be sent. Please send them again.",
+    },
+
+    // Updates
+    "update.available": "A new version of the site is available.",
+    "update.reload": "Reload",
+    "update.dismiss": "Dismiss",
+    "update.unsavedForm": "Reloading will clear the form you're filling in.",
+    "update.reloadAnyway": "Reload anyway",
+
+    // Errors
+    "errors.summaryTitle": {
+      one: "There is a problem with the form:",
+      other: "There are {count} problems with the form:",
+    },
+    "errors.orderIdRequired": "Please enter an order number.",
+    "errors.orderIdFormat": "Invalid order ID format. Expected: {example}",
+    "errors.emailRequired": "Please enter your email address.",
+    "errors.emailInvalid": "Please enter a valid email address.",
+    "errors.nameRequired": "Please enter your name.",
+    "errors.messageRequired": "Please enter a message.",
+    "errors.subjectRequired": "Please choose a topic.",
+    "errors.messageTooLong": "Your message is too long. Please keep it under {max} characters.",
+    "errors.trackerUnavailable": "Order tracking is currently unavailable. Please try again later.",
+    "errors.orderNotFound": "Unable to find order. Please check your order number and email address.",
+    "errors.orderFetch": "Failed to fetch order status",
+    "errors.timeout": "Request timeout - please try again",
+    "errors.emailMismatch": "That email address doesn't match this order.",
+    "errors.rateLimited": "Too many lookups. Please wait a moment and try again.",
+    "errors.rateLimitedFor": {
+      one: "Too many lookups. Please try again in {count} second.",
+      other: "Too many lookups. Please try again in {count} seconds.",
+    },
+    "errors.network": "Can't reach our order system. Check your connection and try again.",
+    "errors.offline": "You're offline. Reconnect to the internet and try again.",
+    "errors.contactSend": "Your message couldn't be sent. Please try again, or email us directly.",
+    "errors.contactTooFast": "That was quick! Please take a moment to check your message, then send it again.",
+    "errors.contactTooMany": {
+      one: "You've sent several messages recently. Please try again in {count} minute.",
+      other: "You've sent several messages recently. Please try again in {count} minutes.",
+    },
+    "errors.contactRateLimited": "You've sent several messages recently. Please try again later.",
+    "errors.dimensionInvalid": "Please enter a size from 1 to {max} mm.",
+    "errors.quantityInvalid": "Please enter a whole number from 1 to {max}.",
+    "errors.deadlinePast": "Please pick a date that hasn't passed yet.",
+    "errors.fileType": "{name} can't be attached. Accepted files: {types}.",
+    "errors.fileTooLarge": "{name} is larger than {max}.",
+    "errors.tooManyFiles": {
+      one: "You can attach up to {count} file.",
+      other: "You can attach up to {count} files.",
+    },
+    "errors.filesTooLarge": "Attachments can add up to {max} at most.",
+    "errors.fileRead": "A file couldn't be read. Remove it and add it again.",
+    "errors.attachmentInvalid": "One of your files can't be accepted. Check its type and size, then try again.",
+    "errors.server": "Our order system is having trouble. Please try again in a few minutes.",
+    "errors.malformedResponse": "We got an unexpected response from our order system. Please try again.",
+    "errors.siteLoad": "Unable to load the website properly. Please refresh the page.",
+  });
+})(window);
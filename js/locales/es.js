@@ -0,0 +1,379 @@
+/**
+ * Spanish messages for Additive Artisan
+ */
+
+(function (window) {
+  "use strict";
+
+  window.AdditiveArtisanI18n.addMessages("es", {
+    // Page
+    "meta.title": "Additive Artisan | Impresión 3D adorable",
+    "meta.productTitle": "{title} | Additive Artisan",
+    "meta.productNotFoundTitle": "Producto no encontrado | Additive Artisan",
+    "a11y.skipToContent": "Saltar al contenido principal",
+
+    // Navigation & header
+    "nav.home": "Inicio",
+    "nav.homeLabel": "Inicio de Additive Artisan",
+    "nav.products": "Productos",
+    "nav.track": "Seguir pedido",
+    "nav.about": "Sobre nosotros",
+    "nav.contact": "Contacto",
+    "nav.toggle": "Abrir o cerrar el menú de navegación",
+    "nav.language": "Idioma",
+    "nav.currency": "Moneda",
+    "theme.toggle": "Cambiar modo oscuro",
+    "theme.toLight": "Cambiar a modo claro",
+    "theme.toDark": "Cambiar a modo oscuro",
+
+    // Home
+    "home.heading": "Additive Artisan - Impresión 3D adorable",
+    "home.tagline": "donde la impresión se une al juego",
+    "home.shopNow": "Comprar ahora",
+    "home.shopNowLabel": "Ver nuestro catálogo de productos",
+    "home.featured": "Creaciones destacadas",
+
+    // Products
+    "products.title": "Nuestros productos",
+    "products.subtitle": "Impresiones 3D hechas a mano para jugadores y coleccionistas",
+    "products.searchLabel": "Buscar productos",
+    "products.searchPlaceholder": "Buscar productos (p. ej., torre de dados)",
+    "products.searchResults": {
+      one: "{count} resultado para «{query}»",
+      other: "{count} resultados para «{query}»",
+    },
+    "products.filterByCategory": "Filtrar por categoría",
+    "products.filterByTag": "Filtrar por etiqueta",
+    "products.filterAll": "Todos",
+    "products.sortBy": "Ordenar por",
+    "products.price": "Precio",
+    "products.priceIn": "Precio ({currency})",
+    "products.minPrice": "Precio mínimo",
+    "products.maxPrice": "Precio máximo",
+    "products.min": "Mín.",
+    "products.max": "Máx.",
+    "products.clearFilters": "Borrar filtros",
+    "products.loading": "Cargando productos...",
+    "products.loadError": "No se pudieron cargar los productos. Inténtalo de nuevo más tarde.",
+    "products.noProducts": "No hay productos disponibles en este momento.",
+    "products.noSearchResults": "Ningún producto coincide con «{query}».",
+    "products.noFilterResults": "Ningún producto coincide con tus filtros.",
+    "products.orderOnEtsy": "Pedir en Etsy",
+    "products.preview3d": "Vista previa 3D",
+    "products.modelAlt": "Modelo 3D de {title}",
+    "products.showImage": "Mostrar imagen {index} de {total}",
+    "products.tags": "Etiquetas",
+    "products.backToProducts": "← Volver a productos",
+    "products.notFound.title": "Producto no encontrado",
+    "products.notFound.message": "Este producto ya no está disponible o el enlace es incorrecto.",
+    "products.notFound.browse": "Ver productos",
+    "products.savedCatalog": "No tienes conexión. Mostrando el catálogo guardado del {date}; los precios y la disponibilidad pueden haber cambiado.",
+
+    // Categories
+    "categories.mtg": "MTG",
+    "categories.props": "Accesorios de juego y carteles",
+    "categories.accessories": "Accesorios",
+    "categories.dice": "Dados y fichas",
+    "categories.storage": "Almacenamiento",
+    "categories.custom": "Pedidos personalizados",
+    "categories.all": "Todos los productos",
+
+    // Sorting & pagination
+    "sort.relevance": "Más relevantes",
+    "sort.featured": "Destacados",
+    "sort.newest": "Más recientes",
+    "sort.priceAsc": "Precio: de menor a mayor",
+    "sort.priceDesc": "Precio: de mayor a menor",
+    "sort.title": "Nombre: de la A a la Z",
+    "pagination.label": "Páginas de productos",
+    "pagination.page": "Página {page}",
+    "pagination.previous": "Página anterior",
+    "pagination.next": "Página siguiente",
+
+    // Cart
+    "cart.title": "Tu carrito",
+    "cart.open": "Abrir carrito",
+    "cart.openWithCount": {
+      one: "Abrir carrito ({count} artículo)",
+      other: "Abrir carrito ({count} artículos)",
+    },
+    "cart.close": "Cerrar carrito",
+    "cart.add": "Añadir al carrito",
+    "cart.addLabel": "Añadir {title} al carrito",
+    "cart.added": "{title} añadido al carrito",
+    "cart.saveForLater": "Guardar para más tarde",
+    "cart.saveLabel": "Guardar {title} para más tarde",
+    "cart.saved": "{title} guardado para más tarde",
+    "cart.moveToCart": "Mover al carrito",
+    "cart.quantityLabel": "Cantidad de {title}",
+    "cart.decrease": "Reducir cantidad",
+    "cart.increase": "Aumentar cantidad",
+    "cart.viewOnEtsy": "Ver en Etsy",
+    "cart.remove": "Eliminar",
+    "cart.removeLabel": "Eliminar {title}",
+    "cart.empty": "Tu carrito está vacío.",
+    "cart.savedTitle": "Guardado para más tarde ({count})",
+    "cart.subtotal": {
+      one: "Subtotal ({count} artículo)",
+      other: "Subtotal ({count} artículos)",
+    },
+    "cart.shippingNote": "El envío y los impuestos se calculan en Etsy.",
+    "cart.openListings": {
+      one: "Abrir el anuncio en Etsy",
+      other: "Abrir los anuncios en Etsy",
+    },
+    "cart.requestViaContact": "Solicitar mediante el formulario de contacto",
+    "cart.tabsBlocked": "Tu navegador bloqueó algunas pestañas. Usa los enlaces «Ver en Etsy» de arriba.",
+    "cart.message.intro": "¡Hola! Me gustaría pedir lo siguiente:",
+    "cart.message.item": "- {quantity} x {title} ({price} cada uno)",
+    "cart.message.total": "Total estimado: {total}",
+
+    // Currency
+    "currency.approximateNote": "Los precios en {currency} son aproximados. El cobro en Etsy se hará en {base}.",
+
+    // Order tracking
+    "tracker.title": "Sigue tu pedido",
+    "tracker.subtitle": "Acompaña a tu impresión desde su creación hasta la entrega",
+    "tracker.orderNumber": "Número de pedido",
+    "tracker.orderNumberPlaceholder": "p. ej., AA-2024-0047",
+    "tracker.orderNumberFormat": "Formato: AA-2024-0047 (2 letras mayúsculas, guion, 4 dígitos, guion, 4 dígitos)",
+    "tracker.email": "Correo electrónico",
+    "tracker.submit": "Seguir pedido",
+    "tracker.submitLabel": "Enviar solicitud de seguimiento",
+    "tracker.statusTitle": "Estado del pedido",
+    "tracker.statusPlaceholder": "El estado de tu pedido aparecerá aquí",
+    "tracker.product": "Producto:",
+    "tracker.orderDate": "Fecha del pedido:",
+    "tracker.trackingNumber": "Número de seguimiento:",
+    "tracker.estimatedDelivery": "Entrega estimada:",
+    "tracker.trackWithCarrier": "Seguir {number} en la web de {carrier} (se abre en una pestaña nueva)",
+    "tracker.shipment.title": "Novedades del envío ({count})",
+    "tracker.loading": "Buscando tu pedido...",
+    "tracker.retry": "Reintentar",
+    "tracker.retryIn": "Reintentar en {seconds} s",
+    "tracker.savedStatus": "No tienes conexión. Este es el último estado conocido, consultado el {date}.",
+    "tracker.status.received.label": "Pedido recibido",
+    "tracker.status.received.message": "¡Recibimos tu pedido!",
+    "tracker.status.received.description": "Tu pedido se ha recibido y registrado en nuestro sistema.",
+    "tracker.status.queue.label": "En cola",
+    "tracker.status.queue.message": "Lugar reservado en la cola de impresión",
+    "tracker.status.queue.description": "Tu pedido está en la cola de producción.",
+    "tracker.status.printing.label": "Imprimiendo",
+    "tracker.status.printing.message": "Tu impresión se está creando",
+    "tracker.status.printing.description": "Tu artículo se está imprimiendo en 3D.",
+    "tracker.status.processing.label": "Posprocesado",
+    "tracker.status.processing.message": "Limpieza y acabado",
+    "tracker.status.processing.description": "Retirando soportes y limpiando tu impresión.",
+    "tracker.status.quality.label": "Control de calidad",
+    "tracker.status.quality.message": "Inspección final",
+    "tracker.status.quality.description": "Comprobando que tu impresión cumple nuestros estándares de calidad.",
+    "tracker.status.packaging.label": "Embalaje",
+    "tracker.status.packaging.message": "Empaquetando tu pedido con cuidado",
+    "tracker.status.packaging.description": "Embalando tu pedido de forma segura para el envío.",
+    "tracker.status.shipped.label": "Enviado",
+    "tracker.status.shipped.message": "¡Va de camino!",
+    "tracker.status.shipped.description": "Tu pedido se ha entregado al transportista.",
+    "tracker.status.delivered.label": "Entregado",
+    "tracker.status.delivered.message": "¡Disfruta tu impresión!",
+    "tracker.status.delivered.description": "Tu pedido ha sido entregado. ¡Gracias por tu compra!",
+    "tracker.status.material.label": "Esperando material",
+    "tracker.status.material.message": "Esperando materiales",
+    "tracker.status.material.description": "Estamos esperando filamento o piezas para tu pedido. Continuará en cuanto lleguen.",
+    "tracker.status.hold.label": "En pausa",
+    "tracker.status.hold.message": "Tu pedido está en pausa",
+    "tracker.status.hold.description": "Tu pedido está en pausa. Te escribiremos si necesitamos algo de ti.",
+    "tracker.status.cancelled.label": "Cancelado",
+    "tracker.status.cancelled.message": "Este pedido se canceló",
+    "tracker.status.cancelled.description": "Este pedido ha sido cancelado. Escríbenos si tienes alguna pregunta.",
+    "tracker.status.default.message": "Procesando tu pedido",
+    "tracker.status.default.description": "Tu pedido se está procesando.",
+    "tracker.watch.start": "Seguir actualizaciones",
+    "tracker.watch.stop": "Dejar de seguir",
+    "tracker.watch.hint": "Mantén esta página abierta y te avisaremos cuando tu pedido pase a la siguiente etapa.",
+    "tracker.watch.active": "Siguiendo actualizaciones. Última comprobación a las {time}.",
+    "tracker.watch.notificationsBlocked": "Las notificaciones están bloqueadas, así que las novedades solo aparecerán en esta página.",
+    "tracker.watch.notificationTitle": "Novedades del pedido {orderId}",
+
+    // My Orders
+    "myOrders.title": "Mis pedidos",
+    "myOrders.view": "Seguir el pedido {orderId}",
+    "myOrders.remove": "Quitar",
+    "myOrders.removeLabel": "Quitar el pedido {orderId} de esta lista",
+    "myOrders.checking": "Consultando...",
+    "myOrders.unavailable": "Estado no disponible",
+    "myOrders.rememberEmail": "Recordar mi correo en este dispositivo",
+
+    // About
+    "about.title": "Sobre Additive Artisan",
+    "about.storyTitle": "Nuestra historia",
+    "about.story1": "¡Bienvenido a Additive Artisan, donde lo adorable se une a la artesanía! Soy Rob y creo productos adorables impresos en 3D con un toque personal.",
+    "about.story2": "Cada impresión se hace con cuidado, capa a capa. Tanto si buscas accesorios únicos para MTG, divertidos objetos de juego o creaciones personalizadas, cada pieza se hace con atención al detalle y mucho cariño.",
+    "about.logoAlt": "Logotipo de Additive Artisan",
+    "about.artieAlt": "Artie, la mascota",
+    "about.artieTitle": "Conoce a Artie, tu compañero artesano",
+    "about.artie": "Artie es nuestra querida mascota: un gato artesano completamente negro inspirado en el encanto de los dibujos animados de Hanna-Barbera de los años 50. Con su delantal vaquero azul, sus costuras ámbar y su fiel protector de bolsillo lleno de bolígrafos y lápices, encarna el espíritu de la creatividad hecha a mano.",
+    "about.workshopTitle": "El taller",
+    "about.workshop": "Echa un vistazo entre bastidores, donde ocurre la magia.",
+    "about.tourSoon": "Visita al estudio próximamente",
+    "about.tourDescription": "Un recorrido inmersivo en 3D por nuestro espacio de trabajo",
+    "about.valuesTitle": "Lo que defendemos",
+    "about.value1Title": "Calidad artesanal",
+    "about.value1": "Cada pieza se hace con atención al detalle y oficio",
+    "about.value2Title": "Toque personal",
+    "about.value2": "Comunicación directa y atención a cada cliente",
+    "about.value3Title": "Jugadores de corazón",
+    "about.value3": "Productos diseñados por jugadores, para jugadores",
+    "about.value4Title": "Adorable y divertido",
+    "about.value4": "Porque todo es mejor con un toque de fantasía",
+
+    // Contact
+    "contact.title": "Ponte en contacto",
+    "contact.subtitle": "¿Preguntas? ¿Encargos personalizados? ¿Solo quieres charlar? ¡Me encantará saber de ti!",
+    "contact.name": "Nombre",
+    "contact.namePlaceholder": "Tu nombre",
+    "contact.email": "Correo electrónico",
+    "contact.subject": "Asunto",
+    "contact.subjectPlaceholder": "Elige un tema...",
+    "contact.subjectOrder": "Consulta sobre un pedido",
+    "contact.subjectCustom": "Encargo personalizado",
+    "contact.subjectFeedback": "Comentarios",
+    "contact.subjectOther": "Otro",
+    "contact.message": "Mensaje",
+    "contact.messagePlaceholder": "Cuéntame tu proyecto o tu pregunta...",
+    "contact.submit": "Enviar mensaje",
+    "contact.submitLabel": "Enviar formulario de contacto",
+    "contact.sending": "Enviando...",
+    "contact.success": "¡Gracias por tu mensaje, {name}! Te responderemos pronto.",
+    "contact.queued": "¡Gracias, {name}! No pudimos conectar con nuestro servidor, así que tu mensaje se ha guardado en este dispositivo y se enviará cuando vuelvas a tener conexión.",
+    "contact.direct": "Contacto directo",
+    "contact.shop": "Tienda",
+    "contact.follow": "Síguenos",
+    "contact.followTikTok": "Síguenos en TikTok",
+    "contact.followPinterest": "Síguenos en Pinterest",
+    "contact.followInstagram": "Síguenos en Instagram",
+    "contact.signature": "hecho con cariño, capa a capa.",
+    "contact.d20Alt": "Dado D20",
+
+    // Custom Requests
+    "customRequest.progressLabel": "Pasos del pedido personalizado",
+    "customRequest.stepMessage": "Tu idea",
+    "customRequest.stepDetails": "Detalles de impresión",
+    "customRequest.stepFiles": "Archivos",
+    "customRequest.stepReview": "Revisión",
+    "customRequest.size": "Tamaño en mm (opcional)",
+    "customRequest.width": "Ancho en mm",
+    "customRequest.depth": "Profundidad en mm",
+    "customRequest.height": "Alto en mm",
+    "customRequest.widthShort": "An",
+    "customRequest.depthShort": "Pr",
+    "customRequest.heightShort": "Al",
+    "customRequest.material": "Material",
+    "customRequest.materials.any": "No estoy seguro - recomiéndame uno",
+    "customRequest.materials.pla": "PLA",
+    "customRequest.materials.petg": "PETG",
+    "customRequest.materials.tpu": "TPU (flexible)",
+    "customRequest.materials.resin": "Resina",
+    "customRequest.color": "Color (opcional)",
+    "customRequest.colorPlaceholder": "p. ej. negro mate, brilla en la oscuridad",
+    "customRequest.quantity": "Cantidad",
+    "customRequest.deadline": "Lo necesito para (opcional)",
+    "customRequest.dropFiles": "Arrastra aquí archivos STL, 3MF o imágenes, o haz clic para buscarlos",
+    "customRequest.filesHint": {
+      one: "{types} · hasta {size} cada uno, máximo {count} archivo",
+      other: "{types} · hasta {size} cada uno, máximo {count} archivos",
+    },
+    "customRequest.sizeKB": "{size} KB",
+    "customRequest.sizeMB": "{size} MB",
+    "customRequest.removeFile": "Quitar {name}",
+    "customRequest.reviewHint": "Revisa tu pedido antes de enviarlo.",
+    "customRequest.reviewSize": "Tamaño",
+    "customRequest.reviewColor": "Color",
+    "customRequest.reviewDeadline": "Lo necesito para",
+    "customRequest.sizeValue": "{size} mm",
+    "customRequest.notSpecified": "Sin indicar",
+    "customRequest.noFiles": "Sin archivos adjuntos",
+    "customRequest.estimateTitle": "Estimación al instante",
+    "customRequest.analyzing": "Midiendo el modelo...",
+    "customRequest.analysisFailed": "No pudimos leer este modelo - lo revisaremos a mano.",
+    "customRequest.modelSummary": "{size} mm, {volume} cm³",
+    "customRequest.modelTooBig": "Es más grande que nuestra impresora ({size} mm) - puede que tengamos que dividirlo en partes.",
+    "customRequest.estimateTotal": "{price} · unas {hours} h de impresión",
+    "customRequest.estimateNote": "Estimación aproximada para el material y la cantidad que elegiste. El presupuesto final puede variar.",
+    "customRequest.reviewEstimate": "Estimación",
+    "customRequest.back": "Atrás",
+    "customRequest.next": "Siguiente",
+    "customRequest.submit": "Enviar pedido",
+    "customRequest.submitLabel": "Enviar pedido personalizado",
+
+    // Footer
+    "footer.tagline": "impreso con mimo, solo para ti.",
+    "footer.rights": "Todos los derechos reservados.",
+
+    // Offline
+    "offline.offline": "No tienes conexión. Mostrando contenido guardado.",
+    "offline.backOnline": "Vuelves a estar en línea.",
+    "offline.sent": {
+      one: "Se ha enviado tu mensaje guardado.",
+      other: "Se han enviado {count} mensajes guardados.",
+    },
+    "offline.rejected": {
+      one: "No se pudo enviar un mensaje guardado. Vuelve a enviarlo.",
+      other: "No se pudieron enviar {count} mensajes guardados. Vuelve a enviarlos.",
+    },
+
+    // Updates
+    "update.available": "Hay una nueva versión del sitio disponible.",
+    "update.reload": "Recargar",
+    "update.dismiss": "Cerrar",
+    "update.unsavedForm": "Al recargar se borrará el formulario que estás rellenando.",
+    "update.reloadAnyway": "Recargar de todos modos",
+
+    // Errors
+    "errors.summaryTitle": {
+      one: "Hay un problema en el formulario:",
+      other: "Hay {count} problemas en el formulario:",
+    },
+    "errors.orderIdRequired": "Introduce un número de pedido.",
+    "errors.orderIdFormat": "Formato de número de pedido no válido. Esperado: {example}",
+    "errors.emailRequired": "Introduce tu correo electrónico.",
+    "errors.emailInvalid": "Introduce un correo electrónico válido.",
+    "errors.nameRequired": "Introduce tu nombre.",
+    "errors.messageRequired": "Escribe un mensaje.",
+    "errors.subjectRequired": "Elige un tema.",
+    "errors.messageTooLong": "Tu mensaje es demasiado largo. Escribe menos de {max} caracteres.",
+    "errors.trackerUnavailable": "El seguimiento de pedidos no está disponible ahora mismo. Inténtalo de nuevo más tarde.",
+    "errors.orderNotFound": "No se encontró el pedido. Comprueba el número de pedido y el correo electrónico.",
+    "errors.orderFetch": "No se pudo obtener el estado del pedido",
+    "errors.timeout": "Se agotó el tiempo de espera. Inténtalo de nuevo.",
+    "errors.emailMismatch": "Ese correo electrónico no coincide con este pedido.",
+    "errors.rateLimited": "Demasiadas consultas. Espera un momento y vuelve a intentarlo.",
+    "errors.rateLimitedFor": {
+      one: "Demasiadas consultas. Vuelve a intentarlo en {count} segundo.",
+      other: "Demasiadas consultas. Vuelve a intentarlo en {count} segundos.",
+    },
+    "errors.network": "No se puede conectar con nuestro sistema de pedidos. Comprueba tu conexión e inténtalo de nuevo.",
+    "errors.offline": "No tienes conexión. Vuelve a conectarte a internet e inténtalo de nuevo.",
+    "errors.contactSend": "No se pudo enviar tu mensaje. Inténtalo de nuevo o escríbenos directamente por correo.",
+    "errors.contactTooFast": "¡Qué rapidez! Tómate un momento para revisar tu mensaje y vuelve a enviarlo.",
+    "errors.contactTooMany": {
+      one: "Has enviado varios mensajes hace poco. Vuelve a intentarlo en {count} minuto.",
+      other: "Has enviado varios mensajes hace poco. Vuelve a intentarlo en {count} minutos.",
+    },
+    "errors.contactRateLimited": "Has enviado varios mensajes hace poco. Vuelve a intentarlo más tarde.",
+    "errors.dimensionInvalid": "Introduce un tamaño de 1 a {max} mm.",
+    "errors.quantityInvalid": "Introduce un número entero del 1 al {max}.",
+    "errors.deadlinePast": "Elige una fecha que aún no haya pasado.",
+    "errors.fileType": "No se puede adjuntar {name}. Archivos aceptados: {types}.",
+    "errors.fileTooLarge": "{name} ocupa más de {max}.",
+    "errors.tooManyFiles": {
+      one: "Puedes adjuntar hasta {count} archivo.",
+      other: "Puedes adjuntar hasta {count} archivos.",
+    },
+    "errors.filesTooLarge": "Los archivos adjuntos pueden sumar como máximo {max}.",
+    "errors.fileRead": "No se pudo leer un archivo. Quítalo y vuelve a añadirlo.",
+    "errors.attachmentInvalid": "Uno de tus archivos no se puede aceptar. Comprueba su tipo y tamaño e inténtalo de nuevo.",
+    "errors.server": "Nuestro sistema de pedidos tiene problemas. Inténtalo de nuevo en unos minutos.",
+    "errors.malformedResponse": "Recibimos una respuesta inesperada de nuestro sistema de pedidos. Inténtalo de nuevo.",
+    "errors.siteLoad": "No se pudo cargar el sitio correctamente. Actualiza la página.",
+  });
+})(window);
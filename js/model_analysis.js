@@ -0,0 +1,493 @@
+/**
+ * 3D Model Analysis for Additive Artisan
+ * Measures STL (binary and ASCII) and 3MF files in the browser and estimates print price and time
+ */
+
+(function (window) {
+  "use strict";
+
+  // Printer and material rates (see js/config.js)
+  const CONFIG = window.AdditiveArtisanConfig?.contact?.customRequest?.estimate || {};
+  const BUILD_VOLUME = CONFIG.buildVolume || { x: 256, y: 256, z: 256 };
+
+  // 3MF model units, in mm
+  const UNIT_SCALE = {
+    micron: 0.001,
+    millimeter: 1,
+    centimeter: 10,
+    inch: 25.4,
+    foot: 304.8,
+    meter: 1000,
+  };
+
+  // ZIP record signatures (3MF files are ZIP packages)
+  const ZIP_END_OF_DIRECTORY = 0x06054b50;
+  const ZIP_DIRECTORY_ENTRY = 0x02014b50;
+  const ZIP_LOCAL_HEADER = 0x04034b50;
+
+  // =========================================================================
+  // STL
+  // =========================================================================
+
+  /**
+   * Parse a binary STL file
+   * @param {DataView} view - File contents
+   * @param {number} count - Triangle count from the header
+   * @returns {Float32Array} Triangle corners (x, y, z of three corners per triangle)
+   */
+  function parseBinarySTL(view, count) {
+    const triangles = new Float32Array(count * 9);
+
+    for (let i = 0; i < count; i++) {
+      // Each record: normal (3 floats), 3 corners (9 floats), attribute (2 bytes)
+      const offset = 84 + i * 50 + 12;
+      for (let j = 0; j < 9; j++) {
+        triangles[i * 9 + j] = view.getFloat32(offset + j * 4, true);
+      }
+    }
+
+    return triangles;
+  }
+
+  /**
+   * Parse an ASCII STL file
+   * @param {string} text - File contents
+   * @returns {Float32Array} Triangle corners
+   * @throws {Error} If the corners don't make whole triangles
+   */
+  function parseAsciiSTL(text) {
+    const values = [];
+    const pattern = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      values.push(Number(match[1]), Number(match[2]), Number(match[3]));
+    }
+
+    if (values.length % 9 !== 0 || values.some((value) => !isFinite(value))) {
+      throw new Error("Invalid ASCII STL");
+    }
+    return Float32Array.from(values);
+  }
+
+  /**
+   * Parse an STL file (binary or ASCII)
+   * STL has no units; like slicers, we assume millimeters.
+   *
+   * @param {ArrayBuffer} buffer - File contents
+   * @returns {Float32Array} Triangle corners in mm
+   * @throws {Error} If the file isn't a valid STL
+   */
+  function parseSTL(buffer) {
+    const view = new DataView(buffer);
+
+    // Binary STL: 80-byte header, triangle count, then 50 bytes per triangle.
+    // An exact size match is checked first because binary headers may also start with "solid".
+    const count = buffer.byteLength >= 84 ? view.getUint32(80, true) : 0;
+    const binarySize = 84 + count * 50;
+    if (buffer.byteLength >= 84 && binarySize === buffer.byteLength) {
+      return parseBinarySTL(view, count);
+    }
+
+    const text = new TextDecoder().decode(buffer);
+    if (/^\s*solid/.test(text) && text.includes("facet")) {
+      return parseAsciiSTL(text);
+    }
+
+    // Some exporters add bytes after the last triangle; only the counted ones are read
+    if (count > 0 && binarySize <= buffer.byteLength) {
+      return parseBinarySTL(view, count);
+    }
+
+    throw new Error("Not an STL file");
+  }
+
+  // =========================================================================
+  // 3MF
+  // =========================================================================
+
+  /**
+   * List the files in a ZIP package
+   * @param {DataView} view - Package contents
+   * @returns {Map<string, object>} Path -> {method, offset, size} of the compressed data
+   * @throws {Error} If the package can't be read
+   */
+  function readZipEntries(view) {
+    // The end-of-directory record is in the last 22 bytes, plus up to 64 KB of comment
+    let end = -1;
+    for (let i = view.byteLength - 22; i >= Math.max(0, view.byteLength - 65557); i--) {
+      if (view.getUint32(i, true) === ZIP_END_OF_DIRECTORY) {
+        end = i;
+        break;
+      }
+    }
+    if (end === -1) {
+      throw new Error("Not a ZIP package");
+    }
+
+    const entries = new Map();
+    const decoder = new TextDecoder();
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(offset, true) !== ZIP_DIRECTORY_ENTRY) {
+        throw new Error("Invalid ZIP directory");
+      }
+
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const name = decoder.decode(new Uint8Array(view.buffer, offset + 46, nameLength));
+
+      // The local header repeats the name and may have its own extra field
+      if (view.getUint32(localOffset, true) !== ZIP_LOCAL_HEADER) {
+        throw new Error("Invalid ZIP entry");
+      }
+      const dataOffset = localOffset + 30
+        + view.getUint16(localOffset + 26, true)
+        + view.getUint16(localOffset + 28, true);
+
+      entries.set(name, {
+        method: view.getUint16(offset + 10, true),
+        offset: dataOffset,
+        size: view.getUint32(offset + 20, true),
+      });
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Read a file from a ZIP package as text
+   * @param {ArrayBuffer} buffer - Package contents
+   * @param {object} entry - Entry from readZipEntries()
+   * @returns {Promise<string>} File contents
+   * @throws {Error} If it uses an unsupported compression (or the browser can't inflate)
+   */
+  async function readZipText(buffer, entry) {
+    const data = new Uint8Array(buffer, entry.offset, entry.size);
+
+    // 0 = stored, 8 = deflated
+    if (entry.method === 0) {
+      return new TextDecoder().decode(data);
+    }
+    if (entry.method !== 8 || typeof DecompressionStream === "undefined") {
+      throw new Error("Unsupported ZIP compression");
+    }
+
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+    return new Response(stream).text();
+  }
+
+  /**
+   * Parse a 3MF transform
+   * @param {string|null} value - "m00 m01 m02 m10 m11 m12 m20 m21 m22 m30 m31 m32"
+   * @returns {number[]} 12 values (identity if missing or invalid)
+   */
+  function parseTransform(value) {
+    const values = String(value || "").trim().split(/\s+/).map(Number);
+    return values.length === 12 && values.every(isFinite)
+      ? values
+      : [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0];
+  }
+
+  /**
+   * Apply a 3MF transform to a point
+   * @param {number[]} m - Transform from parseTransform()
+   * @param {number} x - X
+   * @param {number} y - Y
+   * @param {number} z - Z
+   * @returns {number[]} Transformed [x, y, z]
+   */
+  function transformPoint(m, x, y, z) {
+    return [
+      x * m[0] + y * m[3] + z * m[6] + m[9],
+      x * m[1] + y * m[4] + z * m[7] + m[10],
+      x * m[2] + y * m[5] + z * m[8] + m[11],
+    ];
+  }
+
+  /**
+   * Combine two 3MF transforms
+   * @param {number[]} inner - Applied first
+   * @param {number[]} outer - Applied second
+   * @returns {number[]} Transform doing both
+   */
+  function combineTransforms(inner, outer) {
+    const result = [];
+    for (let row = 0; row < 4; row++) {
+      // Rows 0-2 are linear; row 3 is the translation (an implicit 1 in the 4th column)
+      const [x, y, z] = [inner[row * 3], inner[row * 3 + 1], inner[row * 3 + 2]];
+      const w = row === 3 ? 1 : 0;
+      for (let col = 0; col < 3; col++) {
+        result.push(x * outer[col] + y * outer[3 + col] + z * outer[6 + col] + w * outer[9 + col]);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Get the child elements of a 3MF element by name, ignoring namespaces
+   * @param {Element} parent - Parent element
+   * @param {string} name - Local name
+   * @returns {Element[]} Matching descendants
+   */
+  function getElements(parent, name) {
+    return Array.from(parent.getElementsByTagNameNS("*", name));
+  }
+
+  /**
+   * Read the objects of a 3MF model
+   * @param {Document} doc - Parsed model XML
+   * @returns {Map<string, object>} Object id -> {vertices, triangles, components}
+   */
+  function readObjects(doc) {
+    const objects = new Map();
+
+    getElements(doc, "object").forEach((object) => {
+      const mesh = getElements(object, "mesh")[0];
+      const vertices = mesh
+        ? getElements(mesh, "vertex").map((vertex) =>
+          ["x", "y", "z"].map((axis) => Number(vertex.getAttribute(axis))))
+        : [];
+      const triangles = mesh
+        ? getElements(mesh, "triangle").map((triangle) =>
+          ["v1", "v2", "v3"].map((corner) => Number(triangle.getAttribute(corner))))
+        : [];
+      const components = getElements(object, "component").map((component) => ({
+        objectId: component.getAttribute("objectid"),
+        transform: parseTransform(component.getAttribute("transform")),
+      }));
+
+      objects.set(object.getAttribute("id"), { vertices, triangles, components });
+    });
+
+    return objects;
+  }
+
+  /**
+   * Parse a 3MF file
+   * Placed objects (the build items) are combined with their transforms,
+   * as a slicer would load them.
+   *
+   * @param {ArrayBuffer} buffer - File contents
+   * @returns {Promise<Float32Array>} Triangle corners in mm
+   * @throws {Error} If the file isn't a readable 3MF
+   */
+  async function parse3MF(buffer) {
+    const entries = readZipEntries(new DataView(buffer));
+
+    // The package relationships name the main model; 3D/3dmodel.model by convention
+    let path = "3D/3dmodel.model";
+    if (entries.has("_rels/.rels")) {
+      const rels = new DOMParser().parseFromString(
+        await readZipText(buffer, entries.get("_rels/.rels")),
+        "application/xml",
+      );
+      const main = getElements(rels, "Relationship")
+        .find((relationship) => /\/3dmodel$/.test(relationship.getAttribute("Type") || ""));
+      if (main) {
+        path = main.getAttribute("Target").replace(/^\//, "");
+      }
+    }
+    if (!entries.has(path)) {
+      throw new Error("No 3D model in package");
+    }
+
+    const doc = new DOMParser().parseFromString(await readZipText(buffer, entries.get(path)), "application/xml");
+    if (getElements(doc, "parsererror").length > 0) {
+      throw new Error("Invalid 3MF model");
+    }
+
+    const scale = UNIT_SCALE[doc.documentElement.getAttribute("unit") || "millimeter"] || 1;
+    const objects = readObjects(doc);
+    const corners = [];
+
+    // Add an object's triangles (and its components') in build coordinates
+    const addObject = (id, transform, depth) => {
+      const object = objects.get(id);
+      if (!object || depth > 16) return;
+
+      object.triangles.forEach((triangle) => {
+        triangle.forEach((index) => {
+          const vertex = object.vertices[index];
+          if (!vertex) {
+            throw new Error("Invalid 3MF triangle");
+          }
+          corners.push(...transformPoint(transform, ...vertex).map((value) => value * scale));
+        });
+      });
+
+      object.components.forEach((component) => {
+        addObject(component.objectId, combineTransforms(component.transform, transform), depth + 1);
+      });
+    };
+
+    const items = getElements(doc, "item");
+    if (items.length > 0) {
+      items.forEach((item) => {
+        addObject(item.getAttribute("objectid"), parseTransform(item.getAttribute("transform")), 0);
+      });
+    } else {
+      objects.forEach((object, id) => addObject(id, parseTransform(null), 0));
+    }
+
+    return Float32Array.from(corners);
+  }
+
+  // =========================================================================
+  // Measurements
+  // =========================================================================
+
+  /**
+   * Measure a triangle mesh
+   * Volume is exact for closed meshes and rough for broken ones.
+   *
+   * @param {Float32Array} triangles - Triangle corners in mm
+   * @returns {object} {triangleCount, size: {x, y, z} (mm), volume (mm³), surfaceArea (mm²)}
+   * @throws {Error} If there are no triangles
+   */
+  function measureMesh(triangles) {
+    const count = Math.floor(triangles.length / 9);
+    if (count === 0) {
+      throw new Error("Empty model");
+    }
+
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    let volume = 0;
+    let area = 0;
+
+    for (let i = 0; i < count * 9; i += 9) {
+      const [ax, ay, az, bx, by, bz, cx, cy, cz] = triangles.subarray(i, i + 9);
+
+      for (let j = 0; j < 9; j++) {
+        const axis = j % 3;
+        min[axis] = Math.min(min[axis], triangles[i + j]);
+        max[axis] = Math.max(max[axis], triangles[i + j]);
+      }
+
+      // Signed volume of the tetrahedron to the origin; they add up to the solid's volume
+      volume += (ax * (by * cz - bz * cy) - ay * (bx * cz - bz * cx) + az * (bx * cy - by * cx)) / 6;
+
+      // Half the length of the cross product of two edges
+      const [ux, uy, uz] = [bx - ax, by - ay, bz - az];
+      const [vx, vy, vz] = [cx - ax, cy - ay, cz - az];
+      area += Math.hypot(uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx) / 2;
+    }
+
+    return {
+      triangleCount: count,
+      size: { x: max[0] - min[0], y: max[1] - min[1], z: max[2] - min[2] },
+      volume: Math.abs(volume),
+      surfaceArea: area,
+    };
+  }
+
+  /**
+   * Check if a model fits the printer, turned any way
+   * @param {object} size - {x, y, z} in mm
+   * @returns {boolean} True if it fits the build volume
+   */
+  function fitsBuildVolume(size) {
+    const model = [size.x, size.y, size.z].sort((a, b) => a - b);
+    const printer = [BUILD_VOLUME.x, BUILD_VOLUME.y, BUILD_VOLUME.z].sort((a, b) => a - b);
+    return model.every((side, index) => side <= printer[index]);
+  }
+
+  /**
+   * Check if a file can be analyzed
+   * @param {string} name - File name
+   * @returns {boolean} True for .stl and .3mf files
+   */
+  function isModelFile(name) {
+    return /\.(stl|3mf)$/i.test(name);
+  }
+
+  /**
+   * Measure an STL or 3MF file
+   * @param {File} file - Picked or dropped file
+   * @returns {Promise<object>} measureMesh() result plus {name, fits}
+   * @throws {Error} If the file isn't a model or can't be read
+   */
+  async function analyzeFile(file) {
+    const buffer = await file.arrayBuffer();
+    const triangles = /\.3mf$/i.test(file.name) ? await parse3MF(buffer) : parseSTL(buffer);
+    const result = measureMesh(triangles);
+
+    return { name: file.name, ...result, fits: fitsBuildVolume(result.size) };
+  }
+
+  // =========================================================================
+  // Estimates
+  // =========================================================================
+
+  /**
+   * Get the rates for a material
+   * @param {string} material - Material key ("any" uses defaultMaterial)
+   * @returns {object|null} {key, rates}, or null if it has no rates
+   */
+  function getMaterialRates(material) {
+    const materials = CONFIG.materials || {};
+    const key = materials[material] ? material : CONFIG.defaultMaterial;
+    return materials[key] ? { key, rates: materials[key] } : null;
+  }
+
+  /**
+   * Estimate the price and print time of a request
+   * @param {object[]} models - analyzeFile() results
+   * @param {object} options - {material, quantity} from the request
+   * @returns {object|null} {material (key used), grams, hours, price (base currency)},
+   *   or null without models or rates
+   */
+  function estimatePrint(models, options = {}) {
+    const material = getMaterialRates(options.material);
+    if (!material || models.length === 0) return null;
+
+    const { rates } = material;
+    const quantity = Math.max(1, Math.floor(options.quantity) || 1);
+    const wall = CONFIG.wallThickness ?? 1.2;
+    const infill = rates.infill ?? CONFIG.infill ?? 0.15;
+
+    let grams = 0;
+    let hours = 0;
+    models.forEach((model) => {
+      // Solid shell, then the infill share of what's left inside
+      const shell = Math.min(model.volume, model.surfaceArea * wall);
+      const printed = shell + (model.volume - shell) * infill;
+
+      grams += (printed / 1000) * (rates.density || 1.24);
+      hours += rates.mmPerHour
+        ? model.size.z / rates.mmPerHour
+        : printed / (rates.mm3PerHour || 15000);
+    });
+
+    grams *= quantity;
+    hours *= quantity;
+    const price = (CONFIG.setupFee || 0)
+      + grams * (rates.pricePerGram || 0)
+      + hours * (CONFIG.hourlyRate || 0);
+
+    return {
+      material: material.key,
+      grams,
+      hours,
+      price: Math.max(CONFIG.minimumPrice || 0, price),
+    };
+  }
+
+  window.AdditiveArtisanModelAnalysis = {
+    parseSTL,
+    parse3MF,
+    measureMesh,
+    fitsBuildVolume,
+    isModelFile,
+    analyzeFile,
+    estimatePrint,
+    BUILD_VOLUME,
+  };
+})(window);
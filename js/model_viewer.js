@@ -0,0 +1,139 @@
+/**
+ * 3D Model Viewer for Additive Artisan
+ * Lazily swaps product placeholders for <model-viewer> when scrolled into view
+ */
+
+(function (window) {
+  "use strict";
+
+  const utils = window.AdditiveArtisanUtils;
+  const i18n = window.AdditiveArtisanI18n;
+  const config = window.AdditiveArtisanConfig?.products?.modelViewer || {};
+
+  const SLOT_SELECTOR = ".model-viewer-slot[data-model-url]:not([data-initialized])";
+
+  let observer = null;
+
+  /**
+   * Check if the user prefers reduced motion
+   * @returns {boolean} True if reduced motion is requested
+   */
+  function prefersReducedMotion() {
+    return window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+  }
+
+  /**
+   * Create viewer slot HTML for a product
+   * Shows the product image (or a placeholder) until the viewer loads
+   *
+   * @param {object} product - Product object with modelUrl
+   * @param {string} posterUrl - Poster image URL (optional)
+   * @returns {string} HTML string
+   */
+  function createViewerSlotHTML(product, posterUrl) {
+    const title = utils.escapeAttribute(product.title);
+    const posterHTML = posterUrl
+      ? `<img src="${posterUrl}" alt="${title}" loading="lazy" />`
+      : `<div class="model-viewer-placeholder"><span>${i18n.t("products.preview3d")}</span></div>`;
+
+    return `
+      <div class="model-viewer-slot"
+           data-model-url="${product.modelUrl}"
+           data-poster="${posterUrl || ""}"
+           data-title="${title}">
+        ${posterHTML}
+      </div>
+    `;
+  }
+
+  /**
+   * Replace a slot's poster with a <model-viewer> element
+   * Leaves the poster in place if the model fails to load.
+   *
+   * @param {HTMLElement} slot - Viewer slot element
+   */
+  function initViewer(slot) {
+    if (slot.dataset.initialized) return;
+    slot.dataset.initialized = "true";
+
+    const modelUrl = slot.dataset.modelUrl;
+    if (!utils.isValidURL(modelUrl)) return;
+
+    // Wait for the model-viewer script (loaded as a module in index.html)
+    window.customElements.whenDefined("model-viewer").then(() => {
+      // Create element programmatically (safe from XSS)
+      const viewer = document.createElement("model-viewer");
+      viewer.setAttribute("src", modelUrl);
+      viewer.setAttribute("alt", i18n.t("products.modelAlt", { title: slot.dataset.title }));
+      viewer.setAttribute("camera-controls", "");
+      viewer.setAttribute("touch-action", "pan-y");
+      viewer.setAttribute("interaction-prompt", prefersReducedMotion() ? "none" : "auto");
+      viewer.setAttribute("shadow-intensity", "1");
+
+      if (slot.dataset.poster) {
+        viewer.setAttribute("poster", slot.dataset.poster);
+      }
+
+      if (config.autoRotate !== false && !prefersReducedMotion()) {
+        viewer.setAttribute("auto-rotate", "");
+      }
+
+      const poster = Array.from(slot.children);
+
+      viewer.addEventListener("load", () => {
+        poster.forEach((el) => el.remove());
+        slot.classList.add("loaded");
+      });
+
+      viewer.addEventListener("error", () => {
+        viewer.remove();
+        slot.classList.add("failed");
+      });
+
+      slot.appendChild(viewer);
+    });
+  }
+
+  /**
+   * Handle slots entering the viewport
+   * @param {Array<IntersectionObserverEntry>} entries - Observer entries
+   */
+  function handleIntersection(entries) {
+    entries.forEach((entry) => {
+      if (entry.isIntersecting) {
+        observer.unobserve(entry.target);
+        initViewer(entry.target);
+      }
+    });
+  }
+
+  /**
+   * Observe viewer slots in a container and initialize them when visible
+   * @param {HTMLElement} container - Container with viewer slots
+   */
+  function observe(container) {
+    if (!container || !window.customElements) return;
+
+    const slots = container.querySelectorAll(SLOT_SELECTOR);
+
+    if (!("IntersectionObserver" in window)) {
+      slots.forEach(initViewer);
+      return;
+    }
+
+    if (!observer) {
+      observer = new IntersectionObserver(handleIntersection, {
+        rootMargin: config.rootMargin || "200px",
+      });
+    }
+
+    slots.forEach((slot) => observer.observe(slot));
+  }
+
+  // Export to window
+  window.AdditiveArtisanModelViewer = {
+    createViewerSlotHTML,
+    observe,
+    prefersReducedMotion,
+  };
+})(window);
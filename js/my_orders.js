@@ -0,0 +1,330 @@
+/**
+ * My Orders for Additive Artisan
+ * Remembers recently tracked orders on this device and shows a compact status for each
+ */
+
+(function (window) {
+  "use strict";
+
+  const utils = window.AdditiveArtisanUtils;
+  const i18n = window.AdditiveArtisanI18n;
+  const validation = window.AdditiveArtisanValidation;
+
+  const STORAGE_KEY = "recentOrders";
+
+  // List size, lookups per batch and how long a status stays fresh (see js/config.js)
+  const CONFIG = window.AdditiveArtisanConfig?.orderTracker?.myOrders || {};
+  const MAX_ORDERS = CONFIG.maxOrders || 10;
+  const BATCH_SIZE = CONFIG.batchSize || 3;
+  const REFRESH_MS = (CONFIG.refreshSeconds || 300) * 1000;
+
+  // Remembered orders, most recent first: {orderId, email, status, checked}
+  // email is only stored when the customer ticks "Remember my email"
+  let orders = [];
+
+  // Lookup state for the current page: orderId -> "checking" | "unavailable"
+  const lookupState = new Map();
+
+  // Set while a refresh is running so overlapping calls share it
+  let refreshing = null;
+
+  // =========================================================================
+  // Storage
+  // =========================================================================
+
+  /**
+   * Check a stored entry has the fields the list needs
+   * Stored entries can be edited, so the order ID must look like a real one.
+   * @param {*} entry - Stored entry
+   * @returns {boolean} True if usable
+   */
+  function isValidEntry(entry) {
+    return Boolean(
+      entry && typeof entry.orderId === "string" && validation.ORDER_ID_PATTERN.test(entry.orderId),
+    );
+  }
+
+  /**
+   * Read remembered orders from localStorage
+   * @returns {Array} Orders (empty if missing or corrupt)
+   */
+  function readOrders() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+      return Array.isArray(stored)
+        ? stored.filter(isValidEntry).slice(0, MAX_ORDERS).map((entry) => ({
+            orderId: entry.orderId,
+            email: typeof entry.email === "string" ? entry.email : "",
+            status: typeof entry.status === "string" ? entry.status : "",
+            checked: Number(entry.checked) || 0,
+          }))
+        : [];
+    } catch (error) {
+      // Corrupt or unavailable storage - start with an empty list
+      return [];
+    }
+  }
+
+  /**
+   * Save remembered orders to localStorage and re-render
+   */
+  function saveOrders() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(orders));
+    } catch (error) {
+      // Storage full or disabled (private browsing) - list lasts for this page only
+    }
+    render();
+  }
+
+  /**
+   * Find a remembered order by ID
+   * @param {string} orderId - Order ID
+   * @returns {object|undefined} Entry
+   */
+  function findOrder(orderId) {
+    return orders.find((entry) => entry.orderId === orderId);
+  }
+
+  // =========================================================================
+  // Public API
+  // =========================================================================
+
+  /**
+   * Remember a successfully tracked order (moves it to the top of the list)
+   * @param {string} orderId - Order ID
+   * @param {string} email - Email to remember, or "" to forget it
+   * @param {object} order - Order returned by the API (optional)
+   */
+  function rememberOrder(orderId, email = "", order = null) {
+    if (!isValidEntry({ orderId })) return;
+
+    const previous = findOrder(orderId);
+    const entry = {
+      orderId,
+      email: email || "",
+      status: order?.status || previous?.status || "",
+      checked: order ? Date.now() : previous?.checked || 0,
+    };
+
+    orders = [entry, ...orders.filter((item) => item.orderId !== orderId)].slice(0, MAX_ORDERS);
+    lookupState.delete(orderId);
+    saveOrders();
+  }
+
+  /**
+   * Forget a remembered order
+   * @param {string} orderId - Order ID
+   */
+  function removeOrder(orderId) {
+    orders = orders.filter((entry) => entry.orderId !== orderId);
+    lookupState.delete(orderId);
+    saveOrders();
+  }
+
+  /**
+   * Get remembered orders
+   * @returns {Array} Copies of the entries, most recent first
+   */
+  function getOrders() {
+    return orders.map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * Look up the latest status of remembered orders
+   * Orders are fetched a few at a time so a long list doesn't flood the API.
+   *
+   * @param {object} options - Refresh options (optional)
+   * @param {boolean} options.force - Also refresh statuses checked recently, skipping the lookup cache
+   * @returns {Promise<void>} Resolves when every lookup has settled
+   */
+  function refreshStatuses(options = {}) {
+    const tracker = window.AdditiveArtisanTracker;
+    if (!tracker) return Promise.resolve();
+    if (refreshing) return refreshing;
+
+    const now = Date.now();
+    const stale = orders.filter((entry) => options.force || now - entry.checked >= REFRESH_MS);
+    if (!stale.length) return Promise.resolve();
+
+    stale.forEach((entry) => lookupState.set(entry.orderId, "checking"));
+    render();
+
+    refreshing = (async () => {
+      for (let i = 0; i < stale.length; i += BATCH_SIZE) {
+        const batch = stale.slice(i, i + BATCH_SIZE);
+        const results = await Promise.allSettled(
+          batch.map((entry) => tracker.fetchOrderStatus(entry.orderId, entry.email, { fresh: options.force })),
+        );
+
+        results.forEach((result, index) => {
+          const { orderId } = batch[index];
+          const entry = findOrder(orderId);
+          if (!entry) return;
+
+          if (result.status === "fulfilled") {
+            entry.status = result.value.order?.status || entry.status;
+            entry.checked = Date.now();
+            lookupState.delete(orderId);
+          } else {
+            lookupState.set(orderId, "unavailable");
+          }
+        });
+
+        saveOrders();
+      }
+    })().finally(() => {
+      refreshing = null;
+    });
+
+    return refreshing;
+  }
+
+  // =========================================================================
+  // Rendering
+  // =========================================================================
+
+  /**
+   * Create the compact status for an entry
+   * Falls back to the last known status when a lookup fails.
+   *
+   * @param {object} entry - Remembered order
+   * @returns {string} HTML string
+   */
+  function createStatusHTML(entry) {
+    const state = lookupState.get(entry.orderId);
+
+    if (state === "checking" && !entry.status) {
+      return `<span class="my-orders-status my-orders-status--muted">${i18n.t("myOrders.checking")}</span>`;
+    }
+    if (!entry.status || !window.AdditiveArtisanTracker) {
+      return `<span class="my-orders-status my-orders-status--muted">${i18n.t("myOrders.unavailable")}</span>`;
+    }
+
+    const status = window.AdditiveArtisanTracker.getStatus(entry.status);
+    return `
+      <span class="my-orders-status${state ? " my-orders-status--muted" : ""}">
+        <span aria-hidden="true">${status.emoji}</span> ${utils.escapeHTML(status.label)}
+      </span>
+    `;
+  }
+
+  /**
+   * Create the list item for a remembered order
+   * @param {object} entry - Remembered order
+   * @returns {string} HTML string
+   */
+  function createEntryHTML(entry) {
+    const orderId = utils.escapeHTML(entry.orderId);
+    const label = utils.escapeAttribute(entry.orderId);
+
+    return `
+      <li class="my-orders-item" data-order-id="${label}">
+        <button type="button" class="my-orders-view" data-my-orders-action="view"
+                title="${i18n.t("myOrders.view", { orderId: label })}">
+          <span class="my-orders-id">${orderId}</span>
+          ${createStatusHTML(entry)}
+        </button>
+        <button type="button" class="my-orders-remove" data-my-orders-action="remove"
+                aria-label="${i18n.t("myOrders.removeLabel", { orderId: label })}">${i18n.t("myOrders.remove")}</button>
+      </li>
+    `;
+  }
+
+  /**
+   * Render the "My Orders" list (hidden when empty)
+   */
+  function render() {
+    const container = document.getElementById("my-orders");
+    const list = document.getElementById("my-orders-list");
+    if (!container || !list) return;
+
+    list.innerHTML = orders.map(createEntryHTML).join("");
+    container.classList.toggle("hidden", orders.length === 0);
+  }
+
+  // =========================================================================
+  // Events
+  // =========================================================================
+
+  /**
+   * Track a remembered order through the order search form
+   * @param {object} entry - Remembered order
+   */
+  function viewOrder(entry) {
+    const form = document.getElementById("order-search-form");
+    const orderIdInput = document.getElementById("order-id");
+    if (!form || !orderIdInput) return;
+
+    orderIdInput.value = entry.orderId;
+
+    const emailInput = document.getElementById("order-email");
+    if (emailInput) {
+      emailInput.value = entry.email;
+    }
+
+    const remember = document.getElementById("remember-email");
+    if (remember) {
+      remember.checked = Boolean(entry.email);
+    }
+
+    form.dispatchEvent(new Event("submit", { cancelable: true, bubbles: true }));
+  }
+
+  /**
+   * Handle clicks inside the list (event delegation)
+   * @param {Event} e - Click event
+   */
+  function handleListClick(e) {
+    const actionButton = e.target.closest("[data-my-orders-action]");
+    const itemElement = e.target.closest(".my-orders-item");
+    if (!actionButton || !itemElement) return;
+
+    const entry = findOrder(itemElement.dataset.orderId);
+    if (!entry) return;
+
+    if (actionButton.dataset.myOrdersAction === "remove") {
+      removeOrder(entry.orderId);
+      document.getElementById("order-id")?.focus();
+    } else {
+      viewOrder(entry);
+    }
+  }
+
+  /**
+   * Sync the list when another tab changes it
+   * @param {StorageEvent} e - Storage event
+   */
+  function handleStorage(e) {
+    if (e.key === STORAGE_KEY || e.key === null) {
+      orders = readOrders();
+      render();
+    }
+  }
+
+  /**
+   * Initialize the list: restore saved orders and bind events
+   */
+  function initMyOrders() {
+    orders = readOrders();
+    render();
+
+    const list = document.getElementById("my-orders-list");
+    if (list) {
+      list.addEventListener("click", handleListClick);
+    }
+
+    window.addEventListener("storage", handleStorage);
+    window.addEventListener("additiveartisan:languagechange", render);
+  }
+
+  // Export to window
+  window.AdditiveArtisanMyOrders = {
+    initMyOrders,
+    rememberOrder,
+    removeOrder,
+    getOrders,
+    refreshStatuses,
+    render,
+  };
+})(window);
@@ -0,0 +1,182 @@
+/**
+ * Offline Mode for Additive Artisan
+ * Shows when the visitor is offline and sends queued requests (js/outbox.js) once they reconnect
+ */
+
+(function (window) {
+  "use strict";
+
+  const i18n = window.AdditiveArtisanI18n;
+  const outbox = window.AdditiveArtisanOutbox;
+
+  // How long "back online" and "message sent" notices stay visible
+  const NOTICE_MS = 6000;
+
+  // Notice shown in #connection-status: {key, params}, or null
+  let notice = null;
+  let noticeTimer = null;
+
+  // =========================================================================
+  // Connection Indicator
+  // =========================================================================
+
+  /**
+   * Check if the browser knows it's offline
+   * @returns {boolean} True when offline
+   */
+  function isOffline() {
+    return navigator.onLine === false;
+  }
+
+  /**
+   * Render the current notice (or hide the indicator)
+   */
+  function render() {
+    const status = document.getElementById("connection-status");
+    if (!status) return;
+
+    status.textContent = notice ? i18n.t(notice.key, notice.params) : "";
+    status.classList.toggle("hidden", !notice);
+    status.classList.toggle("connection-status--offline", Boolean(notice?.offline));
+  }
+
+  /**
+   * Show a notice in the connection indicator
+   * @param {string} key - Translation key
+   * @param {object} params - Translation parameters (optional)
+   * @param {object} options - {offline: stays until reconnected} (optional)
+   */
+  function showNotice(key, params = {}, options = {}) {
+    clearTimeout(noticeTimer);
+    notice = { key, params, offline: Boolean(options.offline) };
+    render();
+
+    if (!options.offline) {
+      noticeTimer = setTimeout(() => {
+        notice = isOffline() ? { key: "offline.offline", params: {}, offline: true } : null;
+        render();
+      }, NOTICE_MS);
+    }
+  }
+
+  /**
+   * Announce what happened to queued requests
+   * @param {object} result - {sent, rejected} from AdditiveArtisanOutbox.replay()
+   */
+  function announceReplay(result) {
+    if (result?.rejected) {
+      showNotice("offline.rejected", { count: result.rejected });
+    } else if (result?.sent) {
+      showNotice("offline.sent", { count: result.sent });
+    }
+  }
+
+  // =========================================================================
+  // Queued Requests
+  // =========================================================================
+
+  /**
+   * Send queued requests from the page
+   * Used when the browser has no Background Sync.
+   * @returns {Promise<void>} Resolves once the replay settles
+   */
+  async function replayOutbox() {
+    if (!outbox || isOffline()) return;
+
+    try {
+      announceReplay(await outbox.replay());
+    } catch (error) {
+      // IndexedDB unavailable - nothing can have been queued
+    }
+  }
+
+  /**
+   * Ask the service worker to send queued requests when online
+   * Falls back to sending them from the page without Background Sync.
+   * @returns {Promise<void>} Resolves once registered (or replayed)
+   */
+  async function requestSync() {
+    try {
+      const registration = await navigator.serviceWorker?.getRegistration();
+      if (registration?.sync && registration.active) {
+        await registration.sync.register(outbox.SYNC_TAG);
+        return;
+      }
+    } catch (error) {
+      // Background Sync refused (e.g. disabled by the browser) - send from the page
+    }
+
+    await replayOutbox();
+  }
+
+  /**
+   * Queue a request to send once the visitor is back online
+   * @param {object} entry - {url, method, headers, body, kind}, as in AdditiveArtisanOutbox.add()
+   * @returns {Promise<void>} Resolves once queued
+   * @throws {Error} If the request can't be stored (no IndexedDB)
+   */
+  async function queueRequest(entry) {
+    if (!outbox) {
+      throw new Error("Outbox unavailable");
+    }
+
+    await outbox.add(entry);
+    requestSync();
+  }
+
+  // =========================================================================
+  // Initialization
+  // =========================================================================
+
+  /**
+   * Handle the browser going offline
+   */
+  function handleOffline() {
+    showNotice("offline.offline", {}, { offline: true });
+  }
+
+  /**
+   * Handle the browser coming back online
+   */
+  function handleOnline() {
+    showNotice("offline.backOnline");
+    requestSync();
+  }
+
+  /**
+   * Initialize the connection indicator and send anything queued earlier
+   */
+  async function initOffline() {
+    window.addEventListener("offline", handleOffline);
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("additiveartisan:languagechange", render);
+
+    // Results of a Background Sync replay (see sw.js)
+    navigator.serviceWorker?.addEventListener("message", (event) => {
+      if (event.data?.type === "OUTBOX_REPLAYED") {
+        announceReplay(event.data);
+      }
+    });
+
+    if (isOffline()) {
+      handleOffline();
+      return;
+    }
+
+    // Queued before the tab was closed, and not sent since
+    try {
+      if (outbox && (await outbox.getAll()).length > 0) {
+        requestSync();
+      }
+    } catch (error) {
+      // IndexedDB unavailable - nothing can have been queued
+    }
+  }
+
+  window.AdditiveArtisanOffline = {
+    initOffline,
+    isOffline,
+    queueRequest,
+    replayOutbox,
+  };
+})(window);
@@ -14,67 +14,96 @@
   // Configure your endpoint in js/config.js
   const API_ENDPOINT = window.AdditiveArtisanConfig?.orderTracker?.apiEndpoint || "";
 
+  // Seconds a lookup response is reused for the same order (memory only)
+  const CACHE_SECONDS = window.AdditiveArtisanConfig?.orderTracker?.cacheSeconds ?? 60;
+
+  // Typical hours spent in each step, used for the delivery estimate
+  const AVERAGE_STEP_HOURS = window.AdditiveArtisanConfig?.orderTracker?.averageStepHours || {};
+  const HOUR_MS = 60 * 60 * 1000;
+
+  // Watch mode polling (config is in seconds)
+  const WATCH_CONFIG = window.AdditiveArtisanConfig?.orderTracker?.watch || {};
+  const WATCH_MIN_MS = (WATCH_CONFIG.pollSeconds || 60) * 1000;
+  const WATCH_MAX_MS = (WATCH_CONFIG.maxPollSeconds || 900) * 1000;
+
+  // Icon for status change notifications
+  const NOTIFICATION_ICON =
+    "https://res.cloudinary.com/dvupmrtsm/image/upload/f_auto,q_auto,w_192/v1765384928/logo_bjbaeu.png";
+
+  // UI strings (see js/i18n.js and js/locales/)
+  const i18n = window.AdditiveArtisanI18n;
+
   /**
-   * Status configuration with emoji placeholders and messages
-   * Maps Airtable status values to display information
-   */
-  const STATUS_CONFIG = {
-    "Order Received": {
-      emoji: "👋",
-      message: "We got your order!",
-      step: "received",
-      description: "Your order has been received and logged into our system.",
-    },
-    "In Queue": {
-      emoji: "📋",
-      message: "Spot reserved in print queue",
-      step: "queue",
-      description: "Your order is in the production queue.",
-    },
-    "Printing": {
-      emoji: "🖨️",
-      message: "Your print is being created",
-      step: "printing",
-      description: "Your item is currently being 3D printed.",
-    },
-    "Post-Processing": {
-      emoji: "🔧",
-      message: "Cleaning and finishing",
-      step: "processing",
-      description: "Removing supports and cleaning up your print.",
-    },
-    "Quality Control": {
-      emoji: "🔍",
-      message: "Final inspection",
-      step: "quality",
-      description: "Ensuring your print meets our quality standards.",
-    },
-    "Packaging": {
-      emoji: "📦",
-      message: "Carefully boxing your order",
-      step: "packaging",
-      description: "Safely packaging your order for shipment.",
-    },
-    "Shipped": {
-      emoji: "✈️",
-      message: "On its way to you!",
-      step: "shipped",
-      description: "Your order has been handed to the carrier.",
-    },
-    "Delivered": {
-      emoji: "🎉",
-      message: "Enjoy your print!",
-      step: "delivered",
-      description: "Your order has been delivered. Thanks for your order!",
-    },
+   * Default status workflow, used when js/config.js has no orderTracker.workflow
+   * Maps Airtable status values to timeline steps. Labels, messages and
+   * descriptions are translated from tracker.status.<step>.* messages.
+   */
+  const DEFAULT_WORKFLOW = {
+    steps: [
+      { status: "Order Received", step: "received", emoji: "👋" },
+      { status: "In Queue", step: "queue", emoji: "📋" },
+      { status: "Printing", step: "printing", emoji: "🖨️" },
+      { status: "Post-Processing", step: "processing", emoji: "🔧" },
+      { status: "Quality Control", step: "quality", emoji: "🔍" },
+      { status: "Packaging", step: "packaging", emoji: "📦" },
+      { status: "Shipped", step: "shipped", emoji: "✈️" },
+      { status: "Delivered", step: "delivered", emoji: "🎉" },
+    ],
+    exceptions: [],
   };
 
-  // Default status if unknown
+  // Step names end up in data attributes, message keys and lottieUrls
+  const STEP_PATTERN = /^[a-z0-9-]+$/;
+
+  // Mascot shown for statuses without an emoji
+  const DEFAULT_EMOJI = "🐱";
+
+  // Status workflow: main track steps in order, plus exception states
+  const WORKFLOW = normalizeWorkflow(
+    window.AdditiveArtisanConfig?.orderTracker?.workflow || DEFAULT_WORKFLOW,
+  );
+
+  /**
+   * Status configuration keyed by Airtable status
+   * Covers main track steps and exceptions: {status, step, emoji, terminal, exception, ...}
+   */
+  const STATUS_CONFIG = Object.fromEntries(
+    [...WORKFLOW.steps, ...WORKFLOW.exceptions].map((entry) => [entry.status, entry]),
+  );
+
+  // Statuses missing from the workflow are shown off the main track
   const DEFAULT_STATUS = {
-    emoji: "🐱",
-    message: "Processing your order",
-    step: "received",
-    description: "Your order is being processed.",
+    emoji: DEFAULT_EMOJI,
+    step: "default",
+    terminal: false,
+    exception: true,
+  };
+
+  // Last displayed order, re-rendered when the language changes
+  let lastOrderData = null;
+
+  // Order ID and email of the displayed order, reused when watching
+  let lastLookup = null;
+
+  // Lookup details for each fetched response, so background lookups
+  // (e.g. the "My Orders" list) don't replace the watched order
+  const lookups = new WeakMap();
+
+  // Last successful lookup of each order this visit ("orderId|email" -> {data, time}),
+  // shown while offline. Kept in memory only, like the lookup cache.
+  const lastKnown = new Map();
+
+  // Countdown for the "Try again" button after a rate limit
+  let retryTimer = null;
+
+  // Watch mode state
+  const watchState = {
+    active: false,
+    polling: false,
+    timer: null,
+    interval: WATCH_MIN_MS,
+    lastChecked: null,
+    request: null, // AbortController for the check in progress
   };
 
   // =========================================================================
@@ -127,87 +156,419 @@
   // Private Functions
   // =========================================================================
 
+  /**
+   * Validate the status workflow from js/config.js
+   * Entries need an Airtable status and a unique step name; anything else is
+   * skipped. The last main track step always ends the journey.
+   *
+   * @param {object} workflow - Workflow config ({steps, exceptions})
+   * @returns {object} Normalized workflow (default steps if none are usable)
+   */
+  function normalizeWorkflow(workflow) {
+    const seenSteps = new Set();
+    const text = (value) => (typeof value === "string" ? value.trim() : "");
+
+    const normalizeEntry = (entry, exception) => {
+      if (!entry || !text(entry.status) || !STEP_PATTERN.test(entry.step) || seenSteps.has(entry.step)) {
+        return null;
+      }
+      seenSteps.add(entry.step);
+
+      return {
+        status: text(entry.status),
+        step: entry.step,
+        emoji: text(entry.emoji) || DEFAULT_EMOJI,
+        label: text(entry.label),
+        message: text(entry.message),
+        description: text(entry.description),
+        terminal: exception && Boolean(entry.terminal),
+        exception,
+        skipFor: Array.isArray(entry.skipFor)
+          ? entry.skipFor.map((type) => String(type).trim().toLowerCase())
+          : [],
+      };
+    };
+
+    const normalizeSteps = (entries) => (Array.isArray(entries) ? entries : [])
+      .map((entry) => normalizeEntry(entry, false))
+      .filter(Boolean);
+
+    // Unusable steps fall back to the default track; configured exceptions still apply
+    let steps = normalizeSteps(workflow?.steps);
+    if (!steps.length) {
+      steps = normalizeSteps(DEFAULT_WORKFLOW.steps);
+    }
+    steps[steps.length - 1].terminal = true;
+
+    const exceptions = (Array.isArray(workflow?.exceptions) ? workflow.exceptions : [])
+      .map((entry) => normalizeEntry(entry, true))
+      .filter(Boolean);
+
+    return { steps, exceptions };
+  }
+
+  /**
+   * Get a status text, preferring translations over the workflow config
+   * @param {object} entry - Status configuration
+   * @param {string} field - "label", "message" or "description"
+   * @param {string} fallback - Text used when neither is set
+   * @returns {string} Text
+   */
+  function getStatusText(entry, field, fallback) {
+    const key = `tracker.status.${entry.step}.${field}`;
+    if (i18n.has(key)) return i18n.t(key);
+    return entry[field] || fallback;
+  }
+
   /**
    * Get status configuration for a given status string
+   * Unknown statuses keep their Airtable name with the default message.
+   *
    * @param {string} status - Status from Airtable
-   * @returns {object} Status configuration object
+   * @returns {object} Status configuration with translated label, message and description
    */
   function getStatusConfig(status) {
-    return STATUS_CONFIG[status] || DEFAULT_STATUS;
+    const entry = STATUS_CONFIG[status] || DEFAULT_STATUS;
+
+    return {
+      ...entry,
+      label: getStatusText(entry, "label", status),
+      message: getStatusText(entry, "message", i18n.t("tracker.status.default.message")),
+      description: getStatusText(entry, "description", i18n.t("tracker.status.default.description")),
+    };
+  }
+
+  /**
+   * Get the main track steps for an order
+   * Steps listing the order's fulfillment type in skipFor are left out.
+   *
+   * @param {string} fulfillment - Order fulfillment type, e.g. "Digital" (optional)
+   * @returns {Array<object>} Workflow steps in order
+   */
+  function getTrackSteps(fulfillment = "") {
+    const type = typeof fulfillment === "string" ? fulfillment.trim().toLowerCase() : "";
+    return WORKFLOW.steps.filter((entry) => !type || !entry.skipFor.includes(type));
   }
 
   /**
    * Get all status steps in order
-   * @returns {array} Array of status step names
+   * @param {string} fulfillment - Order fulfillment type (optional)
+   * @returns {array} Array of main track step names
    */
-  function getStatusSteps() {
-    return [
-      "received",
-      "queue",
-      "printing",
-      "processing",
-      "quality",
-      "packaging",
-      "shipped",
-      "delivered",
-    ];
+  function getStatusSteps(fulfillment) {
+    return getTrackSteps(fulfillment).map((entry) => entry.step);
   }
 
   /**
-   * Get index of current status in the timeline
-   * @param {string} step - Current status step
-   * @returns {number} Index in timeline (0-7)
+   * Get index of a step on the main track
+   * @param {string} step - Status step name
+   * @returns {number} Index in the workflow, or -1 for exceptions and unknown steps
    */
   function getStatusIndex(step) {
-    const steps = getStatusSteps();
-    return steps.indexOf(step);
+    return WORKFLOW.steps.findIndex((entry) => entry.step === step);
+  }
+
+  /**
+   * Find the last main track step an order reached
+   * Used to place exception states (e.g. On Hold) next to the track.
+   *
+   * @param {Array<object>} history - Normalized history, oldest first
+   * @returns {string|null} Step name, or null without history
+   */
+  function getLastTrackStep(history) {
+    const entry = [...history].reverse().find((item) => getStatusIndex(item.step) !== -1);
+    return entry ? entry.step : null;
+  }
+
+  /**
+   * Normalize the optional status history from the API
+   * Entries with an unknown status or invalid timestamp are skipped.
+   *
+   * @param {Array} history - History entries ({status, timestamp, note})
+   * @returns {Array<object>} Entries with step, date and note, oldest first
+   */
+  function normalizeHistory(history) {
+    if (!Array.isArray(history)) return [];
+
+    return history
+      .map((entry) => {
+        const known = STATUS_CONFIG[entry?.status];
+        const date = new Date(entry?.timestamp);
+        if (!known || isNaN(date.getTime())) return null;
+
+        return {
+          step: known.step,
+          date,
+          note: typeof entry.note === "string" ? entry.note.trim() : "",
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.date - b.date);
+  }
+
+  /**
+   * Group history entries by timeline step
+   * Steps after the current one are ignored (the order moved back, e.g. for a
+   * reprint). A step reached more than once uses its latest time and keeps
+   * every note.
+   *
+   * @param {Array<object>} history - Normalized history
+   * @param {string} currentStep - Current status step
+   * @returns {object} Map of step name to {date, notes}
+   */
+  function getStepHistory(history, currentStep) {
+    const currentIndex = getStatusIndex(currentStep);
+    const stepHistory = {};
+
+    history.forEach((entry) => {
+      if (getStatusIndex(entry.step) > currentIndex) return;
+
+      const stepEntry = stepHistory[entry.step] || { date: null, notes: [] };
+      stepEntry.date = entry.date;
+      if (entry.note) {
+        stepEntry.notes.push(entry.note);
+      }
+      stepHistory[entry.step] = stepEntry;
+    });
+
+    return stepHistory;
+  }
+
+  /**
+   * Normalize the optional shipment events from the API
+   * Events without a description or a valid timestamp are skipped.
+   *
+   * @param {Array} events - Carrier scans ({timestamp, description, location})
+   * @returns {Array<object>} Events with date, description and location, newest first
+   */
+  function normalizeShipmentEvents(events) {
+    if (!Array.isArray(events)) return [];
+
+    return events
+      .map((event) => {
+        const date = new Date(event?.timestamp);
+        const description = typeof event?.description === "string" ? event.description.trim() : "";
+        if (!description || isNaN(date.getTime())) return null;
+
+        return {
+          date,
+          description,
+          location: typeof event.location === "string" ? event.location.trim() : "",
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.date - a.date);
+  }
+
+  /**
+   * Estimate when an order will be delivered
+   * Adds the average duration of every remaining step to the time the current
+   * step started. A step running longer than average is assumed to finish now.
+   *
+   * @param {string} currentStep - Current status step
+   * @param {Date|null} stepStarted - When the current step started
+   * @param {Array<string>} steps - Main track steps for the order (optional, defaults to all)
+   * @returns {Date|null} Estimated delivery date, or null if delivered or unknown
+   */
+  function estimateCompletion(currentStep, stepStarted, steps = getStatusSteps()) {
+    const currentIndex = steps.indexOf(currentStep);
+    if (!stepStarted || currentIndex === -1 || currentIndex === steps.length - 1) return null;
+
+    // The last step is the end of the journey and has no duration
+    const remaining = steps.slice(currentIndex, -1);
+    if (remaining.some((step) => typeof AVERAGE_STEP_HOURS[step] !== "number")) return null;
+
+    const currentEnd = Math.max(
+      Date.now(),
+      stepStarted.getTime() + AVERAGE_STEP_HOURS[currentStep] * HOUR_MS,
+    );
+    const laterSteps = remaining
+      .slice(1)
+      .reduce((total, step) => total + AVERAGE_STEP_HOURS[step] * HOUR_MS, 0);
+
+    return new Date(currentEnd + laterSteps);
+  }
+
+  /**
+   * Format a date using the site locale
+   * @param {string} dateString - ISO date string
+   * @param {object} options - Intl.DateTimeFormat options (optional)
+   * @returns {string} Formatted date
+   */
+  function formatDate(dateString, options) {
+    return window.AdditiveArtisanUtils
+      ? window.AdditiveArtisanUtils.formatDate(dateString, options)
+      : dateString;
   }
 
   // =========================================================================
   // Public API Functions
   // =========================================================================
 
+  /**
+   * Check an order lookup response has an order
+   * @param {*} data - Parsed response
+   * @returns {boolean} True if successful
+   */
+  function isOrderResponse(data) {
+    return Boolean(data?.success && data.order && typeof data.order === "object");
+  }
+
   /**
    * Fetch order status from Cloudflare Workers API
+   * Failures are typed errors from AdditiveArtisanAPI (see describeError).
+   *
    * @param {string} orderId - Order ID to look up
    * @param {string} email - Customer email address (optional)
-   * @returns {Promise<object>} Order data or error
+   * @param {object} options - Lookup options (optional)
+   * @param {AbortSignal} options.signal - Cancels the lookup
+   * @param {boolean} options.fresh - Skip the lookup cache (e.g. when watching)
+   * @returns {Promise<object>} Order data
+   * @throws {Error} NotFoundError, UnauthorizedError, RateLimitedError, TimeoutError,
+   *   NetworkError, ServerError, MalformedResponseError or AbortedError
    */
-  async function fetchOrderStatus(orderId, email = "") {
-    try {
-      // Construct API URL with query parameters
-      // Email is optional - only include if provided
-      let url = `${API_ENDPOINT}?orderId=${encodeURIComponent(orderId)}`;
-      if (email) {
-        url += `&email=${encodeURIComponent(email)}`;
+  async function fetchOrderStatus(orderId, email = "", options = {}) {
+    const api = window.AdditiveArtisanAPI;
+
+    // Construct API URL with query parameters
+    // Email is optional - only include if provided
+    let url = `${API_ENDPOINT}?orderId=${encodeURIComponent(orderId)}`;
+    if (email) {
+      url += `&email=${encodeURIComponent(email)}`;
+    }
+
+    let data = null;
+    if (api) {
+      // Timeout, retries, typed errors and a short in-memory cache
+      data = await api.fetchJSON(url, {
+        signal: options.signal,
+        caching: options.fresh || !CACHE_SECONDS ? null : { ttl: CACHE_SECONDS, validate: isOrderResponse },
+      });
+    } else {
+      const response = await fetch(url, { signal: options.signal });
+      try {
+        data = await response.json();
+      } catch (error) {
+        // Not JSON - e.g. an HTML error page from a proxy
       }
+    }
 
-      // Use fetchWithRetry for better reliability (timeout + retry logic)
-      const response = window.AdditiveArtisanAPI
-        ? await window.AdditiveArtisanAPI.fetchWithRetry(url)
-        : await fetch(url);
+    // Check if request was successful
+    if (!isOrderResponse(data)) {
+      const message = data?.error || i18n.t("errors.orderFetch");
+      throw api ? new api.errors.MalformedResponseError(message) : new Error(message);
+    }
 
-      // Parse JSON response
-      const data = await response.json();
+    lookups.set(data, { orderId, email });
+    lastKnown.set(`${orderId}|${email}`, { data, time: Date.now() });
+    return data;
+  }
 
-      // Check if request was successful
-      if (!response.ok || !data.success) {
-        throw new Error(data.error || "Failed to fetch order status");
-      }
+  /**
+   * Get the last known status of an order, for showing while offline
+   * Uses the last lookup this visit, or the status saved by "My Orders".
+   * Display the result with displayOrderStatus; it notes when it was checked.
+   *
+   * @param {string} orderId - Order ID
+   * @param {string} email - Customer email address (optional)
+   * @returns {object|null} Order data like fetchOrderStatus returns, or null if unknown
+   */
+  function getLastKnownStatus(orderId, email = "") {
+    const known = lastKnown.get(`${orderId}|${email}`);
+    const saved = window.AdditiveArtisanMyOrders?.getOrders().find((entry) => entry.orderId === orderId);
 
-      return data;
-    } catch (error) {
-      throw error;
+    let data = null;
+    let checked = 0;
+    if (known) {
+      data = { ...known.data };
+      checked = known.time;
+    } else if (saved?.status && saved.checked) {
+      data = { success: true, order: { orderId, status: saved.status } };
+      checked = saved.checked;
+    }
+
+    if (data) {
+      lookups.set(data, { orderId, email, savedAt: checked });
+    }
+    return data;
+  }
+
+  /**
+   * Describe a lookup failure for the customer
+   * Maps typed API errors to a translated message, the form field it belongs
+   * to (if any) and whether trying again could help.
+   *
+   * @param {Error|string} error - Error from fetchOrderStatus, or a message
+   * @returns {object} {type, message, field ("orderId", "email" or null), retryable, retryAfter}
+   */
+  function describeError(error) {
+    if (typeof error === "string") {
+      return { type: "message", message: error, field: null, retryable: false, retryAfter: null };
     }
+
+    const info = {
+      type: error?.type || "unknown",
+      message: i18n.t("errors.orderFetch"),
+      field: null,
+      retryable: Boolean(error?.retryable),
+      retryAfter: error?.retryAfter ?? null,
+    };
+
+    switch (info.type) {
+      case "not-found":
+        info.message = i18n.t("errors.orderNotFound");
+        info.field = "orderId";
+        break;
+      case "unauthorized":
+        info.message = i18n.t("errors.emailMismatch");
+        info.field = "email";
+        break;
+      case "rate-limited":
+        info.message = info.retryAfter
+          ? i18n.t("errors.rateLimitedFor", { count: info.retryAfter })
+          : i18n.t("errors.rateLimited");
+        break;
+      case "timeout":
+        info.message = i18n.t("errors.timeout");
+        break;
+      case "network":
+        info.message = i18n.t(error.offline ? "errors.offline" : "errors.network");
+        break;
+      case "server":
+        info.message = i18n.t("errors.server");
+        break;
+      case "malformed":
+        info.message = i18n.t("errors.malformedResponse");
+        break;
+      case "request":
+        // The Worker rejected the order ID (HTTP 400)
+        if (error.status === 400) {
+          info.message = i18n.t("errors.orderIdFormat", { example: "AA-2024-0047" });
+          info.field = "orderId";
+        }
+        break;
+    }
+
+    return info;
   }
 
   /**
    * Display order status in the UI
    * @param {object} orderData - Order data from API
+   * @param {object} options - Display options (optional)
+   * @param {boolean} options.animate - Animate the change to a new step
    */
-  function displayOrderStatus(orderData) {
+  function displayOrderStatus(orderData, options = {}) {
     const order = orderData.order;
     const statusConfig = getStatusConfig(order.status);
+    const history = normalizeHistory(order.history);
+
+    // Exceptions sit off the main track, next to the last step the order reached
+    const trackStep = statusConfig.exception ? getLastTrackStep(history) : statusConfig.step;
+    const stepHistory = getStepHistory(history, trackStep);
+    lastOrderData = orderData;
+    lastLookup = lookups.get(orderData) || lastLookup;
+    clearRetryTimer();
 
     // Render animation (emoji or Lottie based on config)
     renderAnimation(statusConfig.step, statusConfig);
@@ -215,7 +576,7 @@
     // Update status title
     const statusTitle = document.querySelector(".status-title");
     if (statusTitle) {
-      statusTitle.textContent = order.status;
+      statusTitle.textContent = statusConfig.label;
     }
 
     // Update status message
@@ -226,15 +587,39 @@
 
     // Update order details if elements exist
     updateOrderDetails(order);
+    updateSavedNotice(lookups.get(orderData)?.savedAt);
+
+    // Estimate delivery from when the current step started (exceptions get none)
+    let stepStarted = stepHistory[statusConfig.step]?.date || null;
+    if (!stepStarted && order.updatedDate) {
+      const updated = new Date(order.updatedDate);
+      stepStarted = isNaN(updated.getTime()) ? null : updated;
+    }
+    updateEstimate(
+      statusConfig.exception
+        ? null
+        : estimateCompletion(statusConfig.step, stepStarted, getStatusSteps(order.fulfillment)),
+    );
 
-    // Update timeline
-    updateTimeline(statusConfig.step);
+    // Update timeline (skipping steps that don't apply to this order)
+    renderTimeline(getTrackSteps(order.fulfillment));
+    updateTimeline(trackStep, stepHistory, { interrupted: statusConfig.exception });
+    updateException(statusConfig.exception ? statusConfig : null, stepHistory[statusConfig.step]);
 
     // Show order status container
     const orderStatus = document.getElementById("order-status");
     if (orderStatus) {
       orderStatus.classList.remove("hidden");
+
+      // Restart the animation even if an earlier change is still animating
+      orderStatus.classList.remove("status-advanced");
+      if (options.animate) {
+        void orderStatus.offsetWidth;
+        orderStatus.classList.add("status-advanced");
+      }
     }
+
+    updateWatchControls();
   }
 
   /**
@@ -251,57 +636,279 @@
     // Update order date
     const dateElement = document.getElementById("order-date");
     if (dateElement && order.createdDate) {
-      const formattedDate = window.AdditiveArtisanUtils
-        ? window.AdditiveArtisanUtils.formatDate(order.createdDate)
-        : order.createdDate;
-      dateElement.textContent = formattedDate;
+      dateElement.textContent = formatDate(order.createdDate);
+    }
+
+    // Update tracking number and carrier scans (if shipped)
+    updateTracking(order);
+    updateShipmentEvents(normalizeShipmentEvents(order.shipmentEvents));
+
+    // Show order details container (a status saved by "My Orders" has none,
+    // so the previous order's details aren't left showing)
+    const orderDetails = document.getElementById("order-details");
+    if (orderDetails) {
+      orderDetails.classList.toggle("hidden", !order.product && !order.createdDate && !order.trackingNumber);
     }
+  }
+
+  /**
+   * Note that the displayed status is a saved copy
+   * @param {number} savedAt - When it was checked (ms), or falsy for a live status
+   */
+  function updateSavedNotice(savedAt) {
+    const notice = document.getElementById("order-saved-notice");
+    if (!notice) return;
 
-    // Update tracking number (if shipped)
+    notice.textContent = savedAt
+      ? i18n.t("tracker.savedStatus", {
+          date: formatDate(new Date(savedAt).toISOString(), {
+            month: "long",
+            day: "numeric",
+            hour: "numeric",
+            minute: "2-digit",
+          }),
+        })
+      : "";
+    notice.classList.toggle("hidden", !savedAt);
+  }
+
+  /**
+   * Show the tracking number, linked to the carrier's tracking page when known
+   * Built with DOM methods so values from Airtable are never parsed as HTML.
+   *
+   * @param {object} order - Order data (trackingNumber, optional carrier)
+   */
+  function updateTracking(order) {
     const trackingContainer = document.getElementById("tracking-container");
     const trackingNumber = document.getElementById("tracking-number");
-    if (trackingContainer && trackingNumber) {
-      if (order.trackingNumber) {
-        trackingNumber.textContent = order.trackingNumber;
-        trackingContainer.classList.remove("hidden");
-      } else {
-        trackingContainer.classList.add("hidden");
-      }
+    if (!trackingContainer || !trackingNumber) return;
+
+    trackingNumber.textContent = "";
+    if (!order.trackingNumber) {
+      trackingContainer.classList.add("hidden");
+      return;
     }
 
-    // Show order details container
-    const orderDetails = document.getElementById("order-details");
-    if (orderDetails) {
-      orderDetails.classList.remove("hidden");
+    const carrier = window.AdditiveArtisanCarriers
+      ? window.AdditiveArtisanCarriers.detectCarrier(order.trackingNumber, order.carrier)
+      : null;
+
+    if (carrier) {
+      const carrierName = document.createElement("span");
+      carrierName.className = "tracking-carrier";
+      carrierName.textContent = carrier.name;
+      trackingNumber.append(carrierName, " ");
     }
+
+    if (carrier?.url) {
+      const link = document.createElement("a");
+      link.className = "tracking-link";
+      link.href = carrier.url;
+      link.target = "_blank";
+      link.rel = "noopener noreferrer";
+      link.textContent = order.trackingNumber;
+      link.setAttribute("aria-label", i18n.t("tracker.trackWithCarrier", {
+        carrier: carrier.name,
+        number: order.trackingNumber,
+      }));
+      trackingNumber.appendChild(link);
+    } else {
+      trackingNumber.append(String(order.trackingNumber));
+    }
+
+    trackingContainer.classList.remove("hidden");
+  }
+
+  /**
+   * Render the carrier scans panel (hidden when there are none)
+   * @param {Array<object>} events - Normalized shipment events, newest first
+   */
+  function updateShipmentEvents(events) {
+    const panel = document.getElementById("shipment-events");
+    const summary = document.getElementById("shipment-events-summary");
+    const list = document.getElementById("shipment-events-list");
+    if (!panel || !summary || !list) return;
+
+    list.textContent = "";
+    panel.classList.toggle("hidden", events.length === 0);
+    if (!events.length) return;
+
+    summary.textContent = i18n.t("tracker.shipment.title", { count: events.length });
+
+    events.forEach((event) => {
+      const item = document.createElement("li");
+      item.className = "shipment-event";
+
+      const time = document.createElement("time");
+      time.className = "shipment-event-time";
+      time.dateTime = event.date.toISOString();
+      time.textContent = formatDate(time.dateTime, {
+        month: "short",
+        day: "numeric",
+        hour: "numeric",
+        minute: "2-digit",
+      });
+
+      const description = document.createElement("span");
+      description.className = "shipment-event-description";
+      description.textContent = event.description;
+
+      item.append(time, description);
+
+      if (event.location) {
+        const location = document.createElement("span");
+        location.className = "shipment-event-location";
+        location.textContent = event.location;
+        item.appendChild(location);
+      }
+
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Show or hide the estimated delivery date
+   * @param {Date|null} estimate - Estimated delivery date
+   */
+  function updateEstimate(estimate) {
+    const estimateContainer = document.getElementById("estimate-container");
+    const estimateElement = document.getElementById("order-estimate");
+    if (!estimateContainer || !estimateElement) return;
+
+    if (estimate) {
+      estimateElement.textContent = formatDate(estimate.toISOString());
+      estimateContainer.classList.remove("hidden");
+    } else {
+      estimateContainer.classList.add("hidden");
+    }
+  }
+
+  /**
+   * Render when a timeline step happened and any notes for it
+   * Built with DOM methods so notes from Airtable are never parsed as HTML.
+   *
+   * @param {HTMLElement} stepElement - Timeline step element
+   * @param {object} entry - Step history ({date, notes}) or undefined to clear
+   */
+  function renderStepDetails(stepElement, entry) {
+    stepElement.querySelector(".step-details")?.remove();
+    if (!entry) return;
+
+    const details = document.createElement("div");
+    details.className = "step-details";
+
+    const time = document.createElement("time");
+    time.className = "step-time";
+    time.dateTime = entry.date.toISOString();
+    time.textContent = formatDate(time.dateTime, {
+      month: "short",
+      day: "numeric",
+      hour: "numeric",
+      minute: "2-digit",
+    });
+    details.appendChild(time);
+
+    entry.notes.forEach((note) => {
+      const noteElement = document.createElement("span");
+      noteElement.className = "step-note";
+      noteElement.textContent = note;
+      details.appendChild(noteElement);
+    });
+
+    stepElement.appendChild(details);
+  }
+
+  /**
+   * Build the timeline steps from the status workflow
+   * @param {Array<object>} steps - Workflow steps to show (see getTrackSteps)
+   */
+  function renderTimeline(steps) {
+    const timeline = document.querySelector(".status-timeline");
+    if (!timeline) return;
+
+    timeline.textContent = "";
+    steps.forEach((entry, index) => {
+      const stepElement = document.createElement("div");
+      stepElement.className = "timeline-step";
+      stepElement.dataset.step = entry.step;
+
+      const icon = document.createElement("div");
+      icon.className = "step-icon";
+      icon.textContent = String(index + 1);
+
+      const label = document.createElement("span");
+      label.className = "step-label";
+      label.textContent = getStatusText(entry, "label", entry.status);
+
+      stepElement.append(icon, label);
+      timeline.appendChild(stepElement);
+    });
   }
 
   /**
    * Update timeline to show current status
-   * @param {string} currentStep - Current status step name
+   * @param {string|null} currentStep - Current main track step name
+   * @param {object} stepHistory - Map of step name to {date, notes} (optional)
+   * @param {object} options - Timeline options (optional)
+   * @param {boolean} options.interrupted - The order left the track at currentStep (exception)
    */
-  function updateTimeline(currentStep) {
+  function updateTimeline(currentStep, stepHistory = {}, options = {}) {
     const steps = document.querySelectorAll(".timeline-step");
     const currentIndex = getStatusIndex(currentStep);
 
-    steps.forEach((stepElement, index) => {
+    steps.forEach((stepElement) => {
+      const index = getStatusIndex(stepElement.dataset.step);
+
       // Remove all status classes
-      stepElement.classList.remove("completed", "active");
+      stepElement.classList.remove("completed", "active", "interrupted");
 
       // Add appropriate class based on position
       if (index < currentIndex) {
         stepElement.classList.add("completed");
       } else if (index === currentIndex) {
-        stepElement.classList.add("active");
+        stepElement.classList.add(options.interrupted ? "interrupted" : "active");
       }
+
+      renderStepDetails(stepElement, stepHistory[stepElement.dataset.step]);
     });
   }
 
+  /**
+   * Show or hide the exception state beside the timeline
+   * @param {object|null} statusConfig - Exception status configuration, or null to hide
+   * @param {object} entry - Step history for the exception ({date, notes}, optional)
+   */
+  function updateException(statusConfig, entry) {
+    const container = document.getElementById("status-exception");
+    if (!container) return;
+
+    container.classList.toggle("hidden", !statusConfig);
+    container.classList.toggle("status-exception--terminal", Boolean(statusConfig?.terminal));
+    if (!statusConfig) return;
+
+    container.querySelector(".exception-emoji").textContent = statusConfig.emoji;
+    container.querySelector(".exception-label").textContent = statusConfig.label;
+    container.querySelector(".exception-description").textContent = statusConfig.description;
+    renderStepDetails(container.querySelector(".exception-info"), entry);
+  }
+
   /**
    * Display error message in the UI
-   * @param {string} message - Error message to display
+   * Retryable errors get a "Try again" button when onRetry is given; after a
+   * rate limit it stays disabled until the Retry-After time has passed.
+   *
+   * @param {Error|string} error - Error from fetchOrderStatus, or a message to display
+   * @param {object} options - Display options (optional)
+   * @param {Function} options.onRetry - Called when the customer clicks "Try again"
    */
-  function displayError(message) {
+  function displayError(error, options = {}) {
+    lastOrderData = null;
+    stopWatching();
+    clearRetryTimer();
+
+    const { message, retryable, retryAfter } = describeError(error);
+    updateSavedNotice(null);
+
     const statusMessage = document.querySelector(".status-message");
     if (statusMessage) {
       // Always escape HTML to prevent XSS, even if utils module isn't loaded
@@ -318,6 +925,10 @@
       statusMessage.innerHTML = `
         <span class="error-message">❌ ${escapedMessage}</span>
       `;
+
+      if (retryable && typeof options.onRetry === "function") {
+        statusMessage.appendChild(createRetryButton(retryAfter, options.onRetry));
+      }
     }
 
     // Show order status container even for errors
@@ -331,21 +942,84 @@
     if (timeline) {
       timeline.style.display = "none";
     }
+    updateException(null);
+  }
+
+  /**
+   * Create the "Try again" button for a failed lookup
+   * @param {number|null} retryAfter - Seconds to wait before it can be used
+   * @param {Function} onRetry - Click handler
+   * @returns {HTMLButtonElement} Button
+   */
+  function createRetryButton(retryAfter, onRetry) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "btn btn--secondary tracker-retry";
+    button.addEventListener("click", onRetry);
+
+    let remaining = retryAfter || 0;
+    const update = () => {
+      button.disabled = remaining > 0;
+      button.textContent = remaining > 0
+        ? i18n.t("tracker.retryIn", { seconds: remaining })
+        : i18n.t("tracker.retry");
+    };
+    update();
+
+    if (remaining > 0) {
+      retryTimer = setInterval(() => {
+        remaining -= 1;
+        update();
+        if (remaining <= 0) {
+          clearRetryTimer();
+        }
+      }, 1000);
+    }
+
+    return button;
+  }
+
+  /**
+   * Stop the "Try again" countdown
+   */
+  function clearRetryTimer() {
+    clearInterval(retryTimer);
+    retryTimer = null;
+  }
+
+  /**
+   * Hide the status panel without resetting the form
+   * Used when a lookup error belongs next to a form field instead.
+   */
+  function hideStatus() {
+    lastOrderData = null;
+    stopWatching();
+    clearRetryTimer();
+
+    const orderStatus = document.getElementById("order-status");
+    if (orderStatus) {
+      orderStatus.classList.add("hidden");
+    }
   }
 
   /**
    * Show loading state
    */
   function showLoading() {
+    lastOrderData = null;
+    stopWatching();
+    clearRetryTimer();
+
     const statusMessage = document.querySelector(".status-message");
     if (statusMessage) {
-      statusMessage.textContent = "Looking up your order...";
+      statusMessage.textContent = i18n.t("tracker.loading");
     }
+    updateSavedNotice(null);
 
     // Reset mascot emoji to default
     const statusEmoji = document.getElementById("status-emoji");
     if (statusEmoji) {
-      statusEmoji.textContent = "🐱";
+      statusEmoji.textContent = DEFAULT_EMOJI;
     }
 
     // Show order status container
@@ -355,10 +1029,8 @@
     }
 
     // Reset timeline
-    const steps = document.querySelectorAll(".timeline-step");
-    steps.forEach((step) => {
-      step.classList.remove("completed", "active");
-    });
+    renderTimeline(getTrackSteps());
+    updateException(null);
 
     // Show timeline
     const timeline = document.querySelector(".status-timeline");
@@ -372,10 +1044,7 @@
    */
   function resetTracker() {
     // Hide order status
-    const orderStatus = document.getElementById("order-status");
-    if (orderStatus) {
-      orderStatus.classList.add("hidden");
-    }
+    hideStatus();
 
     // Hide order details
     const orderDetails = document.getElementById("order-details");
@@ -383,6 +1052,10 @@
       orderDetails.classList.add("hidden");
     }
 
+    // Back to the full timeline
+    renderTimeline(getTrackSteps());
+    updateException(null);
+
     // Reset form
     const form = document.getElementById("order-search-form");
     if (form) {
@@ -401,10 +1074,252 @@
 
   /**
    * Get all available statuses
-   * @returns {object} All status configurations
+   * @returns {object} All status configurations (translated), keyed by Airtable status
    */
   function getAllStatuses() {
-    return STATUS_CONFIG;
+    return Object.fromEntries(
+      Object.keys(STATUS_CONFIG).map((status) => [status, getStatusConfig(status)]),
+    );
+  }
+
+  /**
+   * Re-render the displayed order in the new language
+   */
+  function handleLanguageChange() {
+    if (lastOrderData) {
+      displayOrderStatus(lastOrderData);
+    } else {
+      renderTimeline(getTrackSteps());
+    }
+    updateWatchControls();
+  }
+
+  window.addEventListener("additiveartisan:languagechange", handleLanguageChange);
+
+  // =========================================================================
+  // Order Watching
+  // =========================================================================
+
+  /**
+   * Ask for permission to show notifications
+   * Must be called from a user gesture (the watch button click).
+   *
+   * @returns {Promise<string>} "granted", "denied", "default" or "unsupported"
+   */
+  async function requestNotificationPermission() {
+    if (!("Notification" in window)) return "unsupported";
+    if (Notification.permission !== "default") return Notification.permission;
+
+    try {
+      return (await Notification.requestPermission()) || Notification.permission;
+    } catch (error) {
+      // Permission prompt failed - keep watching without notifications
+      return Notification.permission;
+    }
+  }
+
+  /**
+   * Show a browser notification for a new order step
+   * Falls back to the service worker where pages can't create notifications
+   * (e.g., Chrome on Android).
+   *
+   * @param {object} order - Order data
+   * @param {object} statusConfig - Status configuration for the new status
+   */
+  function notifyStatusChange(order, statusConfig) {
+    if (!("Notification" in window) || Notification.permission !== "granted") return;
+
+    const title = i18n.t("tracker.watch.notificationTitle", { orderId: order.orderId || "" });
+    const notificationOptions = {
+      body: `${statusConfig.label}: ${statusConfig.message}`,
+      icon: NOTIFICATION_ICON,
+      tag: `order-${order.orderId}`,
+    };
+
+    try {
+      const notification = new Notification(title, notificationOptions);
+      notification.onclick = () => {
+        window.focus();
+        notification.close();
+      };
+    } catch (error) {
+      navigator.serviceWorker
+        ?.getRegistration()
+        .then((registration) => registration?.showNotification(title, notificationOptions))
+        .catch(() => {
+          // Notifications unavailable - the page still shows the change
+        });
+    }
+  }
+
+  /**
+   * Schedule the next status check (only while the tab is visible)
+   */
+  function scheduleNextPoll() {
+    clearTimeout(watchState.timer);
+    watchState.timer = null;
+
+    if (watchState.active && !document.hidden) {
+      watchState.timer = setTimeout(pollOrder, watchState.interval);
+    }
+  }
+
+  /**
+   * Check the watched order for changes
+   * New steps are animated and notified and reset the polling interval;
+   * otherwise the interval doubles up to the configured maximum.
+   */
+  async function pollOrder() {
+    if (!watchState.active || watchState.polling || !lastLookup) return;
+
+    watchState.polling = true;
+    watchState.request = new AbortController();
+    const previous = lastOrderData;
+
+    try {
+      const orderData = await fetchOrderStatus(lastLookup.orderId, lastLookup.email, {
+        signal: watchState.request.signal,
+        fresh: true,
+      });
+      if (!watchState.active) return;
+
+      watchState.lastChecked = new Date();
+
+      // A saved status (shown while offline) is replaced even if nothing changed
+      const unchanged = JSON.stringify(orderData.order) === JSON.stringify(previous?.order);
+      if (unchanged && !lookups.get(previous)?.savedAt) {
+        watchState.interval = Math.min(watchState.interval * 2, WATCH_MAX_MS);
+      } else {
+        const statusConfig = getStatusConfig(orderData.order.status);
+        const previousStep = previous ? getStatusConfig(previous.order.status).step : null;
+        const newStep = statusConfig.step !== previousStep;
+
+        displayOrderStatus(orderData, { animate: newStep });
+        if (newStep) {
+          notifyStatusChange(orderData.order, statusConfig);
+        }
+        watchState.interval = WATCH_MIN_MS;
+      }
+
+      // Nothing left to watch once delivered (or cancelled)
+      if (getStatusConfig(orderData.order.status).terminal) {
+        stopWatching();
+      }
+    } catch (error) {
+      // Network or API error - keep the last status and check again later,
+      // no sooner than a rate limit's Retry-After
+      watchState.interval = Math.min(
+        Math.max(watchState.interval * 2, (error.retryAfter || 0) * 1000),
+        WATCH_MAX_MS,
+      );
+    } finally {
+      watchState.polling = false;
+      watchState.request = null;
+      scheduleNextPoll();
+      updateWatchControls();
+    }
+  }
+
+  /**
+   * Start watching the displayed order for status changes
+   * Asks for notification permission on first use.
+   *
+   * @returns {Promise<boolean>} True if watching started
+   */
+  async function startWatching() {
+    if (watchState.active || !lastOrderData || !lastLookup) return false;
+
+    watchState.active = true;
+    watchState.interval = WATCH_MIN_MS;
+    watchState.lastChecked = new Date();
+    updateWatchControls();
+
+    await requestNotificationPermission();
+    updateWatchControls();
+    scheduleNextPoll();
+    return watchState.active;
+  }
+
+  /**
+   * Stop watching the order
+   */
+  function stopWatching() {
+    watchState.active = false;
+    clearTimeout(watchState.timer);
+    watchState.timer = null;
+    watchState.request?.abort();
+    updateWatchControls();
+  }
+
+  /**
+   * Check if an order is being watched
+   * @returns {boolean} True while watching
+   */
+  function isWatching() {
+    return watchState.active;
+  }
+
+  /**
+   * Sync the watch button and status text with the watch state
+   * Hidden when no order is shown or the order has reached a terminal state.
+   */
+  function updateWatchControls() {
+    const container = document.getElementById("order-watch");
+    const toggle = document.getElementById("watch-toggle");
+    const status = document.getElementById("watch-status");
+    if (!container || !toggle || !status) return;
+
+    const finished = lastOrderData && getStatusConfig(lastOrderData.order.status).terminal;
+    container.classList.toggle("hidden", !lastOrderData || finished);
+
+    toggle.textContent = i18n.t(watchState.active ? "tracker.watch.stop" : "tracker.watch.start");
+    toggle.setAttribute("aria-pressed", String(watchState.active));
+
+    let text = i18n.t("tracker.watch.hint");
+    if (watchState.active) {
+      const locale = window.AdditiveArtisanCurrency?.getLocale() || "en-US";
+      text = i18n.t("tracker.watch.active", {
+        time: watchState.lastChecked.toLocaleTimeString(locale, { hour: "numeric", minute: "2-digit" }),
+      });
+      if ("Notification" in window && Notification.permission === "denied") {
+        text += ` ${i18n.t("tracker.watch.notificationsBlocked")}`;
+      }
+    }
+    status.textContent = text;
+  }
+
+  /**
+   * Pause polling while the tab is hidden; check right away when it returns
+   */
+  function handleVisibilityChange() {
+    if (!watchState.active) return;
+
+    if (document.hidden) {
+      clearTimeout(watchState.timer);
+      watchState.timer = null;
+    } else {
+      pollOrder();
+    }
+  }
+
+  /**
+   * Initialize the tracker (timeline, watch button and tab visibility handling)
+   */
+  function initTracker() {
+    renderTimeline(getTrackSteps());
+
+    const toggle = document.getElementById("watch-toggle");
+    if (toggle) {
+      toggle.addEventListener("click", () => {
+        if (watchState.active) {
+          stopWatching();
+        } else {
+          startWatching();
+        }
+      });
+    }
+
+    document.addEventListener("visibilitychange", handleVisibilityChange);
   }
 
   // =========================================================================
@@ -413,14 +1328,25 @@
 
   window.AdditiveArtisanTracker = {
     // Main functions
+    initTracker,
     fetchOrderStatus,
+    getLastKnownStatus,
     displayOrderStatus,
     displayError,
+    describeError,
+    hideStatus,
     showLoading,
     resetTracker,
 
     // Timeline functions
+    renderTimeline,
     updateTimeline,
+    estimateCompletion,
+
+    // Watch mode
+    startWatching,
+    stopWatching,
+    isWatching,
 
     // Status utilities
     getStatus,
@@ -429,5 +1355,6 @@
 
     // Configuration
     STATUS_CONFIG,
+    WORKFLOW,
   };
 })(window);
@@ -0,0 +1,174 @@
+/**
+ * Outbox for Additive Artisan
+ * Keeps requests made while offline (e.g. contact messages) in IndexedDB and sends them later
+ *
+ * Loaded by the page and by the service worker (sw.js importScripts), so it
+ * uses `self` rather than `window` and only plain fetch().
+ */
+
+(function (self) {
+  "use strict";
+
+  const DB_NAME = "additive-artisan";
+  const DB_VERSION = 1;
+  const STORE_NAME = "outbox";
+
+  // Background Sync tag the service worker replays the outbox for
+  const SYNC_TAG = "outbox";
+
+  // Responses meaning "try again later"; other 4xx responses are final
+  const RETRY_STATUSES = [408, 429];
+
+  // Set while a replay is running so overlapping calls share it
+  let replaying = null;
+
+  // =========================================================================
+  // Storage
+  // =========================================================================
+
+  /**
+   * Wrap an IndexedDB request in a promise
+   * @param {IDBRequest|IDBTransaction} request - Request, or a transaction to wait for
+   * @returns {Promise<*>} Request result (undefined for transactions)
+   */
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      if ("oncomplete" in request) {
+        request.oncomplete = () => resolve();
+        request.onabort = request.onerror = () => reject(request.error);
+      } else {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }
+    });
+  }
+
+  /**
+   * Open the outbox database, creating it on first use
+   * @returns {Promise<IDBDatabase>} Database
+   * @throws {Error} If IndexedDB is unavailable (e.g. some private browsing modes)
+   */
+  function openDatabase() {
+    if (!self.indexedDB) {
+      return Promise.reject(new Error("IndexedDB unavailable"));
+    }
+
+    const request = self.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: "id", autoIncrement: true });
+    };
+    return promisify(request);
+  }
+
+  /**
+   * Run a function against the outbox store
+   * @param {string} mode - "readonly" or "readwrite"
+   * @param {Function} callback - Receives the store, returns an IDBRequest (optional)
+   * @returns {Promise<*>} Request result, once the transaction completes
+   */
+  async function withStore(mode, callback) {
+    const db = await openDatabase();
+    try {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = callback(transaction.objectStore(STORE_NAME));
+      const [result] = await Promise.all([request ? promisify(request) : undefined, promisify(transaction)]);
+      return result;
+    } finally {
+      db.close();
+    }
+  }
+
+  // =========================================================================
+  // Public API
+  // =========================================================================
+
+  /**
+   * Queue a request to send later
+   * @param {object} entry - {url, method, headers, body (string), kind (e.g. "contact")}
+   * @returns {Promise<number>} ID of the queued entry
+   */
+  function add(entry) {
+    return withStore("readwrite", (store) =>
+      store.add({
+        url: entry.url,
+        method: entry.method || "POST",
+        headers: entry.headers || {},
+        body: entry.body ?? null,
+        kind: entry.kind || "request",
+        queuedAt: Date.now(),
+      }),
+    );
+  }
+
+  /**
+   * Get queued requests, oldest first
+   * @returns {Promise<Array>} Entries
+   */
+  function getAll() {
+    return withStore("readonly", (store) => store.getAll());
+  }
+
+  /**
+   * Remove a queued request
+   * @param {number} id - Entry ID
+   * @returns {Promise<void>} Resolves once removed
+   */
+  function remove(id) {
+    return withStore("readwrite", (store) => store.delete(id));
+  }
+
+  /**
+   * Send queued requests, oldest first
+   * Sent and rejected (4xx) entries are removed; the first network failure or
+   * server error stops the replay and keeps the rest for the next one.
+   *
+   * @returns {Promise<object>} {sent, rejected, remaining} entry counts
+   */
+  function replay() {
+    if (replaying) return replaying;
+
+    replaying = (async () => {
+      const entries = await getAll();
+      const result = { sent: 0, rejected: 0, remaining: entries.length };
+
+      for (const entry of entries) {
+        let response;
+        try {
+          response = await fetch(entry.url, {
+            method: entry.method,
+            headers: entry.headers,
+            body: entry.body,
+          });
+        } catch (error) {
+          // Still offline - try again on the next replay
+          break;
+        }
+
+        if (response.ok) {
+          result.sent++;
+        } else if (response.status >= 400 && response.status < 500 && !RETRY_STATUSES.includes(response.status)) {
+          result.rejected++;
+        } else {
+          break;
+        }
+
+        await remove(entry.id);
+        result.remaining--;
+      }
+
+      return result;
+    })().finally(() => {
+      replaying = null;
+    });
+
+    return replaying;
+  }
+
+  self.AdditiveArtisanOutbox = {
+    SYNC_TAG,
+    add,
+    getAll,
+    remove,
+    replay,
+  };
+})(self);
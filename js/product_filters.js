@@ -0,0 +1,246 @@
+/**
+ * Product Filters for Additive Artisan
+ * Sorting, multi-facet filtering and shareable URL state for the product grid
+ */
+
+(function (window) {
+  "use strict";
+
+  /**
+   * Sort modes shown in the sort dropdown, mapped to their label message keys
+   * "relevance" keeps search ranking, so it only applies while searching
+   */
+  const SORT_OPTIONS = {
+    relevance: "sort.relevance",
+    featured: "sort.featured",
+    newest: "sort.newest",
+    "price-asc": "sort.priceAsc",
+    "price-desc": "sort.priceDesc",
+    title: "sort.title",
+  };
+
+  const DEFAULT_SORT = "relevance";
+
+  /**
+   * URL query parameter names
+   */
+  const URL_PARAMS = {
+    categories: "category",
+    tags: "tag",
+    minPrice: "min",
+    maxPrice: "max",
+    sort: "sort",
+    query: "q",
+    page: "page",
+  };
+
+  /**
+   * Create an empty filter state
+   * @returns {object} Filter state
+   */
+  function createState() {
+    return {
+      categories: [],
+      tags: [],
+      minPrice: null,
+      maxPrice: null,
+      sort: DEFAULT_SORT,
+      query: "",
+      page: 1,
+    };
+  }
+
+  /**
+   * Check if any facet (not sort or search) is active
+   * @param {object} state - Filter state
+   * @returns {boolean} True if categories, tags or a price bound is set
+   */
+  function hasActiveFacets(state) {
+    return (
+      state.categories.length > 0 ||
+      state.tags.length > 0 ||
+      state.minPrice !== null ||
+      state.maxPrice !== null
+    );
+  }
+
+  /**
+   * Parse a price bound
+   * @param {*} value - Raw value from an input or URL
+   * @returns {number|null} Non-negative price or null
+   */
+  function parsePrice(value) {
+    if (value === null || value === undefined || value === "") return null;
+    const price = Number(value);
+    return isFinite(price) && price >= 0 ? price : null;
+  }
+
+  // =========================================================================
+  // Filtering & Sorting
+  // =========================================================================
+
+  /**
+   * Apply facets to a product list
+   * Categories match any selected; tags must all be present; price is inclusive.
+   *
+   * @param {Array} products - Products to filter
+   * @param {object} state - Filter state
+   * @returns {Array} Matching products (order preserved)
+   */
+  function applyFacets(products, state) {
+    return products.filter((product) => {
+      if (state.categories.length > 0 && !state.categories.includes(product.category)) {
+        return false;
+      }
+      if (state.tags.length > 0) {
+        const tags = product.tags || [];
+        if (!state.tags.every((tag) => tags.includes(tag))) return false;
+      }
+      if (state.minPrice !== null && product.price < state.minPrice) return false;
+      if (state.maxPrice !== null && product.price > state.maxPrice) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Get the sort mode in effect for a state
+   * Without a search there's nothing to rank, so "relevance" falls back to featured order.
+   * @param {object} state - Filter state
+   * @returns {string} Sort mode
+   */
+  function getSort(state) {
+    return state.sort === "relevance" && !state.query ? "featured" : state.sort;
+  }
+
+  /**
+   * Sort products by mode
+   * @param {Array} products - Products to sort
+   * @param {string} sort - Sort mode (see SORT_OPTIONS)
+   * @returns {Array} New sorted array (stable)
+   */
+  function sortProducts(products, sort) {
+    const sorted = [...products];
+
+    switch (sort) {
+      case "price-asc":
+        return sorted.sort((a, b) => a.price - b.price);
+      case "price-desc":
+        return sorted.sort((a, b) => b.price - a.price);
+      case "newest":
+        return sorted.sort(
+          (a, b) => (Date.parse(b.dateAdded) || 0) - (Date.parse(a.dateAdded) || 0),
+        );
+      case "featured":
+        return sorted.sort((a, b) => {
+          const orderA = a.featured ? a.featuredOrder || 999 : Infinity;
+          const orderB = b.featured ? b.featuredOrder || 999 : Infinity;
+          return orderA === orderB ? 0 : orderA - orderB;
+        });
+      case "title":
+        return sorted.sort((a, b) => a.title.localeCompare(b.title));
+      default:
+        return sorted;
+    }
+  }
+
+  /**
+   * Count tag usage across products
+   * @param {Array} products - Products
+   * @returns {Array<{tag: string, count: number}>} Tags, most used first
+   */
+  function getTagCounts(products) {
+    const counts = new Map();
+    products.forEach((product) => {
+      (product.tags || []).forEach((tag) => {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      });
+    });
+
+    return [...counts.entries()]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+
+  // =========================================================================
+  // URL State
+  // =========================================================================
+
+  /**
+   * Read filter state from a URL query string
+   * @param {string} search - Query string (e.g., window.location.search)
+   * @returns {object} Filter state
+   */
+  function readStateFromURL(search) {
+    const params = new URLSearchParams(search);
+    const state = createState();
+    const list = (name) =>
+      (params.get(name) || "")
+        .split(",")
+        .map((value) => value.trim().toLowerCase())
+        .filter(Boolean);
+
+    state.categories = list(URL_PARAMS.categories);
+    state.tags = list(URL_PARAMS.tags);
+    state.minPrice = parsePrice(params.get(URL_PARAMS.minPrice));
+    state.maxPrice = parsePrice(params.get(URL_PARAMS.maxPrice));
+    state.query = (params.get(URL_PARAMS.query) || "").trim();
+
+    const page = parseInt(params.get(URL_PARAMS.page), 10);
+    if (page > 1) {
+      state.page = page;
+    }
+
+    const sort = params.get(URL_PARAMS.sort);
+    if (sort && SORT_OPTIONS[sort]) {
+      state.sort = sort;
+    }
+
+    return state;
+  }
+
+  /**
+   * Write filter state into a URL query string
+   * Other parameters (e.g., ?order=) are preserved; defaults are omitted.
+   *
+   * @param {object} state - Filter state
+   * @param {string} search - Existing query string
+   * @returns {string} New query string including "?" (or "" if empty)
+   */
+  function buildURLSearch(state, search) {
+    const params = new URLSearchParams(search);
+    const set = (name, value) => {
+      if (value === null || value === "" || value === undefined) {
+        params.delete(name);
+      } else {
+        params.set(name, value);
+      }
+    };
+
+    set(URL_PARAMS.categories, state.categories.join(","));
+    set(URL_PARAMS.tags, state.tags.join(","));
+    set(URL_PARAMS.minPrice, state.minPrice);
+    set(URL_PARAMS.maxPrice, state.maxPrice);
+    set(URL_PARAMS.sort, state.sort === DEFAULT_SORT ? "" : state.sort);
+    set(URL_PARAMS.query, state.query);
+    set(URL_PARAMS.page, state.page > 1 ? state.page : "");
+
+    // Commas are valid in query strings; keep lists readable (?category=mtg,props)
+    const query = params.toString().replace(/%2C/gi, ",");
+    return query ? `?${query}` : "";
+  }
+
+  // Export to window
+  window.AdditiveArtisanFilters = {
+    SORT_OPTIONS,
+    DEFAULT_SORT,
+    createState,
+    hasActiveFacets,
+    parsePrice,
+    applyFacets,
+    getSort,
+    sortProducts,
+    getTagCounts,
+    readStateFromURL,
+    buildURLSearch,
+  };
+})(window);
@@ -0,0 +1,353 @@
+/**
+ * Product Schema for Additive Artisan
+ * Validates and normalizes catalog records from Airtable or local JSON
+ */
+
+(function (window) {
+  "use strict";
+
+  const utils = window.AdditiveArtisanUtils;
+
+  // Product IDs and category slugs end up in attributes and URL hashes
+  const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+  const CATEGORY_PATTERN = /^[a-z0-9-]+$/;
+
+  // =========================================================================
+  // Field Coercion
+  // =========================================================================
+
+  /**
+   * Coerce a value to a trimmed string
+   * @param {*} value - Raw value
+   * @returns {string} Trimmed string, or "" for null/undefined/objects
+   */
+  function toText(value) {
+    if (typeof value === "string") return value.trim();
+    if (typeof value === "number" && isFinite(value)) return String(value);
+    return "";
+  }
+
+  /**
+   * Coerce a price to a number
+   * Accepts numbers and numeric strings such as "15", "15.00" or "$15.00"
+   * @param {*} value - Raw price
+   * @returns {number} Price, or NaN if it cannot be parsed
+   */
+  function toPrice(value) {
+    if (typeof value === "number") return value;
+    if (typeof value !== "string") return NaN;
+    const cleaned = value.replace(/[$,\s]/g, "");
+    return cleaned === "" ? NaN : Number(cleaned);
+  }
+
+  /**
+   * Coerce a checkbox-style value to a boolean
+   * @param {*} value - Raw value
+   * @param {boolean} fallback - Value used when the field is missing
+   * @returns {boolean} Boolean value
+   */
+  function toBoolean(value, fallback) {
+    if (value === undefined || value === null || value === "") return fallback;
+    if (typeof value === "string") {
+      return ["true", "yes", "1", "checked"].includes(value.trim().toLowerCase());
+    }
+    return Boolean(value);
+  }
+
+  /**
+   * Normalize a URL, returning null if invalid
+   * @param {*} value - Raw URL
+   * @returns {string|null} Normalized http(s) URL or null
+   */
+  function toURL(value) {
+    const text = toText(value);
+    if (!text || !utils.isValidURL(text)) return null;
+    return new URL(text).href;
+  }
+
+  /**
+   * Normalize a list of URLs, dropping invalid entries
+   * @param {*} value - Raw URL list (array or comma-separated string)
+   * @returns {{urls: Array<string>, invalid: number}} Valid URLs and invalid count
+   */
+  function toURLList(value) {
+    const list = Array.isArray(value)
+      ? value
+      : typeof value === "string"
+        ? value.split(",")
+        : [];
+    const urls = list.map(toURL).filter(Boolean);
+    return { urls: [...new Set(urls)], invalid: list.length - urls.length };
+  }
+
+  /**
+   * Normalize a category to a slug (e.g., "MTG" -> "mtg")
+   * @param {*} value - Raw category
+   * @returns {string} Category slug
+   */
+  function toCategory(value) {
+    return toText(value).toLowerCase().replace(/\s+/g, "-");
+  }
+
+  /**
+   * Normalize tags from an array or comma-separated string
+   * @param {*} value - Raw tags
+   * @returns {Array<string>} Lowercase, de-duplicated tags
+   */
+  function toTags(value) {
+    const list = Array.isArray(value)
+      ? value
+      : typeof value === "string"
+        ? value.split(",")
+        : [];
+    const tags = list.map((tag) => toText(tag).toLowerCase()).filter(Boolean);
+    return [...new Set(tags)];
+  }
+
+  // =========================================================================
+  // Validation
+  // =========================================================================
+
+  /**
+   * Normalize a single product against the documented Product structure
+   * Errors make the product invalid; warnings are fixed up with defaults.
+   *
+   * @param {object} raw - Raw product record
+   * @returns {{product: object|null, errors: Array<string>, warnings: Array<string>}}
+   */
+  function normalizeProduct(raw) {
+    const errors = [];
+    const warnings = [];
+
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      return { product: null, errors: ["Record is not an object"], warnings };
+    }
+
+    const id = toText(raw.id);
+    if (!id) {
+      errors.push("Missing id");
+    } else if (!ID_PATTERN.test(id)) {
+      errors.push(`Invalid id "${id}" (letters, numbers, "_" and "-" only)`);
+    }
+
+    const title = toText(raw.title);
+    if (!title) {
+      errors.push("Missing title");
+    }
+
+    const price = toPrice(raw.price);
+    if (raw.price === undefined || raw.price === null || raw.price === "") {
+      errors.push("Missing price");
+    } else if (!isFinite(price) || price < 0) {
+      errors.push(`Invalid price "${raw.price}"`);
+    }
+
+    const category = toCategory(raw.category);
+    if (!category) {
+      errors.push("Missing category");
+    } else if (!CATEGORY_PATTERN.test(category)) {
+      errors.push(`Invalid category "${raw.category}"`);
+    }
+
+    const etsyUrl = toURL(raw.etsyUrl);
+    if (!etsyUrl) {
+      errors.push(raw.etsyUrl ? `Invalid etsyUrl "${raw.etsyUrl}"` : "Missing etsyUrl");
+    }
+
+    const description = toText(raw.description);
+    if (!description) {
+      warnings.push("Missing description");
+    }
+
+    const imageUrl = toURL(raw.imageUrl);
+    if (raw.imageUrl && !imageUrl) {
+      warnings.push(`Invalid imageUrl "${raw.imageUrl}" (ignored)`);
+    }
+
+    const modelUrl = toURL(raw.modelUrl);
+    if (raw.modelUrl && !modelUrl) {
+      warnings.push(`Invalid modelUrl "${raw.modelUrl}" (ignored)`);
+    }
+
+    const images = toURLList(raw.images);
+    if (images.invalid > 0) {
+      warnings.push(`${images.invalid} invalid URL(s) in images (ignored)`);
+    }
+
+    let dateAdded = null;
+    if (raw.dateAdded) {
+      const date = new Date(raw.dateAdded);
+      if (isNaN(date.getTime())) {
+        warnings.push(`Invalid dateAdded "${raw.dateAdded}" (ignored)`);
+      } else {
+        dateAdded = date.toISOString();
+      }
+    }
+
+    const featured = toBoolean(raw.featured, false);
+    let featuredOrder = null;
+    if (raw.featuredOrder !== undefined && raw.featuredOrder !== null && raw.featuredOrder !== "") {
+      featuredOrder = Number(raw.featuredOrder);
+      if (!Number.isInteger(featuredOrder) || featuredOrder < 1) {
+        warnings.push(`Invalid featuredOrder "${raw.featuredOrder}" (ignored)`);
+        featuredOrder = null;
+      }
+    }
+
+    if (errors.length > 0) {
+      return { product: null, errors, warnings };
+    }
+
+    return {
+      product: {
+        ...raw,
+        id,
+        title,
+        description,
+        price,
+        category,
+        imageUrl,
+        images: images.urls,
+        modelUrl,
+        featured,
+        featuredOrder,
+        etsyUrl,
+        // The products Worker only returns active rows and leaves the field out
+        active: toBoolean(raw.active, true),
+        dateAdded,
+        tags: toTags(raw.tags),
+      },
+      errors,
+      warnings,
+    };
+  }
+
+  /**
+   * Normalize a featured item (a showcase card on the home page)
+   * Errors make the item invalid; warnings are fixed up with defaults.
+   *
+   * @param {object} raw - Raw featured item
+   * @returns {{item: object|null, errors: Array<string>, warnings: Array<string>}}
+   */
+  function normalizeFeaturedItem(raw) {
+    const errors = [];
+    const warnings = [];
+
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      return { item: null, errors: ["Record is not an object"], warnings };
+    }
+
+    const id = toText(raw.id);
+    if (!id) {
+      errors.push("Missing id");
+    } else if (!ID_PATTERN.test(id)) {
+      errors.push(`Invalid id "${id}" (letters, numbers, "_" and "-" only)`);
+    }
+
+    const title = toText(raw.title);
+    if (!title) {
+      errors.push("Missing title");
+    }
+
+    if (errors.length > 0) {
+      return { item: null, errors, warnings };
+    }
+
+    const imageUrl = toURL(raw.imageUrl);
+    if (raw.imageUrl && !imageUrl) {
+      warnings.push(`Invalid imageUrl "${raw.imageUrl}" (ignored)`);
+    }
+
+    return {
+      item: {
+        ...raw,
+        id,
+        title,
+        description: toText(raw.description),
+        imageUrl,
+        type: toText(raw.type),
+      },
+      errors,
+      warnings,
+    };
+  }
+
+  /**
+   * Validate a list of records with a normalizer
+   * Invalid records and duplicate IDs are quarantined with their reasons.
+   *
+   * @param {Array} rawRecords - Raw records
+   * @param {Function} normalize - normalizeProduct or normalizeFeaturedItem
+   * @param {string} key - Name of the normalized record in the normalizer's result
+   * @returns {{records: Array, diagnostics: object}} Valid records and diagnostics
+   */
+  function validateRecords(rawRecords, normalize, key) {
+    const records = [];
+    const rejected = [];
+    const warnings = [];
+    const seenIds = new Set();
+    const list = Array.isArray(rawRecords) ? rawRecords : [];
+
+    list.forEach((raw, index) => {
+      const result = normalize(raw);
+      let record = result[key];
+      const id = record ? record.id : toText(raw && raw.id) || null;
+
+      if (record && seenIds.has(id)) {
+        result.errors.push(`Duplicate id "${id}"`);
+        record = null;
+      }
+
+      if (!record) {
+        rejected.push({ index, id, reasons: result.errors, record: raw });
+        return;
+      }
+
+      seenIds.add(id);
+      records.push(record);
+
+      if (result.warnings.length > 0) {
+        warnings.push({ index, id, reasons: result.warnings });
+      }
+    });
+
+    return {
+      records,
+      diagnostics: {
+        total: list.length,
+        valid: records.length,
+        rejected,
+        warnings,
+      },
+    };
+  }
+
+  /**
+   * Validate a list of products
+   * @param {Array} rawProducts - Raw product records
+   * @returns {{products: Array, diagnostics: object}} Valid products and diagnostics
+   */
+  function validateCatalog(rawProducts) {
+    const { records, diagnostics } = validateRecords(rawProducts, normalizeProduct, "product");
+    return { products: records, diagnostics };
+  }
+
+  /**
+   * Validate the featured items list
+   * @param {Array} rawItems - Raw featured items
+   * @returns {{items: Array, diagnostics: object}} Valid items and diagnostics
+   */
+  function validateFeatured(rawItems) {
+    const { records, diagnostics } = validateRecords(rawItems, normalizeFeaturedItem, "item");
+    return { items: records, diagnostics };
+  }
+
+  // Export to window
+  window.AdditiveArtisanProductSchema = {
+    normalizeProduct,
+    normalizeFeaturedItem,
+    validateCatalog,
+    validateFeatured,
+    ID_PATTERN,
+  };
+})(window);
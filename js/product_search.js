@@ -0,0 +1,279 @@
+/**
+ * Product Search for Additive Artisan
+ * Client-side full-text search with prefix matching, typo tolerance and ranking
+ */
+
+(function (window) {
+  "use strict";
+
+  const utils = window.AdditiveArtisanUtils;
+
+  /**
+   * Field weights for ranking (title matches count most)
+   */
+  const FIELD_WEIGHTS = {
+    title: 3,
+    tags: 2,
+    description: 1,
+  };
+
+  /**
+   * Match quality scores
+   */
+  const MATCH_SCORES = {
+    exact: 1,
+    prefix: 0.75,
+    fuzzy: 0.5,
+  };
+
+  // Bonus when the whole query appears in the title as typed
+  const PHRASE_BONUS = 2;
+
+  // Words ignored in queries so "tower for dice" still matches
+  const STOP_WORDS = new Set(["a", "an", "and", "the", "of", "for", "with", "to", "in", "on"]);
+
+  // A word: letters (any script, with their accents) and digits.
+  // Shared by tokenize() and highlight() so highlighted words are the ones matched.
+  const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+  const WORD_SPLIT_PATTERN = new RegExp(`(${WORD_PATTERN.source})`, "u");
+
+  // Cached token index per product object
+  const indexCache = new WeakMap();
+
+  // =========================================================================
+  // Tokenization
+  // =========================================================================
+
+  /**
+   * Normalize text for matching (lowercase, strip accents)
+   * @param {string} text - Text to normalize
+   * @returns {string} Normalized text
+   */
+  function normalize(text) {
+    return String(text || "")
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "");
+  }
+
+  /**
+   * Split text into searchable tokens
+   * @param {string} text - Text to tokenize
+   * @returns {Array<string>} Tokens
+   */
+  function tokenize(text) {
+    return normalize(text).match(WORD_PATTERN) || [];
+  }
+
+  /**
+   * Tokenize a search query, dropping stop words
+   * @param {string} query - Search query
+   * @returns {Array<string>} Unique query tokens
+   */
+  function tokenizeQuery(query) {
+    const tokens = tokenize(query).filter((token) => !STOP_WORDS.has(token));
+    return [...new Set(tokens)];
+  }
+
+  /**
+   * Get (cached) token index for a product
+   * @param {object} product - Product object
+   * @returns {object} Tokens per field
+   */
+  function getIndex(product) {
+    let index = indexCache.get(product);
+    if (!index) {
+      index = {
+        title: tokenize(product.title),
+        tags: (product.tags || []).flatMap(tokenize),
+        description: tokenize(product.description),
+      };
+      indexCache.set(product, index);
+    }
+    return index;
+  }
+
+  // =========================================================================
+  // Matching
+  // =========================================================================
+
+  /**
+   * Number of typos allowed for a query token of a given length
+   * @param {number} length - Token length
+   * @returns {number} Maximum edit distance
+   */
+  function allowedTypos(length) {
+    if (length >= 8) return 2;
+    if (length >= 4) return 1;
+    return 0;
+  }
+
+  /**
+   * Damerau-Levenshtein (optimal string alignment) distance with early exit
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @param {number} max - Stop once the distance exceeds this value
+   * @returns {number} Edit distance (max + 1 if over the limit)
+   */
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let prevPrev = [];
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(
+          prev[j] + 1,
+          current[j - 1] + 1,
+          prev[j - 1] + cost,
+        );
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], prevPrev[j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, current[j]);
+      }
+
+      if (rowMin > max) return max + 1;
+      prevPrev = prev;
+      prev = current;
+    }
+
+    return prev[b.length];
+  }
+
+  /**
+   * Score how well a query token matches a word
+   * @param {string} queryToken - Normalized query token
+   * @param {string} word - Normalized word from product text
+   * @returns {number} Match score (0 if no match)
+   */
+  function matchToken(queryToken, word) {
+    if (word === queryToken) return MATCH_SCORES.exact;
+    if (word.startsWith(queryToken)) return MATCH_SCORES.prefix;
+
+    const typos = allowedTypos(queryToken.length);
+    if (typos === 0) return 0;
+
+    // Compare against the whole word ("dise" -> "dice") and against a
+    // same-length prefix for partially typed words ("magnt" -> "magnetic")
+    if (editDistance(queryToken, word, typos) <= typos) return MATCH_SCORES.fuzzy;
+    if (word.length > queryToken.length) {
+      const prefix = word.slice(0, queryToken.length);
+      if (editDistance(queryToken, prefix, typos) <= typos) return MATCH_SCORES.fuzzy;
+    }
+    return 0;
+  }
+
+  /**
+   * Best match score for a query token within a list of words
+   * @param {string} queryToken - Normalized query token
+   * @param {Array<string>} words - Words to search
+   * @returns {number} Best match score
+   */
+  function bestMatch(queryToken, words) {
+    let best = 0;
+    for (const word of words) {
+      best = Math.max(best, matchToken(queryToken, word));
+      if (best === MATCH_SCORES.exact) break;
+    }
+    return best;
+  }
+
+  // =========================================================================
+  // Search
+  // =========================================================================
+
+  /**
+   * Score a product against query tokens
+   * Every query token must match at least one field.
+   *
+   * @param {object} product - Product object
+   * @param {Array<string>} queryTokens - Query tokens
+   * @param {string} phrase - Normalized full query
+   * @returns {number} Score (0 if the product does not match)
+   */
+  function scoreProduct(product, queryTokens, phrase) {
+    const index = getIndex(product);
+    let score = 0;
+
+    for (const token of queryTokens) {
+      let tokenScore = 0;
+      Object.keys(FIELD_WEIGHTS).forEach((field) => {
+        tokenScore = Math.max(
+          tokenScore,
+          bestMatch(token, index[field]) * FIELD_WEIGHTS[field],
+        );
+      });
+
+      if (tokenScore === 0) return 0;
+      score += tokenScore;
+    }
+
+    if (queryTokens.length > 1 && normalize(product.title).includes(phrase)) {
+      score += PHRASE_BONUS;
+    }
+
+    return score;
+  }
+
+  /**
+   * Search products and rank results
+   * @param {Array} products - Products to search
+   * @param {string} query - Search query
+   * @returns {Array<{product: object, score: number}>} Ranked results
+   */
+  function searchProducts(products, query) {
+    const queryTokens = tokenizeQuery(query);
+    if (queryTokens.length === 0) {
+      return products.map((product) => ({ product, score: 0 }));
+    }
+
+    const phrase = normalize(query).trim().replace(/\s+/g, " ");
+
+    return products
+      .map((product, position) => ({
+        product,
+        position,
+        score: scoreProduct(product, queryTokens, phrase),
+      }))
+      .filter((result) => result.score > 0)
+      .sort((a, b) => b.score - a.score || a.position - b.position)
+      .map(({ product, score }) => ({ product, score }));
+  }
+
+  /**
+   * Escape text and wrap words matching the query in <mark>
+   * @param {string} text - Text to highlight
+   * @param {string} query - Search query
+   * @returns {string} Escaped HTML with highlighted matches
+   */
+  function highlight(text, query) {
+    const queryTokens = tokenizeQuery(query);
+    if (!text || queryTokens.length === 0) {
+      return utils.escapeHTML(text);
+    }
+
+    return String(text)
+      .split(WORD_SPLIT_PATTERN)
+      .map((part) => {
+        const word = normalize(part);
+        const isMatch = word && queryTokens.some((token) => matchToken(token, word) > 0);
+        return isMatch
+          ? `<mark class="search-highlight">${utils.escapeHTML(part)}</mark>`
+          : utils.escapeHTML(part);
+      })
+      .join("");
+  }
+
+  // Export to window
+  window.AdditiveArtisanSearch = {
+    searchProducts,
+    highlight,
+    tokenize,
+  };
+})(window);
@@ -7,43 +7,264 @@
   "use strict";
 
   const utils = window.AdditiveArtisanUtils;
+  const i18n = window.AdditiveArtisanI18n;
+  const config = window.AdditiveArtisanConfig?.products || {};
+  const modelViewer = window.AdditiveArtisanModelViewer;
+  const search = window.AdditiveArtisanSearch;
+  const filters = window.AdditiveArtisanFilters;
+  const cart = window.AdditiveArtisanCart;
+  const currency = window.AdditiveArtisanCurrency;
   let allProducts = [];
-  let currentFilter = "all";
+  let viewState = filters.createState();
+  let lastCatalog = null;
+  let diagnostics = null;
+
+  // Seconds a loaded catalog is used without a request (see js/config.js)
+  const CACHE_SECONDS = config.cacheSeconds ?? 300;
+
+  /**
+   * Check that a catalog response has the expected shape
+   * @param {object} data - Parsed catalog response
+   * @returns {boolean} True if the response contains a products array
+   */
+  function isValidCatalog(data) {
+    return (
+      !!data &&
+      typeof data === "object" &&
+      Array.isArray(data.products) &&
+      (data.featured === undefined || Array.isArray(data.featured))
+    );
+  }
+
+  /**
+   * Build the catalog structure returned by loadProducts
+   * Products and featured items are normalized through AdditiveArtisanProductSchema;
+   * invalid records are dropped and reported in the catalog diagnostics.
+   *
+   * @param {object} data - Validated catalog response
+   * @param {string} source - Data source ("airtable" | "local" | "cache")
+   * @returns {object} Catalog with products, featured, metadata and diagnostics
+   */
+  function buildCatalog(data, source) {
+    const metadata = data.metadata || {};
+    const result = window.AdditiveArtisanProductSchema.validateCatalog(data.products);
+    const featured = window.AdditiveArtisanProductSchema.validateFeatured(data.featured);
+    return {
+      products: result.products.filter((p) => p.active),
+      featured: featured.items,
+      metadata: {
+        version: metadata.version || "1.0.0",
+        lastUpdated:
+          metadata.lastUpdated || data.lastUpdated || new Date().toISOString(),
+        source,
+      },
+      diagnostics: { source, ...result.diagnostics, featured: featured.diagnostics },
+    };
+  }
+
+  /**
+   * Fetch a catalog through the API client
+   * Cached on the device: a stale copy is returned at once and onUpdate
+   * receives the fresh catalog if it changed. A cached copy is labelled
+   * source "cache", with metadata.stale set until a fresh copy has loaded.
+   *
+   * @param {string} url - Catalog URL
+   * @param {string} source - Data source ("airtable" | "local")
+   * @param {number} attempts - Maximum attempts
+   * @param {Function} onUpdate - Called with a fresher catalog (optional)
+   * @returns {Promise<object>} Catalog data
+   * @throws {Error} If the catalog is unreachable or invalid
+   */
+  async function fetchCatalog(url, source, attempts, onUpdate) {
+    let cacheHit = null;
+    const caching = CACHE_SECONDS > 0
+      ? {
+          ttl: CACHE_SECONDS,
+          persist: true,
+          staleWhileRevalidate: true,
+          validate: isValidCatalog,
+          onUpdate: (fresh) => onUpdate?.(buildCatalog(fresh, source)),
+          onCacheHit: (hit) => {
+            cacheHit = hit;
+          },
+        }
+      : null;
+
+    const data = await window.AdditiveArtisanAPI.fetchJSON(url, { caching }, attempts);
+    if (!isValidCatalog(data)) {
+      throw new Error(`Invalid catalog response (${source})`);
+    }
+    if (!cacheHit) {
+      return buildCatalog(data, source);
+    }
+
+    const catalog = buildCatalog(data, "cache");
+    catalog.metadata.stale = cacheHit.stale;
+
+    // The server confirmed the saved copy (a changed one arrives through onUpdate)
+    cacheHit.refresh
+      ?.then(() => {
+        catalog.metadata.stale = false;
+        if (lastCatalog === catalog) updateOfflineBanner();
+      })
+      .catch(() => {
+        // Still unreachable - keep showing the saved copy
+      });
+
+    return catalog;
+  }
+
+  /**
+   * Fetch catalog from the Airtable products Worker
+   * @param {Function} onUpdate - Called with a fresher catalog (optional)
+   * @returns {Promise<object>} Catalog data
+   * @throws {Error} If the Worker is unreachable or returns an invalid response
+   */
+  function fetchAirtableCatalog(onUpdate) {
+    return fetchCatalog(config.apiEndpoint, "airtable", config.maxRetries || 2, onUpdate);
+  }
+
+  /**
+   * Fetch catalog from the bundled JSON file
+   * @param {Function} onUpdate - Called with a fresher catalog (optional)
+   * @returns {Promise<object>} Catalog data
+   * @throws {Error} If the file cannot be loaded or is invalid
+   */
+  async function fetchLocalCatalog(onUpdate) {
+    const url = config.fallbackUrl || "data/products.json";
+    if (window.AdditiveArtisanAPI) {
+      return fetchCatalog(url, "local", 1, onUpdate);
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const data = await response.json();
+    if (!isValidCatalog(data)) {
+      throw new Error("Invalid catalog in local JSON");
+    }
+    return buildCatalog(data, "local");
+  }
+
+  /**
+   * Make a catalog the current one
+   * @param {object} data - Catalog from buildCatalog
+   */
+  function setCatalog(data) {
+    lastCatalog = data;
+    allProducts = data.products;
+    diagnostics = data.diagnostics;
+    updateOfflineBanner();
+  }
+
+  /**
+   * Show when the catalog is a saved copy
+   * While offline the catalog comes from this device (the API cache or the
+   * service worker), so it may be out of date. A cached copy that is still
+   * fresh, or that the server has since confirmed, isn't flagged.
+   */
+  function updateOfflineBanner() {
+    const banner = document.getElementById("catalog-offline-banner");
+    if (!banner) return;
+
+    const metadata = lastCatalog?.metadata;
+    const saved = Boolean(metadata)
+      && (navigator.onLine === false || (metadata.source === "cache" && metadata.stale !== false));
+    banner.textContent = saved
+      ? i18n.t("products.savedCatalog", { date: utils.formatDate(lastCatalog.metadata.lastUpdated) })
+      : "";
+    banner.classList.toggle("hidden", !saved);
+  }
+
+  /**
+   * Back online: hide the banner, or load the catalog if none could be loaded offline
+   */
+  function handleOnline() {
+    if (allProducts.length > 0) {
+      updateOfflineBanner();
+    } else {
+      initProducts();
+    }
+  }
 
   /**
    * Load products from data source
-   * @returns {Promise<Array>} Array of products
+   * Tries the Airtable products Worker first, then the local JSON file,
+   * then the last catalog loaded this session. A catalog cached on the
+   * device may be returned while a fresh one loads (see fetchCatalog).
+   *
+   * @param {object} options - Load options (optional)
+   * @param {Function} options.onUpdate - Called with the fresh catalog once it
+   *   arrives, if it differs from the cached one returned
+   * @returns {Promise<object>} Catalog with products, featured and metadata
+   *   (metadata.source "none" and no products if nothing could be loaded)
    */
-  async function loadProducts() {
-    try {
-      // For now, load from JSON file
-      // Later: add Airtable integration with fallback
-      const response = await fetch("data/products.json");
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+  async function loadProducts(options = {}) {
+    let data = null;
+
+    if (config.useAirtable !== false && config.apiEndpoint && window.AdditiveArtisanAPI) {
+      try {
+        data = await fetchAirtableCatalog(options.onUpdate);
+      } catch (error) {
+        // Fall through to local JSON
       }
-      const data = await response.json();
-      allProducts = data.products.filter((p) => p.active);
-      return data;
-    } catch (error) {
-      // Return default empty structure
+    }
+
+    if (!data) {
+      try {
+        data = await fetchLocalCatalog(options.onUpdate);
+      } catch (error) {
+        // Fall through to cached catalog
+      }
+    }
+
+    if (!data && lastCatalog) {
+      data = {
+        ...lastCatalog,
+        metadata: { ...lastCatalog.metadata, source: "cache", stale: true },
+      };
+    }
+
+    if (!data) {
+      // Nothing loaded: empty structure, with a source callers can tell apart
       return {
         products: [],
         featured: [],
-        metadata: { version: "1.0.0", lastUpdated: new Date().toISOString() },
+        metadata: {
+          version: "1.0.0",
+          lastUpdated: new Date().toISOString(),
+          source: "none",
+        },
       };
     }
+
+    setCatalog(data);
+    return data;
   }
 
   /**
    * Create product card HTML
    * @param {object} product - Product object
+   * @param {string} query - Search query to highlight (optional)
    * @returns {string} HTML string
    */
-  function createProductCardHTML(product) {
-    const imageHTML = product.imageUrl
-      ? `<img src="${product.imageUrl}" alt="${utils.escapeHTML(product.title)}" loading="lazy" />`
-      : `<div class="model-viewer-placeholder"><span>3D Preview</span></div>`;
+  function createProductCardHTML(product, query = "") {
+    const titleHTML = query && search
+      ? search.highlight(product.title, query)
+      : utils.escapeHTML(product.title);
+    const descriptionHTML = query && search
+      ? search.highlight(product.description, query)
+      : utils.escapeHTML(product.description);
+
+    let imageHTML;
+    if (product.modelUrl && modelViewer) {
+      imageHTML = modelViewer.createViewerSlotHTML(product, product.imageUrl);
+    } else if (product.imageUrl) {
+      imageHTML = `<img src="${product.imageUrl}" alt="${utils.escapeAttribute(product.title)}" loading="lazy" />`;
+    } else {
+      imageHTML = `<div class="model-viewer-placeholder"><span>${i18n.t("products.preview3d")}</span></div>`;
+    }
 
     return `
       <article class="product-card" data-category="${product.category}" data-id="${product.id}">
@@ -51,22 +272,150 @@
           ${imageHTML}
         </div>
         <div class="product-info">
-          <h3 class="product-title">${utils.escapeHTML(product.title)}</h3>
-          <p class="product-description">${utils.escapeHTML(product.description)}</p>
+          <h3 class="product-title">
+            <a href="#product/${product.id}" class="product-link">${titleHTML}</a>
+          </h3>
+          <p class="product-description">${descriptionHTML}</p>
           <div class="product-footer">
             <span class="product-price">${utils.formatPrice(product.price)}</span>
+            <div class="product-actions">
+              ${cart ? cart.createAddButtonHTML(product) : ""}
+              <a href="${product.etsyUrl}"
+                 class="btn btn--secondary"
+                 target="_blank"
+                 rel="noopener noreferrer">
+                ${i18n.t("products.orderOnEtsy")}
+              </a>
+            </div>
+          </div>
+        </div>
+      </article>
+    `;
+  }
+
+  /**
+   * Get gallery images for a product (primary image first)
+   * @param {object} product - Product object
+   * @returns {Array<string>} Image URLs
+   */
+  function getGalleryImages(product) {
+    const images = [product.imageUrl, ...(product.images || [])].filter(Boolean);
+    return [...new Set(images)];
+  }
+
+  /**
+   * Create product detail HTML
+   * @param {object} product - Product object
+   * @returns {string} HTML string
+   */
+  function createProductDetailHTML(product) {
+    const title = utils.escapeHTML(product.title);
+    const images = getGalleryImages(product);
+
+    const hasModel = Boolean(product.modelUrl && modelViewer);
+
+    // The 3D viewer (with the first image as its poster) takes the main image's
+    // place; the images are then shown from the thumbnails
+    const modelHTML = hasModel
+      ? `<div class="product-detail-media product-detail-model">
+          ${modelViewer.createViewerSlotHTML(product, images[0])}
+        </div>`
+      : "";
+
+    let mediaHTML = "";
+    if (images.length) {
+      mediaHTML = `<div class="product-detail-media product-detail-image${hasModel ? " hidden" : ""}">
+          <img src="${images[0]}" alt="${utils.escapeAttribute(product.title)}" class="product-detail-main-image" />
+        </div>`;
+    } else if (!hasModel) {
+      mediaHTML = `<div class="product-detail-media">
+          <div class="model-viewer-placeholder"><span>${i18n.t("products.preview3d")}</span></div>
+        </div>`;
+    }
+
+    const modelThumbnailHTML = hasModel
+      ? `
+              <button type="button"
+                      class="product-detail-thumbnail product-detail-thumbnail--model active"
+                      data-model
+                      aria-pressed="true">
+                ${i18n.t("products.preview3d")}
+              </button>`
+      : "";
+
+    const thumbnailsHTML =
+      images.length > (hasModel ? 0 : 1)
+        ? `<div class="product-detail-thumbnails">
+            ${modelThumbnailHTML}
+            ${images
+              .map(
+                (url, index) => `
+              <button type="button"
+                      class="product-detail-thumbnail${index === 0 && !hasModel ? " active" : ""}"
+                      data-image="${url}"
+                      aria-label="${i18n.t("products.showImage", { index: index + 1, total: images.length })}"
+                      aria-pressed="${index === 0 && !hasModel}">
+                <img src="${url}" alt="" loading="lazy" />
+              </button>`,
+              )
+              .join("")}
+          </div>`
+        : "";
+
+    const tagsHTML = product.tags && product.tags.length
+      ? `<ul class="product-detail-tags" aria-label="${i18n.t("products.tags")}">
+          ${product.tags.map((tag) => `<li class="product-tag">${utils.escapeHTML(tag)}</li>`).join("")}
+        </ul>`
+      : "";
+
+    return `
+      <article class="product-detail" data-id="${product.id}">
+        <div class="product-detail-gallery">
+          ${modelHTML}
+          ${mediaHTML}
+          ${thumbnailsHTML}
+        </div>
+        <div class="product-detail-info">
+          <p class="product-detail-category">${utils.escapeHTML(getCategoryName(product.category))}</p>
+          <h1 class="product-detail-title">${title}</h1>
+          <p class="product-detail-price">${utils.formatPrice(product.price)}</p>
+          <p class="product-detail-price-note">${currency ? currency.getApproximateNote() : ""}</p>
+          <p class="product-detail-description">${utils.escapeHTML(product.description)}</p>
+          ${tagsHTML}
+          <div class="product-detail-actions">
             <a href="${product.etsyUrl}"
-               class="btn btn--secondary"
+               class="btn btn--primary"
                target="_blank"
                rel="noopener noreferrer">
-              Order on Etsy
+              ${i18n.t("products.orderOnEtsy")}
             </a>
+            ${cart ? cart.createAddButtonHTML(product, "btn btn--secondary") : ""}
+            ${cart ? cart.createSaveButtonHTML(product) : ""}
           </div>
         </div>
       </article>
     `;
   }
 
+  /**
+   * Create product not-found HTML
+   * @returns {string} HTML string
+   */
+  function createProductNotFoundHTML() {
+    return `
+      <div class="product-detail-not-found">
+        <span class="mascot-emoji" aria-hidden="true">🐱</span>
+        <h1 class="section-title">${i18n.t("products.notFound.title")}</h1>
+        <p class="section-subtitle">
+          ${i18n.t("products.notFound.message")}
+        </p>
+        <a href="#products" class="btn btn--primary" data-section="products">
+          ${i18n.t("products.notFound.browse")}
+        </a>
+      </div>
+    `;
+  }
+
   /**
    * Create featured card HTML
    * @param {object} item - Featured item object
@@ -74,7 +423,7 @@
    */
   function createFeaturedCardHTML(item) {
     const imageHTML = item.imageUrl
-      ? `<img src="${item.imageUrl}" alt="${utils.escapeHTML(item.title)}" loading="lazy" />`
+      ? `<img src="${item.imageUrl}" alt="${utils.escapeAttribute(item.title)}" loading="lazy" />`
       : `<span>${utils.escapeHTML(item.title)}</span>`;
 
     return `
@@ -91,19 +440,29 @@
   /**
    * Render products to grid
    * @param {Array} products - Array of product objects
-   * @param {string} filter - Category filter
+   * @param {string|Array<string>} filter - Category filter ("all", a category, or a list)
+   * @param {object} options - Render options (optional)
+   * @param {string} options.query - Search query to highlight in cards
+   * @param {string} options.emptyMessage - Message shown when nothing matches
+   * @returns {number} Number of products rendered
    */
-  function renderProducts(products, filter = "all") {
+  function renderProducts(products, filter = "all", options = {}) {
+    const query = options.query || "";
     const container = document.getElementById("product-grid");
     if (!container) {
-      return;
+      return 0;
     }
 
     // Filter products
+    const categories = Array.isArray(filter)
+      ? filter
+      : filter === "all"
+        ? []
+        : [filter];
     const filteredProducts =
-      filter === "all"
+      categories.length === 0
         ? products
-        : products.filter((p) => p.category === filter);
+        : products.filter((p) => categories.includes(p.category));
 
     // Clear container
     container.innerHTML = "";
@@ -114,18 +473,157 @@
 
     // Add products to fragment
     filteredProducts.forEach((product) => {
-      tempDiv.innerHTML = createProductCardHTML(product);
+      tempDiv.innerHTML = createProductCardHTML(product, query);
       fragment.appendChild(tempDiv.firstElementChild);
     });
 
     // Add fragment to container
     container.appendChild(fragment);
 
+    // Show empty state when a search or filter matches nothing
+    if (filteredProducts.length === 0 && options.emptyMessage) {
+      utils.showError("product-grid", options.emptyMessage);
+    }
+
+    // Load 3D models as cards scroll into view
+    if (modelViewer) {
+      modelViewer.observe(container);
+    }
+
     // Store current filter
-    currentFilter = filter;
+    viewState.categories = [...categories];
 
     // Update filter buttons
-    updateFilterButtons(filter);
+    updateFilterButtons(categories);
+
+    return filteredProducts.length;
+  }
+
+  /**
+   * Get the message shown when the current view matches nothing
+   * @returns {string} Empty state message
+   */
+  function getEmptyMessage() {
+    if (viewState.query) {
+      return i18n.t("products.noSearchResults", { query: viewState.query });
+    }
+    return i18n.t("products.noFilterResults");
+  }
+
+  /**
+   * Re-render the grid from the current search, facets and sort
+   * Search results keep their ranking unless another sort is chosen.
+   */
+  function updateProductGrid() {
+    let products = viewState.query && search
+      ? search.searchProducts(allProducts, viewState.query).map((result) => result.product)
+      : allProducts;
+
+    products = filters.sortProducts(filters.applyFacets(products, viewState), filters.getSort(viewState));
+
+    // Only the current page is rendered, keeping the DOM bounded
+    const pageSize = config.pageSize || 12;
+    const totalPages = Math.max(1, Math.ceil(products.length / pageSize));
+    viewState.page = Math.min(Math.max(1, viewState.page || 1), totalPages);
+    const start = (viewState.page - 1) * pageSize;
+
+    renderProducts(products.slice(start, start + pageSize), viewState.categories, {
+      query: viewState.query,
+      emptyMessage: getEmptyMessage(),
+    });
+
+    renderPagination(totalPages);
+    updateSearchStatus(products.length);
+    updateFacetControls();
+    syncURL();
+  }
+
+  /**
+   * Get page numbers to show in the pager, with null marking a gap
+   * e.g., page 6 of 12 -> [1, null, 5, 6, 7, null, 12]
+   *
+   * @param {number} page - Current page
+   * @param {number} totalPages - Total pages
+   * @returns {Array<number|null>} Page numbers and gaps
+   */
+  function getPageNumbers(page, totalPages) {
+    const pages = [];
+    for (let i = 1; i <= totalPages; i++) {
+      if (i === 1 || i === totalPages || Math.abs(i - page) <= 1) {
+        pages.push(i);
+      } else if (pages[pages.length - 1] !== null) {
+        pages.push(null);
+      }
+    }
+    return pages;
+  }
+
+  /**
+   * Render pager below the product grid
+   * @param {number} totalPages - Total pages
+   */
+  function renderPagination(totalPages) {
+    const pager = document.getElementById("product-pagination");
+    if (!pager) return;
+
+    if (totalPages <= 1) {
+      pager.innerHTML = "";
+      pager.classList.add("hidden");
+      return;
+    }
+
+    const page = viewState.page;
+    const pageButtons = getPageNumbers(page, totalPages)
+      .map((number) =>
+        number === null
+          ? `<span class="pagination-gap" aria-hidden="true">&hellip;</span>`
+          : `<button type="button"
+                     class="pagination-btn${number === page ? " active" : ""}"
+                     data-page="${number}"
+                     aria-label="${i18n.t("pagination.page", { page: number })}"
+                     ${number === page ? 'aria-current="page"' : ""}>${number}</button>`,
+      )
+      .join("");
+
+    pager.innerHTML = `
+      <button type="button" class="pagination-btn" data-page="${page - 1}"
+              aria-label="${i18n.t("pagination.previous")}" ${page === 1 ? "disabled" : ""}>&larr;</button>
+      ${pageButtons}
+      <button type="button" class="pagination-btn" data-page="${page + 1}"
+              aria-label="${i18n.t("pagination.next")}" ${page === totalPages ? "disabled" : ""}>&rarr;</button>
+    `;
+    pager.classList.remove("hidden");
+  }
+
+  /**
+   * Handle pager button click
+   * @param {Event} e - Click event
+   */
+  function handlePaginationClick(e) {
+    const button = e.target.closest(".pagination-btn");
+    if (!button || button.disabled) return;
+
+    setFilterState({ page: Number(button.dataset.page) });
+
+    // Bring the top of the grid back into view
+    const grid = document.getElementById("product-grid");
+    if (grid) {
+      grid.scrollIntoView({ block: "start", behavior: "smooth" });
+    }
+  }
+
+  /**
+   * Reflect the current view state in the URL query (shareable links)
+   * Uses replaceState so filter tweaks don't flood the back button.
+   */
+  function syncURL() {
+    if (!history.replaceState) return;
+
+    const queryString = filters.buildURLSearch(viewState, window.location.search);
+    if (queryString !== window.location.search) {
+      const url = `${window.location.pathname}${queryString}${window.location.hash}`;
+      history.replaceState(history.state, "", url);
+    }
   }
 
   /**
@@ -155,23 +653,156 @@
     container.appendChild(fragment);
   }
 
+  /**
+   * Render product detail view
+   * Shows a not-found state for unknown or inactive product IDs
+   *
+   * @param {string} productId - Product ID
+   * @returns {object|null} Rendered product, or null if not found
+   */
+  function renderProductDetail(productId) {
+    const container = document.getElementById("product-detail-content");
+    if (!container) {
+      return null;
+    }
+
+    const product = getProductById(productId);
+    container.innerHTML = product
+      ? createProductDetailHTML(product)
+      : createProductNotFoundHTML();
+
+    if (product && modelViewer) {
+      modelViewer.observe(container);
+    }
+
+    return product;
+  }
+
+  /**
+   * Update displayed prices after the visitor picks another currency
+   */
+  function handleCurrencyChange() {
+    updateProductGrid();
+
+    // Update the open detail view in place (keeps any loaded 3D viewer)
+    const detail = document.querySelector("#product-detail-content .product-detail");
+    const product = detail ? getProductById(detail.dataset.id) : null;
+    if (product) {
+      detail.querySelector(".product-detail-price").textContent = utils.formatPrice(product.price);
+      detail.querySelector(".product-detail-price-note").textContent = currency.getApproximateNote();
+    }
+  }
+
+  /**
+   * Re-render generated controls and product content in the new language
+   * Static text is translated by AdditiveArtisanI18n.translatePage().
+   */
+  function handleLanguageChange() {
+    if (document.querySelector(".product-filters")) {
+      generateFilters();
+    }
+
+    const sortSelect = document.getElementById("product-sort");
+    if (sortSelect) {
+      generateSortOptions(sortSelect);
+    }
+
+    updatePriceLegend();
+    updateProductGrid();
+    updateOfflineBanner();
+
+    const detail = document.querySelector("#product-detail-content > *");
+    if (detail) {
+      renderProductDetail(detail.dataset.id || "");
+    }
+  }
+
+  /**
+   * Show a fresh catalog that arrived after the cached one was rendered
+   * Filters, grid, featured items and an open product are rebuilt; the
+   * visitor's search, filters and page are kept.
+   *
+   * @param {object} data - Catalog from buildCatalog
+   */
+  function handleCatalogUpdate(data) {
+    setCatalog(data);
+
+    generateFilters();
+    generateTagFilters();
+    updateProductGrid();
+    renderFeatured(data.featured);
+
+    const detail = document.querySelector("#product-detail-content > *");
+    if (detail) {
+      renderProductDetail(detail.dataset.id || "");
+    }
+  }
+
+  /**
+   * Handle gallery thumbnail click in product detail view
+   * @param {Event} e - Click event
+   */
+  function handleGalleryClick(e) {
+    const thumbnail = e.target.closest(".product-detail-thumbnail");
+    if (!thumbnail) return;
+
+    const detail = thumbnail.closest(".product-detail");
+    const showModel = thumbnail.hasAttribute("data-model");
+    const mainImage = detail?.querySelector(".product-detail-main-image");
+    if (mainImage && !showModel) {
+      mainImage.src = thumbnail.dataset.image;
+    }
+
+    // Products with a 3D model switch between the viewer and the image
+    detail.querySelector(".product-detail-model")?.classList.toggle("hidden", !showModel);
+    detail.querySelector(".product-detail-image")?.classList.toggle("hidden", showModel);
+
+    detail.querySelectorAll(".product-detail-thumbnail").forEach((btn) => {
+      const isActive = btn === thumbnail;
+      btn.classList.toggle("active", isActive);
+      btn.setAttribute("aria-pressed", isActive);
+    });
+  }
+
+  /**
+   * Initialize product detail view
+   */
+  function initProductDetail() {
+    const container = document.getElementById("product-detail-content");
+    if (container) {
+      container.addEventListener("click", handleGalleryClick);
+    }
+  }
+
   /**
    * Update filter button active states
-   * @param {string} filter - Active filter
+   * @param {Array<string>} categories - Selected categories (empty = all)
    */
-  function updateFilterButtons(filter) {
+  function updateFilterButtons(categories) {
     const filterButtons = document.querySelectorAll(".filter-btn");
     filterButtons.forEach((btn) => {
-      if (btn.dataset.filter === filter) {
-        btn.classList.add("active");
-      } else {
-        btn.classList.remove("active");
-      }
+      const isActive =
+        btn.dataset.filter === "all"
+          ? categories.length === 0
+          : categories.includes(btn.dataset.filter);
+      btn.classList.toggle("active", isActive);
+      btn.setAttribute("aria-pressed", isActive);
+    });
+  }
+
+  /**
+   * Animate cards in after a filter change
+   */
+  function animateCards() {
+    const cards = document.querySelectorAll(".product-card");
+    cards.forEach((card, index) => {
+      card.style.animation = `fadeIn 0.3s ease ${index * 0.05}s both`;
     });
   }
 
   /**
    * Handle filter button click
+   * "All" clears the selection; category buttons toggle (multi-select)
    * @param {Event} e - Click event
    */
   function handleFilterClick(e) {
@@ -179,26 +810,45 @@
     if (!button || !button.dataset.filter) return;
 
     const filter = button.dataset.filter;
-    renderProducts(allProducts, filter);
-
-    // Add fade-in animation to cards
-    const cards = document.querySelectorAll(".product-card");
-    cards.forEach((card, index) => {
-      card.style.animation = `fadeIn 0.3s ease ${index * 0.05}s both`;
+    setFilterState({
+      categories: filter === "all" ? [] : toggleValue(viewState.categories, filter),
     });
+    animateCards();
   }
 
   /**
-   * Category display names mapping
+   * Handle tag chip click (tags combine - products must have every selected tag)
+   * @param {Event} e - Click event
    */
-  const categoryNames = {
-    mtg: "MTG",
-    props: "Props & Signs",
-    accessories: "Accessories",
-    dice: "Dice & Tokens",
-    storage: "Storage",
-    custom: "Custom Orders",
-  };
+  function handleTagClick(e) {
+    const button = e.target.closest(".tag-filter-btn");
+    if (!button || !button.dataset.tag) return;
+
+    setFilterState({ tags: toggleValue(viewState.tags, button.dataset.tag) });
+    animateCards();
+  }
+
+  /**
+   * Add or remove a value from a list
+   * @param {Array<string>} list - Current list
+   * @param {string} value - Value to toggle
+   * @returns {Array<string>} New list
+   */
+  function toggleValue(list, value) {
+    return list.includes(value)
+      ? list.filter((item) => item !== value)
+      : [...list, value];
+  }
+
+  /**
+   * Category slugs with translated display names (categories.<slug> messages)
+   */
+  const KNOWN_CATEGORIES = ["mtg", "props", "accessories", "dice", "storage", "custom"];
+
+  /**
+   * Display names set through setCategoryName (used in every language)
+   */
+  const customCategoryNames = {};
 
   /**
    * Generate filter buttons from product categories
@@ -215,21 +865,135 @@
 
     // Create "All" button
     const allButton = document.createElement("button");
+    allButton.type = "button";
     allButton.className = "filter-btn active";
     allButton.dataset.filter = "all";
-    allButton.textContent = "All";
+    allButton.textContent = i18n.t("products.filterAll");
     filterContainer.appendChild(allButton);
 
     // Create category buttons
     categories.forEach((category) => {
       const button = document.createElement("button");
+      button.type = "button";
       button.className = "filter-btn";
       button.dataset.filter = category;
-      button.textContent = categoryNames[category] || category.charAt(0).toUpperCase() + category.slice(1);
+      button.textContent = getCategoryName(category);
       filterContainer.appendChild(button);
     });
   }
 
+  /**
+   * Generate tag chips from product tags (most used first)
+   * Selected tags are always shown, even beyond the configured limit.
+   */
+  function generateTagFilters() {
+    const tagContainer = document.querySelector(".product-tag-filters");
+    if (!tagContainer) return;
+
+    const limit = config.maxTagFilters || 12;
+    const tags = filters
+      .getTagCounts(allProducts)
+      .map(({ tag }) => tag)
+      .filter((tag, index) => index < limit || viewState.tags.includes(tag));
+
+    tagContainer.innerHTML = "";
+
+    tags.forEach((tag) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "tag-filter-btn";
+      button.dataset.tag = tag;
+      button.textContent = `#${tag}`;
+      tagContainer.appendChild(button);
+    });
+  }
+
+  /**
+   * Populate the sort dropdown
+   * @param {HTMLSelectElement} select - Sort select element
+   */
+  function generateSortOptions(select) {
+    select.innerHTML = "";
+    Object.entries(filters.SORT_OPTIONS).forEach(([value, labelKey]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = i18n.t(labelKey);
+      select.appendChild(option);
+    });
+  }
+
+  /**
+   * Sync facet controls (tag chips, sort, price inputs, clear button) with state
+   */
+  function updateFacetControls() {
+    document.querySelectorAll(".tag-filter-btn").forEach((btn) => {
+      const isActive = viewState.tags.includes(btn.dataset.tag);
+      btn.classList.toggle("active", isActive);
+      btn.setAttribute("aria-pressed", isActive);
+    });
+
+    const sortSelect = document.getElementById("product-sort");
+    if (sortSelect) {
+      // "Best match" is only offered while searching
+      const relevanceOption = sortSelect.querySelector('option[value="relevance"]');
+      if (relevanceOption) {
+        relevanceOption.hidden = !viewState.query;
+        relevanceOption.disabled = !viewState.query;
+      }
+      sortSelect.value = filters.getSort(viewState);
+    }
+
+    const searchInput = document.getElementById("product-search");
+    if (searchInput && document.activeElement !== searchInput) {
+      searchInput.value = viewState.query;
+    }
+
+    const minInput = document.getElementById("price-min");
+    const maxInput = document.getElementById("price-max");
+    if (minInput && document.activeElement !== minInput) {
+      minInput.value = viewState.minPrice ?? "";
+    }
+    if (maxInput && document.activeElement !== maxInput) {
+      maxInput.value = viewState.maxPrice ?? "";
+    }
+
+    const clearButton = document.getElementById("clear-filters");
+    if (clearButton) {
+      clearButton.classList.toggle("hidden", !filters.hasActiveFacets(viewState));
+    }
+  }
+
+  /**
+   * Label the price range with the catalog currency
+   * Price bounds are in the catalog currency, even when showing converted prices.
+   */
+  function updatePriceLegend() {
+    const priceLegend = document.querySelector(".price-range legend");
+    if (priceLegend && currency) {
+      priceLegend.textContent = i18n.t("products.priceIn", { currency: currency.getBaseCurrency() });
+    }
+  }
+
+  /**
+   * Clear categories, tags and price range (keeps search and sort)
+   */
+  function clearFilters() {
+    setFilterState({ categories: [], tags: [], minPrice: null, maxPrice: null });
+  }
+
+  /**
+   * Restore filter state from the URL, dropping unknown categories and tags
+   */
+  function restoreStateFromURL() {
+    const restored = filters.readStateFromURL(window.location.search);
+    const categories = new Set(allProducts.map((p) => p.category));
+    const tags = new Set(allProducts.flatMap((p) => p.tags || []));
+
+    restored.categories = restored.categories.filter((c) => categories.has(c));
+    restored.tags = restored.tags.filter((t) => tags.has(t));
+    viewState = restored;
+  }
+
   /**
    * Initialize product filtering
    */
@@ -242,6 +1006,93 @@
       // Add click listener
       filterContainer.addEventListener("click", handleFilterClick);
     }
+
+    const tagContainer = document.querySelector(".product-tag-filters");
+    if (tagContainer) {
+      generateTagFilters();
+      tagContainer.addEventListener("click", handleTagClick);
+    }
+
+    const sortSelect = document.getElementById("product-sort");
+    if (sortSelect) {
+      generateSortOptions(sortSelect);
+      sortSelect.addEventListener("change", () => {
+        setFilterState({ sort: sortSelect.value });
+      });
+    }
+
+    const handlePriceInput = utils.debounce(() => {
+      setFilterState({
+        minPrice: filters.parsePrice(document.getElementById("price-min")?.value),
+        maxPrice: filters.parsePrice(document.getElementById("price-max")?.value),
+      });
+    }, 300);
+
+    ["price-min", "price-max"].forEach((id) => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.addEventListener("input", handlePriceInput);
+      }
+    });
+
+    const clearButton = document.getElementById("clear-filters");
+    if (clearButton) {
+      clearButton.addEventListener("click", clearFilters);
+    }
+
+    const pager = document.getElementById("product-pagination");
+    if (pager) {
+      pager.addEventListener("click", handlePaginationClick);
+    }
+
+    updatePriceLegend();
+
+    window.addEventListener("additiveartisan:currencychange", handleCurrencyChange);
+    window.addEventListener("additiveartisan:languagechange", handleLanguageChange);
+  }
+
+  /**
+   * Update search result status for screen readers and sighted users
+   * @param {number} count - Number of visible products
+   */
+  function updateSearchStatus(count) {
+    const status = document.getElementById("product-search-status");
+    if (!status) return;
+
+    if (!viewState.query) {
+      status.textContent = "";
+      return;
+    }
+
+    status.textContent = i18n.t("products.searchResults", { count, query: viewState.query });
+  }
+
+  /**
+   * Set the search query and re-render the grid
+   * @param {string} query - Search query (empty string clears the search)
+   */
+  function setSearchQuery(query) {
+    setFilterState({ query: (query || "").trim() });
+  }
+
+  /**
+   * Initialize product search box
+   */
+  function initSearch() {
+    const input = document.getElementById("product-search");
+    if (!input || !search) return;
+
+    const debouncedSearch = utils.debounce(setSearchQuery, 200);
+
+    input.addEventListener("input", (e) => debouncedSearch(e.target.value));
+
+    // Escape clears the search
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && input.value) {
+        input.value = "";
+        setSearchQuery("");
+      }
+    });
   }
 
   /**
@@ -249,26 +1100,39 @@
    */
   async function initProducts() {
     try {
+      initProductDetail();
+
+      // Saved catalog banner (listeners are named, so a second call doesn't add more)
+      window.addEventListener("online", handleOnline);
+      window.addEventListener("offline", updateOfflineBanner);
+
       // Show loading state
       utils.showLoading("product-grid");
       utils.showLoading("featured-grid");
 
-      // Load data
-      const data = await loadProducts();
+      // Load data (a cached catalog renders at once and is replaced when fresh data arrives)
+      const data = await loadProducts({ onUpdate: handleCatalogUpdate });
 
-      // Check if we have products
+      // Check if we have products (a failed load isn't an empty shop)
       if (!data.products || data.products.length === 0) {
-        utils.showError("product-grid", "No products available at this time.");
+        utils.showError(
+          "product-grid",
+          data.metadata.source === "none" ? i18n.t("products.loadError") : i18n.t("products.noProducts"),
+        );
         utils.showError("featured-grid", "");
         return false;
       }
 
-      // Render products and featured items
-      renderProducts(data.products, "all");
-      renderFeatured(data.featured);
+      // Restore shared filters from the URL (e.g., ?category=mtg&sort=price-asc)
+      restoreStateFromURL();
 
-      // Initialize filters
+      // Initialize filters and search
       initFilters();
+      initSearch();
+
+      // Render products (current page) and featured items
+      updateProductGrid();
+      renderFeatured(data.featured);
 
       return true;
     } catch (error) {
@@ -278,6 +1142,50 @@
     }
   }
 
+  /**
+   * Get a single active product by ID
+   * @param {string} productId - Product ID
+   * @returns {object|null} Product, or null if unknown or inactive
+   */
+  function getProductById(productId) {
+    return allProducts.find((p) => p.id === productId) || null;
+  }
+
+  /**
+   * Get category display name
+   * @param {string} category - Category slug
+   * @returns {string} Display name
+   */
+  function getCategoryName(category) {
+    if (customCategoryNames[category]) {
+      return customCategoryNames[category];
+    }
+
+    const key = `categories.${category}`;
+    return i18n.has(key) ? i18n.t(key) : category.charAt(0).toUpperCase() + category.slice(1);
+  }
+
+  /**
+   * Get currently active category filter
+   * @returns {string|Array<string>} "all", a single category, or a list of categories
+   */
+  function getCurrentFilter() {
+    if (viewState.categories.length === 0) return "all";
+    if (viewState.categories.length === 1) return viewState.categories[0];
+    return [...viewState.categories];
+  }
+
+  /**
+   * Update filter state and re-render the grid
+   * Returns to the first page unless a page is given.
+   *
+   * @param {object} changes - Partial state: categories, tags, minPrice, maxPrice, sort, query, page
+   */
+  function setFilterState(changes) {
+    viewState = { ...viewState, page: 1, ...changes };
+    updateProductGrid();
+  }
+
   /**
    * Get products by category
    * @param {string} category - Category to filter
@@ -304,15 +1212,16 @@
    * @param {string} displayName - Display name for the category
    */
   function setCategoryName(category, displayName) {
-    categoryNames[category] = displayName;
+    customCategoryNames[category] = displayName;
   }
 
   /**
-   * Get all category names
+   * Get all category names in the current language
    * @returns {object} Category names mapping
    */
   function getCategoryNames() {
-    return { ...categoryNames };
+    const categories = new Set([...KNOWN_CATEGORIES, ...Object.keys(customCategoryNames)]);
+    return Object.fromEntries([...categories].map((category) => [category, getCategoryName(category)]));
   }
 
   // Export functions to window
@@ -321,10 +1230,18 @@
     loadProducts,
     renderProducts,
     renderFeatured,
+    renderProductDetail,
+    getProductById,
     getProductsByCategory,
     getFeaturedProducts,
     getAllProducts: () => allProducts,
-    getCurrentFilter: () => currentFilter,
+    getCurrentFilter,
+    getFilterState: () => ({ ...viewState }),
+    setFilterState,
+    setSearchQuery,
+    getSearchQuery: () => viewState.query,
+    getMetadata: () => (lastCatalog ? { ...lastCatalog.metadata } : null),
+    getDiagnostics: () => diagnostics,
     setCategoryName,
     getCategoryNames,
   };
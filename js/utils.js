@@ -6,13 +6,21 @@
 (function (window) {
   "use strict";
 
+  const i18n = window.AdditiveArtisanI18n;
+
   const utils = {
     /**
-     * Format price as USD currency
-     * @param {number} amount - Price amount
-     * @returns {string} Formatted price (e.g., "$15.00")
+     * Format price in the visitor's currency and locale
+     * Delegates to AdditiveArtisanCurrency; plain USD if it is not loaded.
+     *
+     * @param {number} amount - Price amount (in the catalog's base currency)
+     * @param {object} options - Format options (optional, see AdditiveArtisanCurrency.formatPrice)
+     * @returns {string} Formatted price (e.g., "$15.00", "≈ 13,80 €")
      */
-    formatPrice(amount) {
+    formatPrice(amount, options) {
+      if (window.AdditiveArtisanCurrency) {
+        return window.AdditiveArtisanCurrency.formatPrice(amount, options);
+      }
       if (typeof amount !== "number" || isNaN(amount)) {
         return "$0.00";
       }
@@ -31,6 +39,16 @@
       return div.innerHTML;
     },
 
+    /**
+     * Escape text for a quoted HTML attribute value
+     * Like escapeHTML, but also escapes quotes (e.g. the inch mark in '6" Dice Tower').
+     * @param {string} str - String to escape
+     * @returns {string} Escaped string
+     */
+    escapeAttribute(str) {
+      return this.escapeHTML(str).replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+    },
+
     /**
      * Validate URL format
      * @param {string} url - URL to validate
@@ -47,19 +65,19 @@
     },
 
     /**
-     * Format date to readable string
+     * Format date to readable string in the visitor's locale
      * @param {string} dateString - ISO date string
-     * @returns {string} Formatted date (e.g., "December 9, 2024")
+     * @param {object} options - Intl.DateTimeFormat options (default: long date)
+     * @returns {string} Formatted date (e.g., "December 9, 2024", "9. Dezember 2024")
      */
-    formatDate(dateString) {
+    formatDate(dateString, options = { year: "numeric", month: "long", day: "numeric" }) {
+      if (window.AdditiveArtisanCurrency) {
+        return window.AdditiveArtisanCurrency.formatDate(dateString, options);
+      }
       if (!dateString) return "";
       try {
         const date = new Date(dateString);
-        return date.toLocaleDateString("en-US", {
-          year: "numeric",
-          month: "long",
-          day: "numeric",
-        });
+        return date.toLocaleDateString("en-US", options);
       } catch (e) {
         return "";
       }
@@ -110,7 +128,7 @@
         container.innerHTML = `
           <div class="loading-state" style="text-align: center; padding: 3rem;">
             <div class="loading-spinner" style="margin: 0 auto 1rem;"></div>
-            <p style="color: var(--color-text-muted);">Loading products...</p>
+            <p style="color: var(--color-text-muted);">${this.escapeHTML(i18n.t("products.loading"))}</p>
           </div>
         `;
       }
@@ -119,9 +137,9 @@
     /**
      * Show error message
      * @param {string} containerId - ID of container element
-     * @param {string} message - Error message to display
+     * @param {string} message - Error message to display (default: products load error)
      */
-    showError(containerId, message = "Unable to load products. Please try again later.") {
+    showError(containerId, message = i18n.t("products.loadError")) {
       const container = document.getElementById(containerId);
       if (container) {
         container.innerHTML = `
@@ -147,13 +165,8 @@
      * @returns {string} Display name
      */
     getCategoryName(category) {
-      const names = {
-        mtg: "MTG",
-        props: "Props & Signs",
-        accessories: "Accessories",
-        all: "All Products",
-      };
-      return names[category] || category;
+      const key = `categories.${category}`;
+      return i18n.has(key) ? i18n.t(key) : category;
     },
   };
 
@@ -12,6 +12,35 @@
   let navToggle, navLinks, navLinkItems, sections, filterButtons, productCards;
   let orderSearchForm, contactForm, themeToggle;
 
+  // Product detail section, only reachable through #product/<id> routes
+  const PRODUCT_DETAIL_SECTION = "product-detail";
+
+  // UI strings (see js/i18n.js and js/locales/)
+  const i18n = window.AdditiveArtisanI18n;
+
+  // Field rules for the order search and contact forms (see js/form_validation.js)
+  const validation = window.AdditiveArtisanValidation;
+  let orderValidator = null;
+  let contactValidator = null;
+
+  // Shop scroll position, restored when returning from a product
+  let productsScrollY = 0;
+
+  // Cancels the order lookup in progress when a new search starts
+  let orderLookup = null;
+
+  // Contact form settings (see js/config.js); an empty endpoint means demo mode
+  const CONTACT_SETTINGS = window.AdditiveArtisanConfig?.contact || {};
+  const CONTACT_ENDPOINT = CONTACT_SETTINGS.endpoint || "";
+
+  // When the visitor opened the contact form (or first focused or typed in it),
+  // for the too-fast check; null until the Contact page has been shown
+  let contactFormShownAt = null;
+  let contactFormFocused = false;
+
+  // True while a contact message is being sent
+  let contactSending = false;
+
   /**
    * Cache DOM elements
    */
@@ -57,7 +86,7 @@
     if (themeToggle) {
       themeToggle.setAttribute(
         "aria-label",
-        theme === "dark" ? "Switch to light mode" : "Switch to dark mode",
+        i18n.t(theme === "dark" ? "theme.toLight" : "theme.toDark"),
       );
     }
   }
@@ -140,13 +169,27 @@
   /**
    * Navigate to a section
    * @param {string} sectionId - The ID of the section to navigate to
+   * @param {object} options - Navigation options (optional)
+   * @param {string} options.hash - URL hash to show (default: `#${sectionId}`)
+   * @param {string} options.navSection - Nav link to highlight (default: sectionId)
    */
-  function navigateToSection(sectionId) {
+  function navigateToSection(sectionId, options = {}) {
     if (!sectionId) return;
 
     const targetSection = document.getElementById(sectionId);
     if (!targetSection) return;
 
+    const hash = options.hash || `#${sectionId}`;
+    const navSection = options.navSection || sectionId;
+    const previousSection = document.querySelector(".section.active");
+    const leavingProducts = previousSection?.id === "products" && sectionId !== "products";
+    const returningFromProduct =
+      previousSection?.id === PRODUCT_DETAIL_SECTION && sectionId === "products";
+
+    if (leavingProducts) {
+      productsScrollY = window.scrollY;
+    }
+
     // Hide all sections and show target
     sections.forEach((section) => {
       section.classList.toggle("active", section === targetSection);
@@ -154,16 +197,35 @@
 
     // Update active nav link
     navLinkItems.forEach((link) => {
-      link.classList.toggle("active", link.dataset.section === sectionId);
+      link.classList.toggle("active", link.dataset.section === navSection);
     });
 
-    // Update URL hash without scrolling
-    if (history.pushState) {
-      history.pushState(null, "", `#${sectionId}`);
+    // Restore page title when leaving a product detail view
+    if (sectionId !== PRODUCT_DETAIL_SECTION) {
+      document.title = i18n.t("meta.title");
     }
 
-    // Scroll to top of content
-    window.scrollTo({ top: 0, behavior: "smooth" });
+    // Update URL hash without scrolling (skip if already there, e.g. back/forward)
+    if (history.pushState && window.location.hash !== hash) {
+      history.pushState(null, "", hash);
+    }
+
+    // Back to the shop keeps the place in the grid; otherwise scroll to top
+    if (returningFromProduct) {
+      window.scrollTo({ top: productsScrollY, behavior: "instant" });
+    } else {
+      window.scrollTo({ top: 0, behavior: "smooth" });
+    }
+
+    // The too-fast check counts from here, not from page load
+    if (sectionId === "contact") {
+      startContactTimer();
+    }
+
+    // Refresh "My Orders" statuses when the tracker is opened
+    if (sectionId === "track" && window.AdditiveArtisanMyOrders) {
+      window.AdditiveArtisanMyOrders.refreshStatuses();
+    }
 
     // Close mobile nav if open
     closeMobileNav();
@@ -183,12 +245,72 @@
     }
   }
 
+  /**
+   * Get the product ID from a product route
+   * @param {string} hash - Location hash, e.g. "#product/prod_005"
+   * @returns {string|null|undefined} Product ID, null if the link is malformed
+   *   (e.g. "#product/%E0"), or undefined if it isn't a product route
+   */
+  function getProductIdFromHash(hash) {
+    const productMatch = hash.match(/^#product\/(.+)$/);
+    if (!productMatch) return undefined;
+
+    try {
+      return decodeURIComponent(productMatch[1]);
+    } catch (error) {
+      // Broken percent-encoding - treat as a product that doesn't exist
+      return null;
+    }
+  }
+
+  /**
+   * Navigate to a product detail view
+   * @param {string|null} productId - Product ID to show (null shows "product not found")
+   */
+  function navigateToProduct(productId) {
+    const product = window.AdditiveArtisanProducts
+      ? window.AdditiveArtisanProducts.renderProductDetail(productId)
+      : null;
+
+    navigateToSection(PRODUCT_DETAIL_SECTION, {
+      // A malformed link keeps its hash rather than gaining an encoded copy in history
+      hash: productId === null ? window.location.hash : `#product/${encodeURIComponent(productId)}`,
+      navSection: "products",
+    });
+
+    updateDocumentTitle();
+  }
+
+  /**
+   * Set the page title for the current route (in the current language)
+   */
+  function updateDocumentTitle() {
+    const productId = getProductIdFromHash(window.location.hash);
+    if (!productId) {
+      document.title = i18n.t("meta.title");
+      return;
+    }
+
+    const product = window.AdditiveArtisanProducts
+      ? window.AdditiveArtisanProducts.getProductById(productId)
+      : null;
+
+    document.title = product
+      ? i18n.t("meta.productTitle", { title: product.title })
+      : i18n.t("meta.productNotFoundTitle");
+  }
+
   /**
    * Handle hash change (browser back/forward)
+   * Supports section routes (#products) and product routes (#product/prod_005)
    */
   function handleHashChange() {
     const hash = window.location.hash.slice(1);
-    if (hash && document.getElementById(hash)) {
+    const productId = getProductIdFromHash(window.location.hash);
+
+    if (productId !== undefined) {
+      navigateToProduct(productId);
+    } else if (hash && hash !== PRODUCT_DETAIL_SECTION && document.getElementById(hash)) {
       navigateToSection(hash);
     } else {
       navigateToSection("home");
@@ -208,8 +330,9 @@
    * Show inline error message for form field
    * @param {string} message - Error message to display
    * @param {HTMLElement} inputElement - Input element to attach error to
+   * @param {object} options - {focus: false} to leave focus where it is (default: focus the field)
    */
-  function showFormError(message, inputElement) {
+  function showFormError(message, inputElement, options = {}) {
     if (!inputElement) return;
 
     // Find or create error element
@@ -231,7 +354,9 @@
     errorElement.classList.remove('hidden');
     inputElement.setAttribute('aria-invalid', 'true');
     inputElement.setAttribute('aria-describedby', errorElement.id);
-    inputElement.focus();
+    if (options.focus !== false) {
+      inputElement.focus();
+    }
   }
 
   /**
@@ -254,13 +379,22 @@
     inputElement.removeAttribute('aria-describedby');
   }
 
+  /**
+   * Check if a field is shown (its form group isn't hidden)
+   * @param {HTMLElement} inputElement - Form field
+   * @returns {boolean} True if visible
+   */
+  function isFieldVisible(inputElement) {
+    return !inputElement.closest('.form-group')?.classList.contains('hidden');
+  }
+
   /**
    * Clear all form errors
    * @param {HTMLFormElement} form - Form to clear errors from
    */
   function clearAllFormErrors(form) {
     if (!form) return;
-    const inputs = form.querySelectorAll('input, textarea');
+    const inputs = form.querySelectorAll('input, select, textarea, [aria-invalid]');
     inputs.forEach(input => clearFormError(input));
   }
 
@@ -344,58 +478,78 @@
 
     const orderId = orderIdInput.value.trim();
     const email = emailInput ? emailInput.value.trim() : "";
+    const emailFieldVisible = emailInput && isFieldVisible(emailInput);
 
-    // Validate order ID presence
-    if (!orderId) {
-      showFormError("Please enter an order number.", orderIdInput);
-      return;
-    }
-
-    // Validate order ID format (AA-2024-0047)
-    const orderIdPattern = /^[A-Z]{2}-\d{4}-\d{4}$/;
-    if (!orderIdPattern.test(orderId)) {
-      showFormError("Invalid order ID format. Expected: AA-2024-0047", orderIdInput);
-      return;
-    }
-
-    // Check if email field is visible (not hidden)
-    const emailFieldVisible = emailInput && !emailInput.closest('.form-group').classList.contains('hidden');
-
-    // If email field is visible and required, validate it
-    if (emailFieldVisible && !email) {
-      showFormError("Please enter your email address.", emailInput);
-      return;
-    }
-
-    // Improved email validation (only if email is provided)
-    if (email) {
-      const emailRegex = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
-      if (!emailRegex.test(email)) {
-        showFormError("Please enter a valid email address.", emailInput);
-        return;
-      }
-    }
+    if (!(await orderValidator.validate())) return;
 
     // Check if tracker module is loaded
     if (!window.AdditiveArtisanTracker) {
-      showFormError("Order tracking is currently unavailable. Please try again later.", orderIdInput);
+      showFormError(i18n.t("errors.trackerUnavailable"), orderIdInput);
       return;
     }
 
+    // Only the latest search may update the page
+    orderLookup?.abort();
+    const lookup = new AbortController();
+    orderLookup = lookup;
+
     try {
       // Show loading state
       window.AdditiveArtisanTracker.showLoading();
 
       // Fetch order status from API
-      const orderData = await window.AdditiveArtisanTracker.fetchOrderStatus(orderId, email);
+      const orderData = await window.AdditiveArtisanTracker.fetchOrderStatus(orderId, email, {
+        signal: lookup.signal,
+      });
 
       // Display order status with emoji and timeline
       window.AdditiveArtisanTracker.displayOrderStatus(orderData);
 
+      // Add to "My Orders" (email only if the customer opted in)
+      if (window.AdditiveArtisanMyOrders) {
+        const rememberEmail = document.getElementById("remember-email")?.checked;
+        window.AdditiveArtisanMyOrders.rememberOrder(
+          orderId,
+          rememberEmail ? email : "",
+          orderData.order
+        );
+      }
+
     } catch (error) {
-      window.AdditiveArtisanTracker.displayError(
-        error.message || "Unable to find order. Please check your order number and email address."
-      );
+      // Replaced by a newer search, which owns the status panel now
+      if (lookup.signal.aborted) return;
+
+      const tracker = window.AdditiveArtisanTracker;
+
+      // Offline (or the Worker is unreachable): show the last known status
+      if (error?.type === "network") {
+        const saved = tracker.getLastKnownStatus(orderId, email);
+        if (saved) {
+          tracker.displayOrderStatus(saved);
+          return;
+        }
+      }
+      const { message, field } = tracker.describeError(error);
+
+      // Errors about what was typed go next to that field
+      let fieldInput = null;
+      if (field === "email" && emailFieldVisible) {
+        fieldInput = emailInput;
+      } else if (field === "orderId") {
+        fieldInput = orderIdInput;
+      }
+
+      if (fieldInput) {
+        tracker.hideStatus();
+        showFormError(message, fieldInput);
+        return;
+      }
+
+      tracker.displayError(error, {
+        onRetry: () => {
+          orderSearchForm.dispatchEvent(new Event("submit", { cancelable: true, bubbles: true }));
+        },
+      });
     }
   }
 
@@ -403,14 +557,234 @@
   // Contact Form
   // =========================================================================
 
+  // Recent send times on this device, for the client-side rate limit
+  const CONTACT_SENT_KEY = "contactSent";
+
+  // Error codes returned by the contact Worker, and the message for each
+  const CONTACT_ERROR_MESSAGES = {
+    "name-required": "errors.nameRequired",
+    "email-required": "errors.emailRequired",
+    "email-invalid": "errors.emailInvalid",
+    "subject-invalid": "errors.subjectRequired",
+    "message-required": "errors.messageRequired",
+    "message-too-long": "errors.messageTooLong",
+    "too-fast": "errors.contactTooFast",
+    "attachment-invalid": "errors.attachmentInvalid",
+  };
+
+  /**
+   * Get the contact form fields
+   * Includes the custom request fields, and "general": where errors that
+   * aren't about one field go (the review step of a custom request, or the message).
+   * @returns {object} {name, email, subject, message, general, ...custom request fields}
+   */
+  function getContactInputs() {
+    const customRequest = window.AdditiveArtisanCustomRequest;
+    const customInputs = customRequest?.getInputs() || {};
+    const message = contactForm.querySelector("#contact-message");
+
+    return {
+      ...customInputs,
+      name: contactForm.querySelector("#contact-name"),
+      email: contactForm.querySelector("#contact-email"),
+      subject: contactForm.querySelector("#contact-subject"),
+      message,
+      general: customRequest?.isReviewStep() ? customInputs.review : message,
+    };
+  }
+
+  /**
+   * Get the times of messages sent from this device within the rate limit window
+   * @returns {number[]} Timestamps (ms), oldest first
+   */
+  function getRecentContactSends() {
+    const windowMs = (CONTACT_SETTINGS.rateLimit?.windowMinutes ?? 60) * 60000;
+
+    try {
+      const times = JSON.parse(localStorage.getItem(CONTACT_SENT_KEY) || "[]");
+      return Array.isArray(times)
+        ? times.filter((time) => Date.now() - time < windowMs).sort((a, b) => a - b)
+        : [];
+    } catch (error) {
+      // Storage unavailable or corrupted - don't block the visitor
+      return [];
+    }
+  }
+
+  /**
+   * Remember that a message was sent (or queued) from this device
+   */
+  function recordContactSend() {
+    try {
+      const times = [...getRecentContactSends(), Date.now()];
+      localStorage.setItem(CONTACT_SENT_KEY, JSON.stringify(times));
+    } catch (error) {
+      // Storage unavailable (e.g. private mode) - the Worker still limits
+    }
+  }
+
+  /**
+   * Get how long until this device may send another message
+   * @returns {number} Minutes to wait, or 0 if a message can be sent now
+   */
+  function getContactWaitMinutes() {
+    const limit = CONTACT_SETTINGS.rateLimit;
+    if (!limit?.maxMessages) return 0;
+
+    const times = getRecentContactSends();
+    if (times.length < limit.maxMessages) return 0;
+
+    // Wait until enough of the oldest sends leave the window
+    const freeAt = times[times.length - limit.maxMessages] + limit.windowMinutes * 60000;
+    return Math.max(1, Math.ceil((freeAt - Date.now()) / 60000));
+  }
+
+  /**
+   * Show or end the sending state of the contact form
+   * @param {boolean} sending - True while the message is being sent
+   */
+  function setContactSending(sending) {
+    contactSending = sending;
+    contactForm.setAttribute("aria-busy", String(sending));
+
+    const submitButton = contactForm.querySelector('button[type="submit"]');
+    if (!submitButton) return;
+
+    submitButton.disabled = sending;
+
+    // The custom request steps label the button for the step shown
+    const customRequest = window.AdditiveArtisanCustomRequest;
+    if (!sending && customRequest) {
+      customRequest.updateActions();
+      return;
+    }
+
+    const key = sending ? "contact.sending" : "contact.submit";
+    submitButton.setAttribute("data-i18n", key);
+    submitButton.textContent = i18n.t(key);
+  }
+
+  /**
+   * Show why the contact Worker refused a message
+   * @param {APIError} error - Error from the request
+   * @param {object} inputs - Form fields, from getContactInputs()
+   */
+  async function showContactServerError(error, inputs) {
+    if (error.type === "rate-limited") {
+      const minutes = error.retryAfter ? Math.ceil(error.retryAfter / 60) : 0;
+      showFormError(
+        minutes
+          ? i18n.t("errors.contactTooMany", { count: minutes })
+          : i18n.t("errors.contactRateLimited"),
+        inputs.general,
+      );
+      return;
+    }
+
+    // Validation errors come back as {success: false, code, field}
+    const details = await error.response?.json().catch(() => null);
+    const key = CONTACT_ERROR_MESSAGES[details?.code] || "errors.contactSend";
+    const input = inputs[details?.field] || inputs.general;
+
+    // The field may be on an earlier custom request step
+    window.AdditiveArtisanCustomRequest?.showFieldStep(input);
+    showFormError(i18n.t(key, { max: CONTACT_SETTINGS.maxMessageLength }), input);
+  }
+
+  /**
+   * Save a contact message to send once the visitor is back online
+   * @param {object} request - {url, method, headers, body}
+   * @param {HTMLElement} messageInput - Field to show an error next to
+   * @returns {Promise<boolean>} True if queued
+   */
+  async function queueContactMessage(request, messageInput) {
+    try {
+      await window.AdditiveArtisanOffline.queueRequest({ ...request, kind: "contact" });
+      return true;
+    } catch (error) {
+      // Can't save it on this device (no IndexedDB) - ask them to retry later
+      showFormError(i18n.t("errors.offline"), messageInput);
+      return false;
+    }
+  }
+
+  /**
+   * Send a contact message, queueing it if the visitor is offline
+   * Only counts as sent once the Worker answers {success: true}.
+   * @param {object} fields - {name, email, subject, message, website, elapsed},
+   *   plus {details, attachments} for custom requests
+   * @param {object} inputs - Form fields to show errors next to, from getContactInputs()
+   * @returns {Promise<string|null>} "sent", "queued", or null if it failed
+   */
+  async function sendContactMessage(fields, inputs) {
+    const request = {
+      url: CONTACT_ENDPOINT,
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(fields),
+    };
+    const offline = window.AdditiveArtisanOffline;
+
+    if (offline?.isOffline()) {
+      return (await queueContactMessage(request, inputs.general)) ? "queued" : null;
+    }
+
+    try {
+      const { url, ...options } = request;
+      const data = await window.AdditiveArtisanAPI.fetchJSON(url, options);
+
+      if (data?.success !== true) {
+        showFormError(i18n.t("errors.contactSend"), inputs.general);
+        return null;
+      }
+      return "sent";
+    } catch (error) {
+      // Never reached the server - send it once the connection is back
+      if (error.type === "network" && offline) {
+        return (await queueContactMessage(request, inputs.general)) ? "queued" : null;
+      }
+      await showContactServerError(error, inputs);
+      return null;
+    }
+  }
+
+  /**
+   * Start timing a visit to the contact form (restarted by its first focus or input)
+   */
+  function startContactTimer() {
+    contactFormShownAt = Date.now();
+    contactFormFocused = false;
+  }
+
+  /**
+   * Restart the timer the first time the visitor focuses or types in the form
+   */
+  function handleContactFormStart() {
+    if (contactFormFocused) return;
+    contactFormFocused = true;
+    contactFormShownAt = Date.now();
+  }
+
+  /**
+   * Thank the visitor and start over with an empty form
+   * @param {string} key - Translation key of the thank-you message
+   * @param {string} name - Visitor's name
+   */
+  function finishContactForm(key, name) {
+    showFormSuccess(i18n.t(key, { name }), contactForm);
+    contactForm.reset();
+    window.AdditiveArtisanCustomRequest?.reset();
+    startContactTimer();
+  }
+
   /**
    * Handle contact form submission
    * @param {Event} e - Submit event
    */
-  function handleContactSubmit(e) {
+  async function handleContactSubmit(e) {
     e.preventDefault();
 
-    if (!contactForm) return;
+    if (!contactForm || contactSending) return;
 
     // Clear previous errors
     clearAllFormErrors(contactForm);
@@ -420,40 +794,200 @@
     const email = formData.get("email")?.trim();
     const subject = formData.get("subject");
     const message = formData.get("message")?.trim();
+    const website = formData.get("website")?.trim() || "";
 
-    // Validate individual fields
-    const nameInput = contactForm.querySelector("#contact-name");
-    const emailInput = contactForm.querySelector("#contact-email");
-    const messageInput = contactForm.querySelector("#contact-message");
+    const inputs = getContactInputs();
+    if (!(await contactValidator.validate())) return;
 
-    if (!name && nameInput) {
-      showFormError("Please enter your name.", nameInput);
+    // Custom requests go through the print details, files and review steps first
+    const customRequest = window.AdditiveArtisanCustomRequest;
+    const isCustomRequest = Boolean(customRequest?.isActive());
+    if (isCustomRequest && !customRequest.isReviewStep()) {
+      customRequest.nextStep();
       return;
     }
 
-    if (!email && emailInput) {
-      showFormError("Please enter your email address.", emailInput);
+    // Demo mode: no endpoint configured, nothing is sent
+    if (!CONTACT_ENDPOINT) {
+      finishContactForm("contact.success", name);
       return;
     }
 
-    // Improved email validation
-    if (email && emailInput) {
-      const emailRegex = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
-      if (!emailRegex.test(email)) {
-        showFormError("Please enter a valid email address.", emailInput);
-        return;
+    // Only bots fill in the hidden field - look successful, send nothing
+    if (website) {
+      finishContactForm("contact.success", name);
+      return;
+    }
+
+    // A form sent without ever being shown counts as too fast
+    const elapsed = contactFormShownAt === null ? 0 : Date.now() - contactFormShownAt;
+    if (elapsed < (CONTACT_SETTINGS.minFillSeconds || 0) * 1000) {
+      showFormError(i18n.t("errors.contactTooFast"), inputs.general);
+      return;
+    }
+
+    const waitMinutes = getContactWaitMinutes();
+    if (waitMinutes) {
+      showFormError(i18n.t("errors.contactTooMany", { count: waitMinutes }), inputs.general);
+      return;
+    }
+
+    setContactSending(true);
+    let result = null;
+    try {
+      const fields = { name, email, subject, message, website, elapsed };
+
+      if (isCustomRequest) {
+        try {
+          Object.assign(fields, await customRequest.getRequestData());
+        } catch (error) {
+          // A file was moved or deleted after it was picked
+          showFormError(i18n.t("errors.fileRead"), inputs.general);
+          return;
+        }
       }
+
+      result = await sendContactMessage(fields, inputs);
+    } finally {
+      setContactSending(false);
+    }
+    if (!result) return;
+
+    recordContactSend();
+    finishContactForm(result === "queued" ? "contact.queued" : "contact.success", name);
+  }
+
+  // =========================================================================
+  // Service Worker Updates
+  // =========================================================================
+
+  // Worker installed and waiting to take over (see sw.js install handler)
+  let waitingWorker = null;
+
+  // Set when the user asks to reload, so only their click triggers a reload
+  let reloadRequested = false;
+
+  /**
+   * Check if a form the user is filling in has unsaved input
+   * Only forms marked with data-unsaved-warning are checked.
+   * @returns {boolean} True if any field differs from its initial value
+   */
+  function hasUnsavedFormInput() {
+    const forms = document.querySelectorAll("form[data-unsaved-warning]");
+
+    return Array.from(forms).some((form) =>
+      Array.from(form.elements).some((field) => {
+        if (field.type === "checkbox" || field.type === "radio") {
+          return field.checked !== field.defaultChecked;
+        }
+        if (field.tagName === "SELECT") {
+          const initial = Array.from(field.options).findIndex((option) => option.defaultSelected);
+          return field.selectedIndex !== Math.max(0, initial);
+        }
+        if (["hidden", "submit", "button", "reset", "fieldset"].includes(field.type)) {
+          return false;
+        }
+        return "defaultValue" in field && field.value !== field.defaultValue;
+      }),
+    );
+  }
+
+  /**
+   * Switch the update toast between the announcement and the unsaved form warning
+   * Keys are set through data-i18n so a language change re-translates them.
+   * @param {boolean} warning - Show the unsaved form warning
+   */
+  function setUpdateToastWarning(warning) {
+    const message = document.getElementById("update-toast-message");
+    const reloadButton = document.getElementById("update-reload");
+
+    const messageKey = warning ? "update.unsavedForm" : "update.available";
+    const buttonKey = warning ? "update.reloadAnyway" : "update.reload";
+
+    if (message) {
+      message.setAttribute("data-i18n", messageKey);
+      message.textContent = i18n.t(messageKey);
+    }
+    if (reloadButton) {
+      reloadButton.setAttribute("data-i18n", buttonKey);
+      reloadButton.textContent = i18n.t(buttonKey);
     }
+  }
 
-    if (!message && messageInput) {
-      showFormError("Please enter a message.", messageInput);
+  /**
+   * Announce a new version of the site
+   * @param {ServiceWorker} worker - Installed worker waiting to activate
+   */
+  function showUpdateToast(worker) {
+    const toast = document.getElementById("update-toast");
+    if (!toast) {
       return;
     }
 
-    // Placeholder for form submission
-    // This would be replaced with actual form handling (e.g., Formspree, email API)
-    showFormSuccess(`Thank you for your message, ${name}! We'll get back to you soon.`, contactForm);
-    contactForm.reset();
+    waitingWorker = worker;
+    setUpdateToastWarning(false);
+    toast.classList.remove("hidden");
+  }
+
+  /**
+   * Hide the update toast (the new version activates on a later visit)
+   */
+  function hideUpdateToast() {
+    const toast = document.getElementById("update-toast");
+    if (toast) {
+      toast.classList.add("hidden");
+    }
+  }
+
+  /**
+   * Activate the waiting worker and reload once it takes control
+   * Warns first if a form has unsaved input; a second click reloads anyway.
+   */
+  function handleUpdateReload() {
+    const reloadButton = document.getElementById("update-reload");
+    const warned = reloadButton && reloadButton.getAttribute("data-i18n") === "update.reloadAnyway";
+
+    if (!warned && hasUnsavedFormInput()) {
+      setUpdateToastWarning(true);
+      return;
+    }
+
+    reloadRequested = true;
+    if (reloadButton) {
+      reloadButton.disabled = true;
+    }
+
+    if (waitingWorker && waitingWorker.state === "installed") {
+      waitingWorker.postMessage({ type: "SKIP_WAITING" });
+    } else {
+      // Already activated (e.g. from another tab) - just load the new files
+      window.location.reload();
+    }
+  }
+
+  /**
+   * Wire up the update toast and reload on controllerchange
+   */
+  function initUpdateToast() {
+    const reloadButton = document.getElementById("update-reload");
+    const dismissButton = document.getElementById("update-dismiss");
+
+    if (reloadButton) {
+      reloadButton.addEventListener("click", handleUpdateReload);
+    }
+    if (dismissButton) {
+      dismissButton.addEventListener("click", hideUpdateToast);
+    }
+
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+      // Another tab may have activated the worker; only reload when asked to,
+      // and only once
+      if (!reloadRequested) {
+        return;
+      }
+      reloadRequested = false;
+      window.location.reload();
+    });
   }
 
   // =========================================================================
@@ -562,10 +1096,63 @@
     });
   }
 
+  /**
+   * Set up field rules for the order search and contact forms
+   * Messages are translation keys, so errors follow the current language.
+   */
+  function setupFormValidation() {
+    const helpers = { showError: showFormError, clearError: clearFormError };
+    const maxLength = CONTACT_SETTINGS.maxMessageLength;
+
+    if (orderSearchForm) {
+      orderValidator = validation.createValidator(orderSearchForm, {
+        ...helpers,
+        fields: {
+          "order-id": [
+            { type: "required", message: "errors.orderIdRequired" },
+            {
+              type: "pattern",
+              pattern: validation.ORDER_ID_PATTERN,
+              message: "errors.orderIdFormat",
+              params: { example: "AA-2024-0047" },
+            },
+          ],
+          // Required only while shown; a hidden field may still hold an email from a link
+          "order-email": [
+            { type: "required", message: "errors.emailRequired", when: isFieldVisible },
+            { type: "email", message: "errors.emailInvalid" },
+          ],
+        },
+      });
+    }
+
+    if (contactForm) {
+      contactValidator = validation.createValidator(contactForm, {
+        ...helpers,
+        fields: {
+          "contact-name": [{ type: "required", message: "errors.nameRequired" }],
+          "contact-email": [
+            { type: "required", message: "errors.emailRequired" },
+            { type: "email", message: "errors.emailInvalid" },
+          ],
+          "contact-subject": [{ type: "required", message: "errors.subjectRequired" }],
+          "contact-message": [
+            { type: "required", message: "errors.messageRequired" },
+            { type: "length", max: maxLength, message: "errors.messageTooLong", params: { max: maxLength } },
+          ],
+          // Print details of a custom request, checked while that step is shown
+          ...window.AdditiveArtisanCustomRequest?.getFieldRules(),
+        },
+      });
+    }
+  }
+
   /**
    * Setup form event listeners (order search and contact forms)
    */
   function setupFormListeners() {
+    setupFormValidation();
+
     // Order search form
     if (orderSearchForm) {
       orderSearchForm.addEventListener("submit", handleOrderSearch);
@@ -580,9 +1167,11 @@
     // Contact form
     if (contactForm) {
       contactForm.addEventListener("submit", handleContactSubmit);
+      contactForm.addEventListener("focusin", handleContactFormStart);
+      contactForm.addEventListener("input", handleContactFormStart);
 
       // Clear errors on input
-      const contactFormInputs = contactForm.querySelectorAll('input, textarea');
+      const contactFormInputs = contactForm.querySelectorAll('input, select, textarea');
       contactFormInputs.forEach(input => {
         input.addEventListener('input', () => clearFormError(input));
       });
@@ -603,6 +1192,78 @@
     checkOrderParam();
   }
 
+  /**
+   * Initialize i18n (language detection, page text and selector)
+   */
+  function initI18nModule() {
+    i18n.initI18n();
+
+    // Refresh strings set from script.js; modules re-render their own content
+    window.addEventListener("additiveartisan:languagechange", () => {
+      setTheme(document.documentElement.getAttribute("data-theme") || "light");
+      updateDocumentTitle();
+    });
+  }
+
+  /**
+   * Initialize currency (selector now, exchange rates in the background)
+   */
+  function initCurrencyModule() {
+    if (window.AdditiveArtisanCurrency) {
+      window.AdditiveArtisanCurrency.initCurrency().catch(() => {
+        // Keep the configured rates
+      });
+    }
+  }
+
+  /**
+   * Initialize cart (badge and drawer)
+   */
+  function initCartModule() {
+    if (window.AdditiveArtisanCart) {
+      window.AdditiveArtisanCart.initCart();
+    }
+  }
+
+  /**
+   * Initialize order tracker (watch mode)
+   */
+  function initTrackerModule() {
+    if (window.AdditiveArtisanTracker) {
+      window.AdditiveArtisanTracker.initTracker();
+    }
+  }
+
+  /**
+   * Initialize "My Orders" (recently tracked orders)
+   */
+  function initMyOrdersModule() {
+    if (window.AdditiveArtisanMyOrders) {
+      window.AdditiveArtisanMyOrders.initMyOrders();
+    }
+  }
+
+  /**
+   * Initialize the custom request steps of the contact form
+   */
+  function initCustomRequestModule() {
+    if (window.AdditiveArtisanCustomRequest) {
+      window.AdditiveArtisanCustomRequest.initCustomRequest({
+        showError: showFormError,
+        clearError: clearFormError,
+      });
+    }
+  }
+
+  /**
+   * Initialize offline mode (connection indicator, queued messages)
+   */
+  function initOfflineModule() {
+    if (window.AdditiveArtisanOffline) {
+      window.AdditiveArtisanOffline.initOffline();
+    }
+  }
+
   /**
    * Initialize products module
    */
@@ -626,14 +1287,22 @@
     }
 
     try {
+      initUpdateToast();
+
       const registration = await navigator.serviceWorker.register('/sw.js');
 
+      // Installed on an earlier visit and still waiting
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdateToast(registration.waiting);
+      }
+
       registration.addEventListener('updatefound', () => {
         const newWorker = registration.installing;
 
         newWorker.addEventListener('statechange', () => {
+          // Without a controller this is the first install, not an update
           if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
-            // New service worker available
+            showUpdateToast(newWorker);
           }
         });
       });
@@ -650,12 +1319,31 @@
       // Cache DOM elements
       cacheDOMElements();
 
+      // Pick the language before any text is rendered
+      initI18nModule();
+
       // Initialize theme first (before any visual rendering)
       initTheme();
 
+      // Restore saved currency before any prices are rendered
+      initCurrencyModule();
+
+      // Restore saved cart before products render their cart buttons
+      initCartModule();
+
       // Initialize products (load and render)
       await initProductsModule();
 
+      // Wire up order watching before a tracking link can auto-submit
+      initTrackerModule();
+      initMyOrdersModule();
+
+      // Custom request steps in the contact form
+      initCustomRequestModule();
+
+      // Connection indicator and messages queued while offline
+      initOfflineModule();
+
       // Update copyright year
       updateCopyrightYear();
 
@@ -669,7 +1357,7 @@
       registerServiceWorker();
 
     } catch (error) {
-      showGlobalError('Unable to load the website properly. Please refresh the page.');
+      showGlobalError(i18n.t("errors.siteLoad"));
     }
   }
 
@@ -1,51 +1,357 @@
 /**
  * Service Worker for Additive Artisan
  * Provides offline support and caching for better performance
+ *
+ * Each kind of request gets its own strategy (see ROUTES):
+ * - Pages: network first, falling back to the cached index.html
+ * - Data (/data/*.json): network first, falling back to the last copy
+ * - Scripts and styles: stale-while-revalidate
+ * - Images and Cloudinary assets: cache first, with expiry and a size limit
+ *
+ * Requests queued while offline (js/outbox.js) are sent by Background Sync.
  */
 
-const CACHE_NAME = 'additive-artisan-v1';
-const CACHE_URLS = [
+// Shared with the page: the IndexedDB queue of requests made while offline
+importScripts('/js/outbox.js');
+
+// =========================================================================
+// Precache
+// =========================================================================
+
+// App shell cached on install. PRECACHE_VERSION is a hash of these files:
+// run `python3 tools/precache.py` after changing any of them (or adding a
+// script to index.html) so visitors get a new service worker and fresh files.
+const PRECACHE_VERSION = 'ca5112f153';
+const PRECACHE_URLS = [
   '/',
   '/index.html',
   '/styles.css',
   '/script.js',
   '/js/config.js',
+  '/js/i18n.js',
+  '/js/locales/en.js',
+  '/js/locales/es.js',
+  '/js/locales/de.js',
   '/js/utils.js',
   '/js/api_helpers.js',
+  '/js/form_validation.js',
+  '/js/currency.js',
+  '/js/product_schema.js',
+  '/js/model_viewer.js',
+  '/js/product_search.js',
+  '/js/product_filters.js',
+  '/js/cart.js',
   '/js/products.js',
+  '/js/carriers.js',
   '/js/order_tracker.js',
+  '/js/my_orders.js',
+  '/js/model_analysis.js',
+  '/js/custom_request.js',
+  '/js/outbox.js',
+  '/js/offline.js',
   '/data/products.json',
+  '/data/exchange_rates.json',
   '/manifest.json'
 ];
 
+// =========================================================================
+// Runtime Caches
+// =========================================================================
+
+const CACHE_PREFIX = 'additive-artisan';
+const CACHES = {
+  precache: `${CACHE_PREFIX}-precache-${PRECACHE_VERSION}`,
+  // Versioned so a new deploy doesn't serve scripts revalidated before it
+  assets: `${CACHE_PREFIX}-assets-${PRECACHE_VERSION}`,
+  pages: `${CACHE_PREFIX}-pages`,
+  data: `${CACHE_PREFIX}-data`,
+  media: `${CACHE_PREFIX}-media`,
+};
+
+// Network-first requests use the cache if the network takes longer than this
+const NETWORK_TIMEOUT_MS = 4000;
+
+// Images and Cloudinary assets: oldest entries are removed past these limits
+const MEDIA_MAX_ENTRIES = 60;
+const MEDIA_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Cross-origin hosts whose assets are cached (URLs are versioned, so immutable)
+const MEDIA_ORIGINS = ['https://res.cloudinary.com'];
+
+// Header recording when a media response was cached (for expiry)
+const CACHED_AT_HEADER = 'x-sw-cached-at';
+
+// =========================================================================
+// Helpers
+// =========================================================================
+
+/**
+ * Find a cached response, checking a runtime cache before the precache
+ * @param {string} cacheName - Runtime cache to check first
+ * @param {Request|string} request - Request to match
+ * @returns {Promise<Response|undefined>} Cached response
+ */
+async function matchCache(cacheName, request) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) {
+    return cached;
+  }
+
+  const precache = await caches.open(CACHES.precache);
+  return precache.match(request);
+}
+
+/**
+ * Store a response if it's cacheable
+ * @param {string} cacheName - Cache to store in
+ * @param {Request|string} request - Request or URL to store it under
+ * @param {Response} response - Network response (cloned before storing)
+ * @returns {Promise<void>} Resolves once stored
+ */
+async function putInCache(cacheName, request, response) {
+  if (!response || response.status !== 200) {
+    return;
+  }
+
+  try {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response.clone());
+  } catch (error) {
+    // Storage full - serve from the network only
+  }
+}
+
+/**
+ * Fetch, giving up after a timeout
+ * @param {Request} request - Request
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Response>} Network response
+ * @throws {Error} If the request fails or times out
+ */
+function fetchWithTimeout(request, timeout) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Network timeout')), timeout);
+    fetch(request)
+      .then(resolve, reject)
+      .finally(() => clearTimeout(timer));
+  });
+}
+
+/**
+ * Remove the oldest entries beyond a limit
+ * Cache keys are returned in insertion order, so the first ones are oldest.
+ *
+ * @param {string} cacheName - Cache to trim
+ * @param {number} maxEntries - Entries to keep
+ * @returns {Promise<void>} Resolves once trimmed
+ */
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((key) => cache.delete(key)));
+}
+
+/**
+ * Check if a cached media response is past MEDIA_MAX_AGE_MS
+ * @param {Response} response - Cached response
+ * @returns {boolean} True if expired (or of unknown age)
+ */
+function isExpired(response) {
+  const cachedAt = Number(response.headers.get(CACHED_AT_HEADER));
+  return !cachedAt || Date.now() - cachedAt > MEDIA_MAX_AGE_MS;
+}
+
+/**
+ * Fetch a media asset in a cacheable form
+ * Cross-origin images are requested with CORS so the response can be read
+ * and stamped with the time it was cached; if the host refuses, the asset
+ * is still shown but not cached.
+ *
+ * @param {Request} request - Request
+ * @returns {Promise<object>} {response, cacheable}
+ */
+async function fetchMedia(request) {
+  const sameOrigin = new URL(request.url).origin === location.origin;
+  let response;
+
+  try {
+    response = await fetch(sameOrigin ? request : new Request(request.url, { mode: 'cors', credentials: 'omit' }));
+  } catch (error) {
+    if (sameOrigin) throw error;
+    return { response: await fetch(request), cacheable: false };
+  }
+
+  if (response.status !== 200) {
+    return { response, cacheable: false };
+  }
+
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT_HEADER, String(Date.now()));
+  const stamped = new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+
+  return { response: stamped, cacheable: true };
+}
+
+// =========================================================================
+// Strategies
+// =========================================================================
+
+/**
+ * Network first, falling back to the cache
+ * Used for pages and data, which should be as fresh as the connection allows.
+ *
+ * @param {Request} request - Request
+ * @param {string} cacheName - Runtime cache
+ * @param {Request|string} cacheKey - Key to cache under (default: the request)
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request, cacheName, cacheKey = request) {
+  try {
+    const response = await fetchWithTimeout(request, NETWORK_TIMEOUT_MS);
+    await putInCache(cacheName, cacheKey, response);
+    return response;
+  } catch (error) {
+    const cached = await matchCache(cacheName, cacheKey);
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Stale-while-revalidate
+ * Serves the cached copy at once and refreshes it in the background, so a
+ * change shows up on the next page load.
+ *
+ * @param {Request} request - Request
+ * @param {string} cacheName - Runtime cache
+ * @param {FetchEvent} event - Fetch event (keeps the worker alive for the refresh)
+ * @returns {Promise<Response>} Response
+ */
+async function staleWhileRevalidate(request, cacheName, event) {
+  const cached = await matchCache(cacheName, request);
+
+  const refresh = fetch(request)
+    .then(async (response) => {
+      await putInCache(cacheName, request, response);
+      return response;
+    });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {
+      // Offline - keep the cached copy
+    }));
+    return cached;
+  }
+
+  return refresh;
+}
+
+/**
+ * Cache first with expiry and a size limit
+ * Expired entries are refreshed, but still served if the network fails.
+ *
+ * @param {Request} request - Request
+ * @param {string} cacheName - Runtime cache
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+
+  if (cached && !isExpired(cached)) {
+    return cached;
+  }
+
+  try {
+    const { response, cacheable } = await fetchMedia(request);
+    if (cacheable) {
+      await putInCache(cacheName, request, response);
+      await trimCache(cacheName, MEDIA_MAX_ENTRIES);
+    }
+    return response;
+  } catch (error) {
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+// =========================================================================
+// Routing
+// =========================================================================
+
+/**
+ * Routes, checked in order; the first match handles the request
+ * Requests matching none (API calls, other CDNs) go to the network as usual.
+ */
+const ROUTES = [
+  {
+    // Every page is index.html (routes live in the hash), so one copy is kept
+    match: ({ request, sameOrigin }) => sameOrigin && request.mode === 'navigate',
+    handle: ({ request }) => networkFirst(request, CACHES.pages, '/index.html'),
+  },
+  {
+    match: ({ url, sameOrigin }) => sameOrigin && url.pathname.startsWith('/data/'),
+    handle: ({ request }) => networkFirst(request, CACHES.data),
+  },
+  {
+    match: ({ request, url, sameOrigin }) =>
+      sameOrigin && (['script', 'style', 'manifest'].includes(request.destination) ||
+        /\.(js|css|json)$/.test(url.pathname)),
+    handle: ({ request, event }) => staleWhileRevalidate(request, CACHES.assets, event),
+  },
+  {
+    match: ({ request, url, sameOrigin }) =>
+      MEDIA_ORIGINS.includes(url.origin) ||
+      (sameOrigin && (request.destination === 'image' || /\.(png|jpe?g|gif|webp|avif|svg|ico)$/.test(url.pathname))),
+    handle: ({ request }) => cacheFirst(request, CACHES.media),
+  },
+];
+
 /**
- * Install event - cache essential files
+ * Install event - precache the app shell
+ * An updated worker then waits until the page sends SKIP_WAITING (the
+ * "Reload" button on the update toast), so open pages aren't switched to new
+ * files mid-visit. If any file fails to download the install fails, so the
+ * old worker (and its precache) stays in charge instead of being replaced by
+ * one with an empty precache.
  */
 self.addEventListener('install', (event) => {
   event.waitUntil(
-    caches.open(CACHE_NAME)
+    caches.open(CACHES.precache)
       .then((cache) => {
-        return cache.addAll(CACHE_URLS);
-      })
-      .then(() => {
-        return self.skipWaiting();
+        // Bypass the HTTP cache so the precache matches this version
+        return cache.addAll(PRECACHE_URLS.map((url) => new Request(url, { cache: 'reload' })));
       })
-      .catch(() => {
-        // Installation failed silently
+      .catch((error) => {
+        // Drop the unusable cache, then let the install fail (the browser retries later)
+        return caches.delete(CACHES.precache).then(() => {
+          throw error;
+        });
       })
   );
 });
 
 /**
- * Activate event - clean up old caches
+ * Activate event - remove caches from older versions
  */
 self.addEventListener('activate', (event) => {
+  const current = Object.values(CACHES);
+
   event.waitUntil(
     caches.keys()
       .then((cacheNames) => {
         return Promise.all(
           cacheNames.map((cacheName) => {
-            if (cacheName !== CACHE_NAME) {
+            if (cacheName.startsWith(CACHE_PREFIX) && !current.includes(cacheName)) {
               return caches.delete(cacheName);
             }
           })
@@ -58,50 +364,68 @@ self.addEventListener('activate', (event) => {
 });
 
 /**
- * Fetch event - serve from cache, fallback to network
- * Strategy: Cache First, falling back to Network
+ * Fetch event - route GET requests to their caching strategy
  */
 self.addEventListener('fetch', (event) => {
-  if (event.request.method !== 'GET') {
+  const request = event.request;
+  if (request.method !== 'GET') {
     return;
   }
 
-  const url = new URL(event.request.url);
-  if (url.origin !== location.origin) {
-    return;
+  const url = new URL(request.url);
+  const context = { event, request, url, sameOrigin: url.origin === location.origin };
+  const route = ROUTES.find((item) => item.match(context));
+
+  if (route) {
+    event.respondWith(route.handle(context));
   }
+});
 
-  event.respondWith(
-    caches.match(event.request)
-      .then((cachedResponse) => {
-        if (cachedResponse) {
-          return cachedResponse;
-        }
+/**
+ * Notification click - focus the site (order status notifications)
+ */
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
 
-        return fetch(event.request)
-          .then((networkResponse) => {
-            if (!networkResponse || networkResponse.status !== 200 || networkResponse.type !== 'basic') {
-              return networkResponse;
-            }
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+      .then((clientList) => {
+        if (clientList.length > 0) {
+          return clientList[0].focus();
+        }
+        return self.clients.openWindow('/#track');
+      })
+  );
+});
 
-            const responseToCache = networkResponse.clone();
+/**
+ * Sync event - send requests queued while offline
+ * Open pages are told what was sent; if anything is left, the browser
+ * retries the sync later.
+ */
+self.addEventListener('sync', (event) => {
+  if (event.tag !== self.AdditiveArtisanOutbox.SYNC_TAG) {
+    return;
+  }
 
-            caches.open(CACHE_NAME)
-              .then((cache) => {
-                cache.put(event.request, responseToCache);
-              });
+  event.waitUntil(
+    self.AdditiveArtisanOutbox.replay()
+      .then(async (result) => {
+        if (result.sent || result.rejected) {
+          const clientList = await self.clients.matchAll({ type: 'window' });
+          clientList.forEach((client) => client.postMessage({ type: 'OUTBOX_REPLAYED', ...result }));
+        }
 
-            return networkResponse;
-          })
-          .catch(() => {
-            return caches.match('/index.html');
-          });
+        if (result.remaining) {
+          throw new Error('Outbox not empty');
+        }
       })
   );
 });
 
 /**
  * Message event - handle messages from clients
+ * SKIP_WAITING activates a waiting worker; the page reloads on controllerchange.
  */
 self.addEventListener('message', (event) => {
   if (event.data && event.data.type === 'SKIP_WAITING') {
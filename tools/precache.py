@@ -0,0 +1,89 @@
+#!/usr/bin/env python3
+"""
+Update the service worker precache version for Additive Artisan
+
+Hashes every file in PRECACHE_URLS (sw.js) and writes the result to
+PRECACHE_VERSION. Any change to a precached file changes sw.js, so browsers
+install the new service worker and precache the new files.
+
+Usage:
+    python3 tools/precache.py          # update sw.js
+    python3 tools/precache.py --check  # exit 1 if sw.js is out of date
+
+Also fails if a local <script> in index.html is missing from PRECACHE_URLS.
+"""
+
+import hashlib
+import re
+import sys
+from pathlib import Path
+
+ROOT = Path(__file__).resolve().parent.parent
+SW_PATH = ROOT / "sw.js"
+INDEX_PATH = ROOT / "index.html"
+
+VERSION_PATTERN = re.compile(r"const PRECACHE_VERSION = '([0-9a-f]*)';")
+URLS_PATTERN = re.compile(r"const PRECACHE_URLS = \[(.*?)\];", re.S)
+SCRIPT_PATTERN = re.compile(r'<script[^>]*\ssrc="([^"]+)"')
+
+
+def read_precache_urls(sw_source):
+    """Return the URLs listed in PRECACHE_URLS"""
+    match = URLS_PATTERN.search(sw_source)
+    if not match:
+        sys.exit("sw.js: PRECACHE_URLS not found")
+    return re.findall(r"'([^']+)'", match.group(1))
+
+
+def url_to_path(url):
+    """Map a precache URL to its file ("/" is index.html)"""
+    return ROOT / ("index.html" if url == "/" else url.lstrip("/"))
+
+
+def compute_version(urls):
+    """Hash the URLs and file contents into a short version string"""
+    digest = hashlib.sha256()
+    for url in urls:
+        path = url_to_path(url)
+        if not path.is_file():
+            sys.exit(f"sw.js: precached file not found: {url}")
+        digest.update(url.encode("utf-8"))
+        digest.update(path.read_bytes())
+    return digest.hexdigest()[:10]
+
+
+def find_unlisted_scripts(urls):
+    """Return local scripts loaded by index.html but not precached"""
+    scripts = SCRIPT_PATTERN.findall(INDEX_PATH.read_text(encoding="utf-8"))
+    local = ["/" + src.lstrip("/") for src in scripts if not re.match(r"^[a-z]+:|^//", src)]
+    return [src for src in local if src not in urls]
+
+
+def main():
+    check_only = "--check" in sys.argv[1:]
+    sw_source = SW_PATH.read_text(encoding="utf-8")
+
+    urls = read_precache_urls(sw_source)
+    unlisted = find_unlisted_scripts(urls)
+    if unlisted:
+        sys.exit("sw.js: add to PRECACHE_URLS: " + ", ".join(unlisted))
+
+    match = VERSION_PATTERN.search(sw_source)
+    if not match:
+        sys.exit("sw.js: PRECACHE_VERSION not found")
+
+    version = compute_version(urls)
+    if match.group(1) == version:
+        print(f"Precache version up to date ({version})")
+        return
+
+    if check_only:
+        sys.exit(f"Precache version out of date ({match.group(1)} -> {version}): run python3 tools/precache.py")
+
+    updated = VERSION_PATTERN.sub(f"const PRECACHE_VERSION = '{version}';", sw_source, count=1)
+    SW_PATH.write_text(updated, encoding="utf-8")
+    print(f"Precache version updated: {match.group(1)} -> {version}")
+
+
+if __name__ == "__main__":
+    main()